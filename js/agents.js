@@ -0,0 +1,227 @@
+/**
+ * Autoplayer agents for balance testing
+ *
+ * An agent is any object with a decide(snapshot) method that returns 'jump',
+ * 'slide' or 'none' for the current step (see Simulation.getSnapshot for what
+ * the snapshot holds). An optional reset() is called before each run. Agents
+ * must not touch the simulation directly, and must not draw from GameRandom,
+ * which would change what the level spawns.
+ */
+
+class HeuristicAgent {
+  /**
+   * Create a reference bot that dodges threats and chases coffee
+   * @param {Object} [options] - Tuning options
+   * @param {number} [options.slideDistance=90] - How close a low-clearance threat gets before sliding
+   * @param {number} [options.jumpApexTime=0.5] - Time after take-off at which the jump peaks, in seconds
+   */
+  constructor(options = {}) {
+    this.slideDistance = options.slideDistance || 90;
+    this.jumpApexTime = options.jumpApexTime || 0.5;
+    this.reset();
+  }
+
+  /**
+   * Clears per-run memory
+   */
+  reset() {
+    this.lastJumpTick = -Infinity;
+  }
+
+  /**
+   * Chooses an action for the current step
+   * @param {Object} snapshot - Read-only simulation snapshot
+   * @returns {string} 'jump', 'slide' or 'none'
+   */
+  decide(snapshot) {
+    const player = snapshot.player;
+    if (player.isCrashed) return "none";
+
+    const threat = this.findNextThreat(snapshot);
+
+    if (threat) {
+      // Obstacles that clear the sliding hitbox are passed underneath
+      const box = threat.collisionBox;
+      if (box.y + box.height < player.slidingBox.y) {
+        const gap = box.x - (player.collisionBox.x + player.collisionBox.width);
+        return gap < this.slideDistance ? "slide" : "none";
+      }
+
+      return this.shouldJumpOver(snapshot, threat)
+        ? this.jump(snapshot)
+        : "none";
+    }
+
+    const coffee = this.findReachableCoffee(snapshot);
+    if (coffee && this.shouldJumpFor(snapshot, coffee)) {
+      return this.jump(snapshot);
+    }
+
+    return "none";
+  }
+
+  /**
+   * Presses jump, avoiding repeated presses on consecutive steps
+   * @param {Object} snapshot - Read-only simulation snapshot
+   * @returns {string} 'jump' or 'none'
+   */
+  jump(snapshot) {
+    if (snapshot.tick - this.lastJumpTick < 10) return "none";
+    this.lastJumpTick = snapshot.tick;
+    return "jump";
+  }
+
+  /**
+   * Finds the closest obstacle the player has not yet passed
+   * @param {Object} snapshot - Read-only simulation snapshot
+   * @returns {Object|null} Obstacle snapshot, or null if the way is clear
+   */
+  findNextThreat(snapshot) {
+    const playerBox = snapshot.player.collisionBox;
+    const standingTop = snapshot.player.standingBox.y;
+
+    return snapshot.obstacles
+      .filter(
+        (obstacle) =>
+          obstacle.collisionBox.x + obstacle.collisionBox.width > playerBox.x &&
+          obstacle.collisionBox.y + obstacle.collisionBox.height > standingTop
+      )
+      .sort((a, b) => a.collisionBox.x - b.collisionBox.x)[0];
+  }
+
+  /**
+   * Decides whether now is the moment to jump so the obstacle passes under the apex
+   * @param {Object} snapshot - Read-only simulation snapshot
+   * @param {Object} obstacle - Obstacle snapshot
+   * @returns {boolean} True if the player should jump now
+   */
+  shouldJumpOver(snapshot, obstacle) {
+    const player = snapshot.player;
+    const speed = Math.max(1, -obstacle.velocityX);
+    const playerBox = player.collisionBox;
+    const box = obstacle.collisionBox;
+
+    // Time window during which the obstacle overlaps the player horizontally
+    const enter = (box.x - (playerBox.x + playerBox.width)) / speed;
+    const exit = (box.x + box.width - playerBox.x) / speed;
+
+    if (player.isJumping) {
+      // Already airborne: use the double jump if we will come down too early
+      return player.canDoubleJump && player.velocityY > 0 && enter < 0.35;
+    }
+
+    return (enter + exit) / 2 <= this.jumpApexTime;
+  }
+
+  /**
+   * Finds the nearest coffee that a single jump can reach
+   * @param {Object} snapshot - Read-only simulation snapshot
+   * @returns {Object|null} Collectible snapshot, or null if none is reachable
+   */
+  findReachableCoffee(snapshot) {
+    const playerBox = snapshot.player.collisionBox;
+
+    return snapshot.collectibles
+      .filter(
+        (item) =>
+          item.type === "coffee" &&
+          item.collisionBox.x > playerBox.x + playerBox.width &&
+          snapshot.player.groundY - item.collisionBox.y < 190
+      )
+      .sort((a, b) => a.collisionBox.x - b.collisionBox.x)[0];
+  }
+
+  /**
+   * Decides whether jumping now brings the player up to the collectible's height on arrival
+   * @param {Object} snapshot - Read-only simulation snapshot
+   * @param {Object} item - Collectible snapshot
+   * @returns {boolean} True if the player should jump now
+   */
+  shouldJumpFor(snapshot, item) {
+    const player = snapshot.player;
+    if (player.isJumping || player.isSliding) return false;
+
+    const speed = Math.max(1, -item.velocityX);
+    const arrival =
+      (item.collisionBox.x -
+        (player.collisionBox.x + player.collisionBox.width)) /
+      speed;
+
+    // Standing hitbox already touches low items
+    const standingTop = player.standingBox.y;
+    const rise = standingTop - (item.collisionBox.y + item.collisionBox.height);
+    if (rise <= 0) return false;
+
+    // Jump when the rising arc will reach the item's height as it arrives
+    const apexHeight = 150;
+    const ratio = Math.min(rise / apexHeight, 1);
+    const riseTime = this.jumpApexTime * (1 - Math.sqrt(1 - ratio));
+    return arrival <= riseTime + 0.05;
+  }
+}
+
+class RandomAgent {
+  /**
+   * Create a baseline bot that presses buttons at random
+   * It uses its own generator so it never disturbs level spawning
+   * @param {Object} [options] - Agent options
+   * @param {number} [options.seed=1] - Seed for the agent's own decisions
+   * @param {number} [options.actionChance=0.02] - Chance per step of jumping or sliding
+   */
+  constructor(options = {}) {
+    this.seed = options.seed || 1;
+    this.actionChance = options.actionChance || 0.02;
+    this.random = new SeededRandom(this.seed);
+    this.slideTicks = 0;
+  }
+
+  /**
+   * Restarts the agent's decision sequence
+   */
+  reset() {
+    this.random.setSeed(this.seed);
+    this.slideTicks = 0;
+  }
+
+  /**
+   * Chooses an action for the current step
+   * @returns {string} 'jump', 'slide' or 'none'
+   */
+  decide() {
+    if (this.slideTicks > 0) {
+      this.slideTicks--;
+      return "slide";
+    }
+
+    const roll = this.random.next();
+    if (roll < this.actionChance) return "jump";
+    if (roll < this.actionChance * 2) {
+      this.slideTicks = 30;
+      return "slide";
+    }
+    return "none";
+  }
+}
+
+/**
+ * Agents available to tools by name
+ */
+const Agents = {
+  heuristic: HeuristicAgent,
+  random: RandomAgent,
+
+  /**
+   * Creates an agent by name
+   * @param {string} name - Registered agent name
+   * @param {Object} [options] - Options passed to the agent constructor
+   * @returns {Object} The agent instance
+   * @throws {Error} If no agent is registered under that name
+   */
+  create: function (name, options) {
+    const AgentClass = this[name];
+    if (typeof AgentClass !== "function") {
+      throw new Error(`Unknown agent: ${name}`);
+    }
+    return new AgentClass(options);
+  },
+};
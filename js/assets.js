@@ -12,42 +12,40 @@ const Assets = {
       crash: null,
     },
 
-    obstacles: {
-      bug: null,
-      mergeConflict: null,
-      meeting: null,
-      technicalDebt: null,
-    },
+    // One sprite per type registered in ObstacleTypes, drawn on first use
+    obstacles: {},
 
-    collectibles: {
-      coffee: null,
-      stackOverflow: null,
-      gitCommit: null,
-      codeSnippet: null,
-    },
+    // One sprite per type registered in CollectibleTypes, drawn on first use
+    collectibles: {},
 
-    backgrounds: {
-      legacy: null,
-      startup: null,
-      enterprise: null,
-    },
+    // One sprite per type registered in BossTypes, drawn on first use
+    bosses: {},
+
+    // One sprite per type registered in ProjectileTypes, drawn on first use
+    projectiles: {},
+
+    // One gradient per theme registered in Themes, drawn on first use
+    backgrounds: {},
   },
 
-  audio: {
-    // Sound effects
-    sfx: {
-      jump: null,
-      collect: null,
-      crash: null,
-      powerup: null,
-      deadline: null,
-      gameOver: null,
-    },
+  // Synthesizes every sound (see SoundEngine); null when headless or the
+  // browser has no Web Audio support, which keeps the game silent
+  sound: null,
 
-    music: {
-      main: null,
-      gameOver: null,
-    },
+  // Set by loadHeadless when running without a DOM
+  isHeadless: false,
+
+  // Canvas pixels per world unit that sprites are drawn at (see setResolution)
+  resolution: 1,
+
+  // Frames in each player sprite sheet, laid out left to right. Player picks
+  // the frame: run and slide loop faster the faster it goes, the jump frame
+  // follows the vertical speed and the crash plays once.
+  playerAnimations: {
+    run: { frames: 4, frameDelay: 100, loop: true },
+    jump: { frames: 4 },
+    slide: { frames: 3, frameDelay: 60, loop: true },
+    crash: { frames: 5, frameDelay: 90, loop: false },
   },
 
   /**
@@ -57,7 +55,7 @@ const Assets = {
   loadAll: async function () {
     try {
       this.createPlaceholderSprites();
-      this.initAudioPlaceholders();
+      this.initAudio();
 
       console.log("All assets loaded successfully");
       return true;
@@ -69,76 +67,318 @@ const Assets = {
     }
   },
 
+  /**
+   * Prepare assets for running the simulation without a DOM (e.g. under Node)
+   * Every image slot gets a size-only stand-in instead of a canvas, and audio
+   * stays silent. Nothing can be drawn after a headless load.
+   * @returns {boolean} - Always true
+   */
+  loadHeadless: function () {
+    this.isHeadless = true;
+
+    Object.values(this.images).forEach((group) => {
+      Object.keys(group).forEach((name) => {
+        group[name] = { width: 1, height: 1 };
+      });
+    });
+
+    return true;
+  },
+
   /**
    * Create emergency placeholder sprites if normal loading fails
    */
   createEmergencyPlaceholders: function () {
     // Laptop character
-    this.images.player.run = this.createLaptopSprite(
-      "#aaaaaa", // Silver aluminum color
-      "#00aaff",
-      50,
-      50
-    );
-    this.images.player.jump = this.createLaptopSprite(
-      "#aaaaaa", // Silver aluminum color
-      "#0088cc",
-      50,
-      50
-    );
-    this.images.player.slide = this.createLaptopSprite(
-      "#aaaaaa", // Silver aluminum color
-      "#006699",
-      50,
-      30
-    );
-    this.images.player.crash = this.createLaptopSprite(
-      "#aaaaaa", // Silver aluminum color
-      "#ff3333",
-      50,
-      50
-    );
+    Object.assign(this.images.player, this.createPlayerSprites());
 
-    const canvas = document.createElement("canvas");
-    canvas.width = 50;
-    canvas.height = 50;
-    const ctx = canvas.getContext("2d");
+    const { canvas, ctx } = this.createCanvas(50, 50);
     ctx.fillStyle = "#ff0000";
     ctx.fillRect(0, 0, 50, 50);
 
     // Assign to obstacle image slots
-    this.images.obstacles.bug = canvas;
-    this.images.obstacles.mergeConflict = canvas;
-    this.images.obstacles.meeting = canvas;
-    this.images.obstacles.technicalDebt = canvas;
+    ObstacleTypes.list().forEach((definition) => {
+      this.images.obstacles[definition.type] = canvas;
+    });
 
     // Assign to collectible image slots
-    this.images.collectibles.coffee = canvas;
-    this.images.collectibles.stackOverflow = canvas;
-    this.images.collectibles.gitCommit = canvas;
-    this.images.collectibles.codeSnippet = canvas;
+    CollectibleTypes.list().forEach((definition) => {
+      this.images.collectibles[definition.type] = canvas;
+    });
+
+    // Assign to boss image slots
+    BossTypes.list().forEach((definition) => {
+      this.images.bosses[definition.type] = canvas;
+    });
+
+    // Assign to projectile image slots
+    ProjectileTypes.list().forEach((definition) => {
+      this.images.projectiles[definition.type] = canvas;
+    });
 
     // Assign to background image slots
-    this.images.backgrounds.legacy = canvas;
-    this.images.backgrounds.startup = canvas;
-    this.images.backgrounds.enterprise = canvas;
+    Themes.list().forEach((theme) => {
+      this.images.backgrounds[theme.name] = canvas;
+    });
   },
 
   /**
-   * Initialize audio placeholders
+   * Set up procedural audio, if the browser supports it
    */
-  initAudioPlaceholders: function () {
-    this.playSfx = function (sfxName) {
-      console.log(`Playing sound effect: ${sfxName}`);
-    };
+  initAudio: function () {
+    this.sound = SoundEngine.isSupported() ? new SoundEngine() : null;
+  },
 
-    this.playMusic = function (musicName) {
-      console.log(`Playing music: ${musicName}`);
+  /**
+   * Create the laptop sprite sheets for each player state (see playerAnimations)
+   * @returns {Object} - Sprite sheet canvases keyed by state (run, jump, slide, crash)
+   */
+  createPlayerSprites: function () {
+    const animations = this.playerAnimations;
+
+    // Silver aluminum body with a screen color per state
+    const crashed = this.createLaptopSprite("#aaaaaa", "#ff3333", 50, 50);
+
+    return {
+      run: this.createSpriteSheet(50, 50, animations.run.frames, (ctx, frame) =>
+        this.drawLaptop(ctx, "#aaaaaa", "#00aaff", 50, 50, frame)
+      ),
+      jump: this.createSpriteSheet(
+        50,
+        50,
+        animations.jump.frames,
+        (ctx, frame) => this.drawJumpFrame(ctx, frame, 50, 50)
+      ),
+      slide: this.createSpriteSheet(
+        50,
+        30,
+        animations.slide.frames,
+        (ctx, frame) => {
+          this.drawLaptop(ctx, "#aaaaaa", "#006699", 50, 30);
+          this.drawSlideSparks(ctx, frame, 30);
+        }
+      ),
+      crash: this.createSpriteSheet(
+        50,
+        50,
+        animations.crash.frames,
+        (ctx, frame) =>
+          this.drawCrashFrame(
+            ctx,
+            crashed,
+            frame / (animations.crash.frames - 1),
+            50,
+            50
+          )
+      ),
     };
+  },
 
-    this.stopMusic = function () {
-      console.log("Stopping music");
+  /**
+   * Create a sprite sheet with the frames side by side
+   * Each frame is drawn in sprite units, clipped to its own cell.
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @param {number} frames - Number of frames
+   * @param {Function} drawFrame - Draws one frame: (ctx, frame) => void
+   * @returns {HTMLCanvasElement} - Canvas with all the frames
+   */
+  createSpriteSheet: function (width, height, frames, drawFrame) {
+    const { canvas, ctx } = this.createCanvas(width * frames, height);
+
+    for (let frame = 0; frame < frames; frame++) {
+      ctx.save();
+      ctx.translate(frame * width, 0);
+      ctx.beginPath();
+      ctx.rect(0, 0, width, height);
+      ctx.clip();
+      drawFrame(ctx, frame);
+      ctx.restore();
+    }
+
+    return canvas;
+  },
+
+  /**
+   * Draw a jump frame: the laptop stretches on the way up, squashes at the
+   * top of the arc and stretches again as it falls
+   * @param {CanvasRenderingContext2D} ctx - Context to draw on
+   * @param {number} frame - 0 take-off, 1 rising, 2 top of the arc, 3 falling
+   * @param {number} width - Sprite width
+   * @param {number} height - Sprite height
+   */
+  drawJumpFrame: function (ctx, frame, width, height) {
+    const scales = [
+      [0.85, 1.15],
+      [0.92, 1.08],
+      [1.1, 0.9],
+      [0.94, 1.06],
+    ];
+    const [scaleX, scaleY] = scales[frame];
+
+    // Scale around the bottom center, so the laptop keeps its footing
+    ctx.translate(width / 2, height);
+    ctx.scale(scaleX, scaleY);
+    ctx.translate(-width / 2, -height);
+    this.drawLaptop(ctx, "#aaaaaa", "#0088cc", width, height, frame);
+  },
+
+  /**
+   * Draw sparks flying off the back of a sliding laptop
+   * @param {CanvasRenderingContext2D} ctx - Context to draw on
+   * @param {number} frame - Animation frame, which moves the sparks along
+   * @param {number} height - Sprite height
+   */
+  drawSlideSparks: function (ctx, frame, height) {
+    const colors = ["#ffee66", "#ffaa33", "#ffffff"];
+
+    for (let i = 0; i < 6; i++) {
+      const x = ((i * 7 + frame * 5) % 16) + 1;
+      const y = height - 3 - ((i * 5 + frame * 3) % 7);
+      ctx.fillStyle = colors[(i + frame) % colors.length];
+      ctx.beginPath();
+      ctx.arc(x, y, i % 2 === 0 ? 1.5 : 1, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  },
+
+  /**
+   * Draw a crash frame: the screen snaps off the base and keys scatter
+   * @param {CanvasRenderingContext2D} ctx - Context to draw on
+   * @param {HTMLCanvasElement} laptop - Intact crashed laptop sprite to break apart
+   * @param {number} progress - How far the break-up has gone, from 0 to 1
+   * @param {number} width - Sprite width
+   * @param {number} height - Sprite height
+   */
+  drawCrashFrame: function (ctx, laptop, progress, width, height) {
+    const hinge = height * 0.65; // Where the screen meets the base
+    const scale = this.resolution; // The laptop canvas is in canvas pixels
+
+    // The screen tips back and jumps up
+    ctx.save();
+    ctx.translate(width / 2 - progress * 6, hinge - progress * 8);
+    ctx.rotate(-progress * 0.6);
+    ctx.drawImage(
+      laptop,
+      0,
+      0,
+      width * scale,
+      hinge * scale,
+      -width / 2,
+      -hinge,
+      width,
+      hinge
+    );
+    ctx.restore();
+
+    // The base drops and skids forward
+    ctx.save();
+    ctx.translate(width / 2 + progress * 4, hinge + progress * 4);
+    ctx.rotate(progress * 0.2);
+    ctx.drawImage(
+      laptop,
+      0,
+      hinge * scale,
+      width * scale,
+      (height - hinge) * scale,
+      -width / 2,
+      0,
+      width,
+      height - hinge
+    );
+    ctx.restore();
+
+    // Keys and sparks scatter from the hinge
+    ctx.globalAlpha = 1 - progress * 0.5;
+    for (let i = 0; i < 6; i++) {
+      const angle = i * 1.1 - 2.5;
+      const distance = progress * 18;
+      ctx.fillStyle = i % 2 === 0 ? "#333333" : "#ffcc00";
+      ctx.fillRect(
+        width / 2 + Math.cos(angle) * distance - 1,
+        hinge + Math.sin(angle) * distance * 0.6 - 1,
+        2,
+        2
+      );
+    }
+    ctx.globalAlpha = 1;
+  },
+
+  /**
+   * Create a blank sprite canvas with room for the current resolution
+   * Drawing on the returned context uses sprite units, whatever the resolution.
+   * @param {number} width - Sprite width
+   * @param {number} height - Sprite height
+   * @returns {{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}} - Canvas and its scaled context
+   */
+  createCanvas: function (width, height) {
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.ceil(width * this.resolution);
+    canvas.height = Math.ceil(height * this.resolution);
+
+    const ctx = canvas.getContext("2d");
+    ctx.scale(this.resolution, this.resolution);
+
+    return { canvas, ctx };
+  },
+
+  /**
+   * Redraws every sprite for a new number of canvas pixels per world unit
+   * Sprites are redrawn into their existing canvases, so entities already in
+   * play pick up the sharper art without being recreated.
+   * @param {number} resolution - Canvas pixels per world unit (viewport scale times devicePixelRatio)
+   */
+  setResolution: function (resolution) {
+    if (this.isHeadless || resolution === this.resolution) return;
+    this.resolution = resolution;
+
+    const redraw = (canvas, fresh) => {
+      canvas.width = fresh.width;
+      canvas.height = fresh.height;
+      canvas.getContext("2d").drawImage(fresh, 0, 0);
     };
+
+    const player = this.createPlayerSprites();
+    Object.keys(player).forEach((state) => {
+      if (this.images.player[state]) {
+        redraw(this.images.player[state], player[state]);
+      }
+    });
+
+    Object.keys(this.images.obstacles).forEach((type) => {
+      redraw(
+        this.images.obstacles[type],
+        this.createObstacleSprite(ObstacleTypes.get(type))
+      );
+    });
+
+    Object.keys(this.images.collectibles).forEach((type) => {
+      redraw(
+        this.images.collectibles[type],
+        this.createCollectibleSprite(CollectibleTypes.get(type))
+      );
+    });
+
+    Object.keys(this.images.bosses).forEach((type) => {
+      redraw(
+        this.images.bosses[type],
+        this.createBossSprite(BossTypes.get(type))
+      );
+    });
+
+    Object.keys(this.images.projectiles).forEach((type) => {
+      redraw(
+        this.images.projectiles[type],
+        this.createProjectileSprite(ProjectileTypes.get(type))
+      );
+    });
+
+    Object.keys(this.images.backgrounds).forEach((name) => {
+      redraw(
+        this.images.backgrounds[name],
+        this.createBackgroundSprite(Themes.get(name))
+      );
+    });
   },
 
   /**
@@ -150,16 +390,28 @@ const Assets = {
    * @returns {HTMLCanvasElement} - Canvas element with the laptop sprite
    */
   createLaptopSprite: function (baseColor, screenColor, width, height) {
-    const canvas = document.createElement("canvas");
-    canvas.width = width;
-    canvas.height = height;
+    const { canvas, ctx } = this.createCanvas(width, height);
+    this.drawLaptop(ctx, baseColor, screenColor, width, height);
+    return canvas;
+  },
 
-    const ctx = canvas.getContext("2d");
+  /**
+   * Draw a laptop onto a sprite canvas
+   * @param {CanvasRenderingContext2D} ctx - Context to draw on, in sprite units
+   * @param {string} baseColor - Base color for the laptop
+   * @param {string} screenColor - Color for the laptop screen
+   * @param {number} width - Sprite width
+   * @param {number} height - Sprite height
+   * @param {number} [frame=0] - Animation frame for the screen content
+   */
+  drawLaptop: function (ctx, baseColor, screenColor, width, height, frame = 0) {
+    ctx.save();
 
+    // Shadows ignore the context's scale, so they are sized by hand
     ctx.shadowColor = "rgba(0, 0, 0, 0.3)";
-    ctx.shadowBlur = 5;
-    ctx.shadowOffsetX = 2;
-    ctx.shadowOffsetY = 2;
+    ctx.shadowBlur = 5 * this.resolution;
+    ctx.shadowOffsetX = 2 * this.resolution;
+    ctx.shadowOffsetY = 2 * this.resolution;
 
     const isSliding = height <= 35;
 
@@ -246,9 +498,9 @@ const Assets = {
       const offsetX = (width - laptopWidth) / 2;
 
       ctx.shadowColor = "rgba(0, 0, 0, 0.2)";
-      ctx.shadowBlur = 5;
+      ctx.shadowBlur = 5 * this.resolution;
       ctx.shadowOffsetX = 0;
-      ctx.shadowOffsetY = 5;
+      ctx.shadowOffsetY = 5 * this.resolution;
 
       ctx.fillStyle = baseColor;
       this.roundedRect(
@@ -475,11 +727,12 @@ const Assets = {
           ? "slide"
           : screenColor === "#ff3333"
           ? "crash"
-          : "run"
+          : "run",
+        frame
       );
     }
 
-    return canvas;
+    ctx.restore();
   },
 
   /**
@@ -523,8 +776,9 @@ const Assets = {
    * @param {number} width - Screen width
    * @param {number} height - Screen height
    * @param {string} state - Player state (run, jump, slide, crash)
+   * @param {number} [frame=0] - Animation frame: the code scrolls a line per frame and the cursor blinks
    */
-  drawScreenContent: function (ctx, x, y, width, height, state) {
+  drawScreenContent: function (ctx, x, y, width, height, state, frame = 0) {
     if (state === "run") {
       // Code editor with clean text editor-like lines
       ctx.fillStyle = "#1e1e1e"; // Dark theme color
@@ -559,24 +813,28 @@ const Assets = {
 
       for (let i = 0; i < lineCount; i++) {
         const lineY = y + menuBarHeight + i * lineHeight + lineHeight / 2;
+        const line = i + frame; // Scrolls up a line per frame
 
         // Alternate between full lines and shorter lines
         const lineWidth =
-          i % 3 === 0
+          line % 3 === 0
             ? width * 0.8 // Full line
-            : width * 0.5 + Math.random() * 0.2 * width; // Shorter line
+            : width * (0.5 + ((line * 7) % 5) * 0.05); // Shorter line
 
-        ctx.fillStyle = codeColors[i % codeColors.length];
+        ctx.fillStyle = codeColors[line % codeColors.length];
         ctx.fillRect(x + width * 0.12, lineY, lineWidth, 1);
       }
 
-      ctx.fillStyle = "#ffffff";
-      ctx.fillRect(
-        x + width * 0.2,
-        y + menuBarHeight + lineHeight * 1.5,
-        1,
-        lineHeight * 0.7
-      );
+      // Blinking cursor
+      if (frame % 2 === 0) {
+        ctx.fillStyle = "#ffffff";
+        ctx.fillRect(
+          x + width * 0.2,
+          y + menuBarHeight + lineHeight * 1.5,
+          1,
+          lineHeight * 0.7
+        );
+      }
     } else if (state === "jump") {
       // Terminal with clean text lines
       ctx.fillStyle = "#1e1e1e";
@@ -661,80 +919,209 @@ const Assets = {
   createPlaceholderSprites: function () {
     // Create canvas elements for each sprite
 
-    // Laptop character - using silver aluminum color
-    this.images.player.run = this.createLaptopSprite(
-      "#aaaaaa", // Silver aluminum color instead of dark gray
-      "#00aaff",
-      50,
-      50
-    );
-    this.images.player.jump = this.createLaptopSprite(
-      "#aaaaaa", // Silver aluminum color
-      "#0088cc",
-      50,
-      50
-    );
-    this.images.player.slide = this.createLaptopSprite(
-      "#aaaaaa", // Silver aluminum color
-      "#006699",
-      50,
-      30
-    );
-    this.images.player.crash = this.createLaptopSprite(
-      "#aaaaaa", // Silver aluminum color
-      "#ff3333",
-      50,
-      50
-    );
+    // Laptop character
+    Object.assign(this.images.player, this.createPlayerSprites());
 
     // Obstacle sprites (rectangular shapes)
-    this.images.obstacles.bug = this.createRectangleSprite("#ff0000", 40, 40);
-    this.images.obstacles.mergeConflict = this.createRectangleSprite(
-      "#ff6600",
-      60,
-      60
-    );
-    this.images.obstacles.meeting = this.createRectangleSprite(
-      "#cc3300",
-      80,
-      40
-    );
-    this.images.obstacles.technicalDebt = this.createRectangleSprite(
-      "#990000",
-      50,
-      70
-    );
+    ObstacleTypes.list().forEach((definition) => {
+      this.images.obstacles[definition.type] =
+        this.createObstacleSprite(definition);
+    });
 
     // Collectible sprites (circular shapes)
-    this.images.collectibles.coffee = this.createCircleSprite("#8b4513", 30);
-    this.images.collectibles.stackOverflow = this.createCircleSprite(
-      "#f48024",
-      30
-    );
-    this.images.collectibles.gitCommit = this.createCircleSprite("#6cc644", 30);
-    this.images.collectibles.codeSnippet = this.createCircleSprite(
-      "#ffffff",
-      20
-    );
+    CollectibleTypes.list().forEach((definition) => {
+      this.images.collectibles[definition.type] =
+        this.createCollectibleSprite(definition);
+    });
+
+    // Boss sprites (rectangular shapes)
+    BossTypes.list().forEach((definition) => {
+      this.images.bosses[definition.type] = this.createBossSprite(definition);
+    });
+
+    // Projectile sprites (circular shapes)
+    ProjectileTypes.list().forEach((definition) => {
+      this.images.projectiles[definition.type] =
+        this.createProjectileSprite(definition);
+    });
 
     // Background sprites (small versions for testing)
-    this.images.backgrounds.legacy = this.createGradientSprite(
-      "#000033",
-      "#330033",
+    Themes.list().forEach((theme) => {
+      this.images.backgrounds[theme.name] = this.createBackgroundSprite(theme);
+    });
+  },
+
+  /**
+   * Get the background for a theme, drawing it on first use
+   * @param {string} name - Theme name registered in Themes
+   * @returns {HTMLCanvasElement|Object} - Background sprite for the theme
+   */
+  getBackgroundSprite: function (name) {
+    if (!this.images.backgrounds[name]) {
+      this.images.backgrounds[name] = this.createBackgroundSprite(
+        Themes.get(name)
+      );
+    }
+    return this.images.backgrounds[name];
+  },
+
+  /**
+   * Create the background gradient for a theme from its palette
+   * @param {Object} theme - Theme definition
+   * @returns {HTMLCanvasElement|Object} - Sprite canvas (or a size-only stand-in when headless)
+   */
+  createBackgroundSprite: function (theme) {
+    if (this.isHeadless) {
+      return { width: 100, height: 100 };
+    }
+
+    return this.createGradientSprite(
+      theme.palette[0],
+      theme.palette[1],
       100,
       100
     );
-    this.images.backgrounds.startup = this.createGradientSprite(
-      "#003366",
-      "#0099cc",
-      100,
-      100
+  },
+
+  /**
+   * Get the sprite for an obstacle type, drawing it on first use
+   * This lets types registered after loading still get a sprite
+   * @param {string} type - Obstacle type registered in ObstacleTypes
+   * @returns {HTMLCanvasElement|Object} - Sprite for the type
+   */
+  getObstacleSprite: function (type) {
+    if (!this.images.obstacles[type]) {
+      this.images.obstacles[type] = this.createObstacleSprite(
+        ObstacleTypes.get(type)
+      );
+    }
+    return this.images.obstacles[type];
+  },
+
+  /**
+   * Create the sprite for an obstacle type from its definition
+   * Uses the type's own createSprite if it has one, otherwise a striped rectangle
+   * @param {Object} definition - Obstacle type definition
+   * @returns {HTMLCanvasElement|Object} - Sprite canvas (or a size-only stand-in when headless)
+   */
+  createObstacleSprite: function (definition) {
+    if (this.isHeadless) {
+      return { width: definition.width, height: definition.height };
+    }
+
+    if (definition.createSprite) {
+      return definition.createSprite(this, definition);
+    }
+
+    return this.createRectangleSprite(
+      definition.color || "#ff0000",
+      definition.width,
+      definition.height
     );
-    this.images.backgrounds.enterprise = this.createGradientSprite(
-      "#333333",
-      "#666666",
-      100,
-      100
+  },
+
+  /**
+   * Get the sprite for a boss type, drawing it on first use
+   * @param {string} type - Boss type registered in BossTypes
+   * @returns {HTMLCanvasElement|Object} - Sprite for the type
+   */
+  getBossSprite: function (type) {
+    if (!this.images.bosses[type]) {
+      this.images.bosses[type] = this.createBossSprite(BossTypes.get(type));
+    }
+    return this.images.bosses[type];
+  },
+
+  /**
+   * Create the sprite for a boss type from its definition
+   * Uses the type's own createSprite if it has one, otherwise a striped rectangle
+   * @param {Object} definition - Boss definition
+   * @returns {HTMLCanvasElement|Object} - Sprite canvas (or a size-only stand-in when headless)
+   */
+  createBossSprite: function (definition) {
+    if (this.isHeadless) {
+      return { width: definition.width, height: definition.height };
+    }
+
+    if (definition.createSprite) {
+      return definition.createSprite(this, definition);
+    }
+
+    return this.createRectangleSprite(
+      definition.color || "#cc0000",
+      definition.width,
+      definition.height
+    );
+  },
+
+  /**
+   * Get the sprite for a projectile type, drawing it on first use
+   * @param {string} type - Projectile type registered in ProjectileTypes
+   * @returns {HTMLCanvasElement|Object} - Sprite for the type
+   */
+  getProjectileSprite: function (type) {
+    if (!this.images.projectiles[type]) {
+      this.images.projectiles[type] = this.createProjectileSprite(
+        ProjectileTypes.get(type)
+      );
+    }
+    return this.images.projectiles[type];
+  },
+
+  /**
+   * Create the sprite for a projectile type from its definition
+   * Uses the type's own createSprite if it has one, otherwise a circle
+   * @param {Object} definition - Projectile type definition
+   * @returns {HTMLCanvasElement|Object} - Sprite canvas (or a size-only stand-in when headless)
+   */
+  createProjectileSprite: function (definition) {
+    if (this.isHeadless) {
+      return { width: definition.width, height: definition.height };
+    }
+
+    if (definition.createSprite) {
+      return definition.createSprite(this, definition);
+    }
+
+    return this.createCircleSprite(
+      definition.color || "#ff3333",
+      Math.max(definition.width, definition.height)
+    );
+  },
+
+  /**
+   * Get the sprite for a collectible type, drawing it on first use
+   * This lets types registered after loading still get a sprite
+   * @param {string} type - Collectible type registered in CollectibleTypes
+   * @returns {HTMLCanvasElement|Object} - Sprite for the type
+   */
+  getCollectibleSprite: function (type) {
+    if (!this.images.collectibles[type]) {
+      this.images.collectibles[type] = this.createCollectibleSprite(
+        CollectibleTypes.get(type)
+      );
+    }
+    return this.images.collectibles[type];
+  },
+
+  /**
+   * Create the sprite for a collectible type from its definition
+   * Uses the type's own createSprite if it has one, otherwise a glowing circle
+   * @param {Object} definition - Collectible type definition
+   * @returns {HTMLCanvasElement|Object} - Sprite canvas (or a size-only stand-in when headless)
+   */
+  createCollectibleSprite: function (definition) {
+    if (this.isHeadless) {
+      return { width: definition.size, height: definition.size };
+    }
+
+    if (definition.createSprite) {
+      return definition.createSprite(this, definition);
+    }
+
+    return this.createCircleSprite(
+      definition.color || "#ffffff",
+      definition.size
     );
   },
 
@@ -746,11 +1133,7 @@ const Assets = {
    * @returns {HTMLCanvasElement} - Canvas element with the sprite
    */
   createColorSprite: function (color, width, height) {
-    const canvas = document.createElement("canvas");
-    canvas.width = width;
-    canvas.height = height;
-
-    const ctx = canvas.getContext("2d");
+    const { canvas, ctx } = this.createCanvas(width, height);
     ctx.fillStyle = color;
     ctx.fillRect(0, 0, width, height);
 
@@ -765,11 +1148,7 @@ const Assets = {
    * @returns {HTMLCanvasElement} - Canvas element with the sprite
    */
   createRectangleSprite: function (color, width, height) {
-    const canvas = document.createElement("canvas");
-    canvas.width = width;
-    canvas.height = height;
-
-    const ctx = canvas.getContext("2d");
+    const { canvas, ctx } = this.createCanvas(width, height);
     ctx.fillStyle = color;
 
     // Draw rectangle with slightly rounded corners
@@ -808,11 +1187,7 @@ const Assets = {
    * @returns {HTMLCanvasElement} - Canvas element with the sprite
    */
   createCircleSprite: function (color, diameter) {
-    const canvas = document.createElement("canvas");
-    canvas.width = diameter;
-    canvas.height = diameter;
-
-    const ctx = canvas.getContext("2d");
+    const { canvas, ctx } = this.createCanvas(diameter, diameter);
 
     // Draw outer glow
     const gradient = ctx.createRadialGradient(
@@ -849,11 +1224,7 @@ const Assets = {
    * @returns {HTMLCanvasElement} - Canvas element with the sprite
    */
   createGradientSprite: function (color1, color2, width, height) {
-    const canvas = document.createElement("canvas");
-    canvas.width = width;
-    canvas.height = height;
-
-    const ctx = canvas.getContext("2d");
+    const { canvas, ctx } = this.createCanvas(width, height);
     const gradient = ctx.createLinearGradient(0, 0, width, height);
     gradient.addColorStop(0, color1);
     gradient.addColorStop(1, color2);
@@ -865,64 +1236,78 @@ const Assets = {
   },
 
   /**
-   * Load audio assets
-   * @returns {Promise} - Promise that resolves when all audio is loaded
+   * Play a sound effect
+   * @param {string} sfxName - Name of the sound effect to play (see SoundEffects)
    */
-  loadAudio: async function () {
-    // In a real implementation, we would load actual audio files
-    // For now, we'll just create empty Audio objects
+  playSfx: function (sfxName) {
+    if (this.sound) {
+      this.sound.playEffect(sfxName);
+    }
+  },
 
-    // Sound effects
-    this.audio.sfx.jump = new Audio();
-    this.audio.sfx.collect = new Audio();
-    this.audio.sfx.crash = new Audio();
-    this.audio.sfx.powerup = new Audio();
-    this.audio.sfx.deadline = new Audio();
-    this.audio.sfx.gameOver = new Audio();
+  /**
+   * Play background music
+   * @param {string} musicName - Name of the music track to play (see MusicTracks)
+   */
+  playMusic: function (musicName) {
+    if (this.sound) {
+      this.sound.playMusic(musicName);
+    }
+  },
 
-    // Music
-    this.audio.music.main = new Audio();
-    this.audio.music.gameOver = new Audio();
+  /**
+   * Stop background music
+   */
+  stopMusic: function () {
+    if (this.sound) {
+      this.sound.stopMusic();
+    }
+  },
 
-    return true;
+  /**
+   * Apply volume and mute settings
+   * @param {Object} settings - Audio settings (see Utils.getAudioSettings)
+   */
+  setAudioSettings: function (settings) {
+    if (this.sound) {
+      this.sound.setVolumes(settings);
+    }
   },
 
   /**
-   * Play a sound effect
-   * @param {string} sfxName - Name of the sound effect to play
+   * Turn the background music down or back up without stopping it
+   * @param {boolean} isDucked - True to turn the music down
    */
-  playSfx: function (sfxName) {
-    if (this.audio.sfx[sfxName]) {
-      this.audio.sfx[sfxName].currentTime = 0;
-      this.audio.sfx[sfxName].play().catch((e) => {
-        // Ignore autoplay errors
-        console.log("Audio autoplay prevented:", e);
-      });
+  duckMusic: function (isDucked) {
+    if (this.sound) {
+      this.sound.duckMusic(isDucked);
     }
   },
 
   /**
-   * Play background music
-   * @param {string} musicName - Name of the music track to play
+   * Match the music's tempo to the level
+   * @param {number} difficulty - Current level difficulty
    */
-  playMusic: function (musicName) {
-    if (this.audio.music[musicName]) {
-      this.audio.music[musicName].loop = true;
-      this.audio.music[musicName].play().catch((e) => {
-        // Ignore autoplay errors
-        console.log("Audio autoplay prevented:", e);
-      });
+  setMusicDifficulty: function (difficulty) {
+    if (this.sound) {
+      this.sound.setDifficulty(difficulty);
     }
   },
 
   /**
-   * Stop background music
-   * @param {string} musicName - Name of the music track to stop
+   * Runs a function with sound effects switched off
+   * Used when game code runs for a what-if check rather than for real play
+   * (callers only play effects while Assets.playSfx is set)
+   * @param {Function} callback - Function to run
+   * @returns {*} The callback's return value
    */
-  stopMusic: function (musicName) {
-    if (this.audio.music[musicName]) {
-      this.audio.music[musicName].pause();
-      this.audio.music[musicName].currentTime = 0;
+  silently: function (callback) {
+    const playSfx = this.playSfx;
+    this.playSfx = null;
+    try {
+      return callback();
+    } finally {
+      this.playSfx = playSfx;
     }
   },
 };
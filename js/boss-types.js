@@ -0,0 +1,108 @@
+/**
+ * Registry of bosses and the distance milestones they show up at
+ *
+ * A boss takes over the level for a while: normal spawning pauses, the boss
+ * throws obstacles at the player in patterns and drops the collectible it is
+ * weak to. Collecting that item takes a point of health off the boss; beating
+ * it before its time limit earns the reward, otherwise it leaves on its own.
+ * Boss draws and moves the boss, Level runs the encounter (see
+ * Level.updateBoss) and the HUD shows its health bar.
+ *
+ * Attack patterns list the obstacles thrown together, like segment entities:
+ *   { type, height, x }  obstacle type, height of its bottom edge above the
+ *                        ground, and x offset behind the first one
+ */
+
+const BossTypes = {
+  definitions: {},
+
+  /**
+   * Boss encounters: each boss appears once the run reaches its distance,
+   * then again every 'every' units if set
+   */
+  encounters: [{ boss: "productionOutage", distance: 6000, every: 10000 }],
+
+  /**
+   * Adds (or replaces) a boss type
+   * @param {Object} definition - Boss definition
+   * @param {string} definition.type - Unique type name
+   * @param {string} definition.name - Display name for the HUD
+   * @param {string} [definition.message] - Announcement shown when the boss arrives
+   * @param {number} definition.width - Sprite width
+   * @param {number} definition.height - Sprite height
+   * @param {string} definition.emoji - Emoji drawn on top of the sprite
+   * @param {string} [definition.color] - Color of the generated placeholder sprite
+   * @param {Function} [definition.createSprite] - Custom sprite factory: (assets, definition) => canvas
+   * @param {number} [definition.health=5] - Hits needed to beat the boss
+   * @param {string} definition.weakness - Collectible type that hits the boss when collected
+   * @param {number} [definition.weaknessInterval=2500] - ms between drops of that collectible
+   * @param {Array<Object[]>} definition.attacks - Attack patterns, one picked at random each time (see above)
+   * @param {number} [definition.attackInterval=2000] - ms between attacks
+   * @param {number} [definition.timeLimit=40000] - ms before the boss gives up and leaves
+   * @param {number} [definition.deadlineScale=0.25] - Multiplies how fast the deadline advances while the boss is around
+   * @param {Object} [definition.reward] - What beating the boss earns
+   * @param {number} [definition.reward.score=0] - Points
+   * @param {string} [definition.reward.effect] - Status effect applied to the player
+   * @param {string} [definition.reward.deadlineEvent] - Deadline event started
+   * @returns {Object} The registered definition
+   */
+  register: function (definition) {
+    this.definitions[definition.type] = {
+      message: "",
+      health: 5,
+      weaknessInterval: 2500,
+      attackInterval: 2000,
+      timeLimit: 40000,
+      deadlineScale: 0.25,
+      reward: {},
+      ...definition,
+    };
+    return this.definitions[definition.type];
+  },
+
+  /**
+   * Looks up a boss type
+   * @param {string} type - Type name
+   * @returns {Object|undefined} The definition, or undefined if not registered
+   */
+  get: function (type) {
+    return this.definitions[type];
+  },
+
+  /**
+   * Lists all registered boss types in registration order
+   * @returns {Object[]} Boss definitions
+   */
+  list: function () {
+    return Object.values(this.definitions);
+  },
+};
+
+BossTypes.register({
+  type: "productionOutage",
+  name: "Production Outage",
+  message: "Collect hotfixes to restore service!",
+  width: 120,
+  height: 120,
+  emoji: "🔥",
+  color: "#cc0000",
+  health: 5,
+  weakness: "hotfix",
+  attacks: [
+    [{ type: "bug", height: 0 }],
+    [{ type: "bug", height: 90 }],
+    [
+      { type: "bug", height: 0 },
+      { type: "bug", height: 0, x: 250 },
+    ],
+    [
+      { type: "bug", height: 90 },
+      { type: "bug", height: 0, x: 300 },
+    ],
+  ],
+  attackInterval: 2200,
+  timeLimit: 40000,
+  // Everyone drops what they are doing, so the deadline barely moves
+  deadlineScale: 0.25,
+  reward: { score: 1000, deadlineEvent: "scopeCut" },
+});
@@ -0,0 +1,145 @@
+/**
+ * Boss hovering at the right edge of the level during a boss encounter
+ */
+
+class Boss extends Sprite {
+  /**
+   * Create a new boss, just off the right edge of the screen
+   * @param {Object} options - Boss options
+   * @param {string} options.type - Boss type registered in BossTypes
+   * @param {number} options.levelWidth - Width of the play field
+   * @param {number} options.groundY - Y position of the ground
+   */
+  constructor(options) {
+    const definition = BossTypes.get(options.type);
+
+    super({
+      image: Assets.getBossSprite(definition.type),
+      x: options.levelWidth,
+      y: options.groundY - definition.height - 80,
+      width: definition.width,
+      height: definition.height,
+    });
+
+    this.type = definition.type;
+    this.definition = definition;
+    this.health = definition.health;
+    this.maxHealth = definition.health;
+
+    // Where the boss hovers while fighting
+    this.targetX = options.levelWidth - definition.width - 30;
+    this.initialY = this.y;
+
+    this.moveSpeed = 200; // World units per second when entering and leaving
+    this.isLeaving = false;
+    this.hitFlashTime = 0; // ms left of the flash after taking a hit
+  }
+
+  /**
+   * Moves the boss in, bobs it in place, or moves it out once it leaves
+   * @param {number} deltaTime - Time since last update in ms
+   * @param {GameClock} clock - Simulation clock used for time-based motion
+   */
+  update(deltaTime, clock) {
+    const step = this.moveSpeed * (deltaTime / 1000);
+
+    if (this.isLeaving) {
+      this.x += step;
+      if (this.x > this.targetX + this.width + 60) {
+        this.isActive = false;
+      }
+    } else {
+      this.x = Math.max(this.targetX, this.x - step);
+    }
+
+    this.y = this.initialY + Math.sin(clock.getSeconds() * 2) * 15;
+    this.hitFlashTime = Math.max(0, this.hitFlashTime - deltaTime);
+  }
+
+  /**
+   * Checks whether the boss has finished moving in
+   * @returns {boolean} True once the boss is hovering in place
+   */
+  isInPosition() {
+    return !this.isLeaving && this.x <= this.targetX;
+  }
+
+  /**
+   * Checks whether a collectible type hurts the boss
+   * @param {string} type - Collectible type
+   * @returns {boolean} True if collecting it takes health off the boss
+   */
+  isWeakTo(type) {
+    return type === this.definition.weakness;
+  }
+
+  /**
+   * Takes a point of health off the boss
+   */
+  hit() {
+    if (this.isDefeated() || this.isLeaving) return;
+
+    this.health--;
+    this.hitFlashTime = 300;
+  }
+
+  /**
+   * Checks whether the boss has run out of health
+   * @returns {boolean} True if the boss is beaten
+   */
+  isDefeated() {
+    return this.health <= 0;
+  }
+
+  /**
+   * Sends the boss back off the right edge of the screen
+   */
+  leave() {
+    this.isLeaving = true;
+  }
+
+  /**
+   * Summarizes the boss for the HUD and agents
+   * @returns {{type: string, name: string, emoji: string, health: number, maxHealth: number, x: number, y: number}}
+   */
+  getStatus() {
+    return {
+      type: this.type,
+      name: this.definition.name,
+      emoji: this.definition.emoji,
+      health: this.health,
+      maxHealth: this.maxHealth,
+      x: this.x,
+      y: this.y,
+    };
+  }
+
+  /**
+   * Renders the boss, flashing white after a hit
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   */
+  draw(ctx) {
+    if (!this.isVisible) return;
+
+    ctx.save();
+    if (this.isDefeated()) {
+      ctx.globalAlpha = 0.5;
+    }
+    ctx.drawImage(this.image, this.x, this.y, this.width, this.height);
+
+    if (this.hitFlashTime > 0) {
+      ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+      ctx.fillRect(this.x, this.y, this.width, this.height);
+    }
+
+    ctx.font = `${this.height * 0.6}px Arial`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(
+      this.definition.emoji,
+      this.x + this.width / 2,
+      this.y + this.height / 2
+    );
+    ctx.restore();
+  }
+}
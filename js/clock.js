@@ -0,0 +1,88 @@
+/**
+ * Fixed-timestep simulation clock, decoupled from wall-clock time
+ */
+
+class GameClock {
+  /**
+   * Create a new game clock
+   * @param {number} [timeStep] - Duration of one simulation step in ms (default 60 steps per second)
+   */
+  constructor(timeStep = 1000 / 60) {
+    this.timeStep = timeStep;
+    this.timeScale = 1; // 1 = real time, 0.5 = slow motion, 2 = fast forward
+    this.maxFrameTime = 250; // Ignore long stalls (e.g. a backgrounded tab)
+    this.reset();
+  }
+
+  /**
+   * Rewinds the clock to the start of a run
+   */
+  reset() {
+    this.tick = 0; // Number of simulation steps taken
+    this.time = 0; // Simulation time in ms (tick * timeStep)
+    this.accumulator = 0;
+  }
+
+  /**
+   * Banks elapsed real time, scaled by the time scale, for upcoming steps
+   * @param {number} realDeltaTime - Wall-clock time since the last frame in ms
+   */
+  accumulate(realDeltaTime) {
+    const frameTime = Math.min(Math.max(realDeltaTime, 0), this.maxFrameTime);
+    this.accumulator += frameTime * this.timeScale;
+  }
+
+  /**
+   * Discards any banked time (used when resuming from pause)
+   */
+  clearAccumulator() {
+    this.accumulator = 0;
+  }
+
+  /**
+   * Checks whether enough time is banked for another simulation step
+   * @returns {boolean} True if a step should be simulated
+   */
+  hasPendingStep() {
+    return this.accumulator >= this.timeStep;
+  }
+
+  /**
+   * Removes one step's worth of banked time
+   */
+  consumeStep() {
+    this.accumulator -= this.timeStep;
+  }
+
+  /**
+   * Moves simulation time forward by exactly one step
+   */
+  advance() {
+    this.tick++;
+    this.time = this.tick * this.timeStep;
+  }
+
+  /**
+   * Copies the clock at its current tick
+   * @returns {GameClock} Independent copy
+   */
+  clone() {
+    return Object.assign(new GameClock(this.timeStep), this);
+  }
+
+  /**
+   * Changes the simulation speed relative to real time
+   * @param {number} scale - Time scale (clamped between 0.1 and 4)
+   */
+  setTimeScale(scale) {
+    this.timeScale = Utils.clamp(scale, 0.1, 4);
+  }
+
+  /**
+   * Returns the simulation time in seconds
+   * @returns {number} Elapsed simulation time in seconds
+   */
+  getSeconds() {
+    return this.time / 1000;
+  }
+}
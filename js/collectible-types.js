@@ -0,0 +1,215 @@
+/**
+ * Registry of collectible types
+ *
+ * Each collectible type is declared once here: its size, spawn height range,
+ * spawn weight, animation and what it does to the player when collected.
+ * Effects only go through the player's effect API (addScore, addEffect,
+ * addShield), so Player needs no per-item methods; a collectible can also
+ * start a deadline event (see DeadlineEventTypes).
+ * Collectible, CollectibleFactory, Level and Assets all read from this
+ * registry.
+ */
+
+const CollectibleTypes = {
+  definitions: {},
+
+  /**
+   * Adds (or replaces) a collectible type
+   * @param {Object} definition - Collectible type definition
+   * @param {string} definition.type - Unique type name
+   * @param {string} definition.name - Display name for help screens
+   * @param {string} [definition.description] - Short effect description for help screens
+   * @param {number} definition.size - Sprite width and height
+   * @param {string} definition.emoji - Emoji drawn on top of the sprite
+   * @param {string} [definition.color] - Color of the generated circular sprite
+   * @param {Function} [definition.createSprite] - Custom sprite factory: (assets, definition) => canvas
+   * @param {number} [definition.weight=1] - Relative chance of being picked for random spawns
+   * @param {number[]} definition.spawnHeight - [min, max] height above the ground for random spawns
+   * @param {string} [definition.sound="collect"] - Sound effect played on pickup
+   * @param {boolean} [definition.isPowerUp=false] - Whether pickup is highlighted as a power-up
+   * @param {Function} [definition.setup] - Initializes per-instance state: (collectible) => void
+   * @param {Function} [definition.update] - Per-step animation: (collectible, deltaTime, clock) => void
+   * @param {Function} definition.onCollect - Pickup effect: (collectible, player) => void
+   * @param {string} [definition.deadlineEvent] - Deadline event started on pickup
+   * @returns {Object} The registered definition
+   */
+  register: function (definition) {
+    this.definitions[definition.type] = {
+      weight: 1,
+      sound: "collect",
+      isPowerUp: false,
+      ...definition,
+    };
+    return this.definitions[definition.type];
+  },
+
+  /**
+   * Looks up a collectible type
+   * @param {string} type - Type name
+   * @returns {Object|undefined} The definition, or undefined if not registered
+   */
+  get: function (type) {
+    return this.definitions[type];
+  },
+
+  /**
+   * Lists all registered collectible types in registration order
+   * @returns {Object[]} Collectible type definitions
+   */
+  list: function () {
+    return Object.values(this.definitions);
+  },
+
+  /**
+   * Picks a random type, weighted by each type's spawn weight
+   * @param {Object} [weights] - Optional weight overrides keyed by type name
+   * @returns {string} The selected type name
+   */
+  pickRandom: function (weights = {}) {
+    const table = {};
+    this.list().forEach((definition) => {
+      table[definition.type] =
+        weights[definition.type] !== undefined
+          ? weights[definition.type]
+          : definition.weight;
+    });
+    return Utils.pickWeighted(table);
+  },
+};
+
+CollectibleTypes.register({
+  type: "coffee",
+  name: "Coffee",
+  description: "A boost for the project",
+  size: 30,
+  emoji: "☕",
+  color: "#8b4513",
+  weight: 45,
+  spawnHeight: [50, 150],
+  isPowerUp: true,
+  setup: (collectible) => {
+    // Coffee bobs up and down
+    collectible.oscillateSpeed = 3;
+    collectible.oscillateRange = 10;
+    collectible.initialY = collectible.y;
+    collectible.oscillateOffset = GameRandom.next() * Math.PI * 2; // Random starting phase
+  },
+  update: (collectible, deltaTime, clock) => {
+    collectible.y =
+      collectible.initialY +
+      Math.sin(
+        clock.getSeconds() * collectible.oscillateSpeed +
+          collectible.oscillateOffset
+      ) *
+        collectible.oscillateRange;
+  },
+  onCollect: (collectible, player) => {
+    player.addScore(50);
+    player.addEffect("caffeinated");
+  },
+});
+
+CollectibleTypes.register({
+  type: "stackOverflow",
+  name: "Stack Overflow",
+  description: "Temporary invincibility",
+  size: 30,
+  emoji: "🛡️",
+  color: "#f48024",
+  weight: 20,
+  // Stack Overflow answers are higher up
+  spawnHeight: [100, 200],
+  sound: "powerup",
+  isPowerUp: true,
+  setup: (collectible) => {
+    // Stack Overflow answers pulse
+    collectible.pulseSpeed = 2;
+    collectible.pulseRange = 0.2;
+  },
+  update: (collectible, deltaTime, clock) => {
+    const pulseFactor =
+      1 +
+      Math.sin(clock.getSeconds() * collectible.pulseSpeed) *
+        collectible.pulseRange;
+    collectible.width = collectible.definition.size * pulseFactor;
+    collectible.height = collectible.definition.size * pulseFactor;
+  },
+  onCollect: (collectible, player) => {
+    player.addScore(100);
+    player.addEffect("invincible");
+  },
+});
+
+CollectibleTypes.register({
+  type: "gitCommit",
+  name: "Git Commit",
+  description: "Shields you from one crash",
+  size: 30,
+  emoji: "📌",
+  color: "#6cc644",
+  weight: 15,
+  // Git commits are at medium height
+  spawnHeight: [80, 120],
+  isPowerUp: true,
+  setup: (collectible) => {
+    // Git commits rotate
+    collectible.rotationSpeed = 1;
+    collectible.rotation = 0;
+  },
+  update: (collectible, deltaTime) => {
+    collectible.rotation += collectible.rotationSpeed * (deltaTime / 1000);
+  },
+  onCollect: (collectible, player) => {
+    player.addScore(150);
+    player.addShield();
+  },
+});
+
+CollectibleTypes.register({
+  type: "codeSnippet",
+  name: "Code Snippet",
+  description: "Extra points",
+  size: 20,
+  emoji: "💻",
+  color: "#ffffff",
+  weight: 20,
+  // Code snippets can be anywhere
+  spawnHeight: [30, 180],
+  onCollect: (collectible, player) => {
+    player.addScore(10);
+  },
+});
+
+CollectibleTypes.register({
+  type: "scopeCut",
+  name: "Scope Cut",
+  description: "Pushes the deadline back",
+  size: 30,
+  emoji: "✂️",
+  color: "#cc3366",
+  // Only spawns in themes that list it in their collectibleWeights
+  weight: 0,
+  spawnHeight: [60, 140],
+  sound: "powerup",
+  isPowerUp: true,
+  onCollect: (collectible, player) => {
+    player.addScore(25);
+  },
+  deadlineEvent: "scopeCut",
+});
+
+CollectibleTypes.register({
+  type: "hotfix",
+  name: "Hotfix",
+  description: "Damages a boss",
+  size: 30,
+  emoji: "🩹",
+  color: "#33cc99",
+  // Only dropped during boss encounters (see BossTypes weakness)
+  weight: 0,
+  spawnHeight: [40, 140],
+  sound: "bossHit",
+  onCollect: (collectible, player) => {
+    player.addScore(20);
+  },
+});
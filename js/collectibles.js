@@ -6,52 +6,27 @@ class Collectible extends Sprite {
   /**
    * Create a new collectible
    * @param {Object} options - Collectible options
-   * @param {string} options.type - Type of collectible (coffee, stackOverflow, gitCommit, codeSnippet)
+   * @param {string} [options.type="codeSnippet"] - Collectible type registered in CollectibleTypes
    * @param {number} options.speed - Horizontal movement speed
-   * @param {number} [options.x=800] - Initial x position
+   * @param {number} [options.x=Viewport.WORLD_WIDTH] - Initial x position
    * @param {number} [options.y=0] - Initial y position
    */
   constructor(options) {
-    const type = options.type || "codeSnippet";
-    let spriteImage, width, height;
-
-    // Set properties based on collectible type
-    switch (type) {
-      case "coffee":
-        spriteImage = Assets.images.collectibles.coffee;
-        width = 30;
-        height = 30;
-        break;
-      case "stackOverflow":
-        spriteImage = Assets.images.collectibles.stackOverflow;
-        width = 30;
-        height = 30;
-        break;
-      case "gitCommit":
-        spriteImage = Assets.images.collectibles.gitCommit;
-        width = 30;
-        height = 30;
-        break;
-      case "codeSnippet":
-        spriteImage = Assets.images.collectibles.codeSnippet;
-        width = 20;
-        height = 20;
-        break;
-      default:
-        spriteImage = Assets.images.collectibles.codeSnippet;
-        width = 20;
-        height = 20;
-    }
+    // Unknown types fall back to a plain code snippet
+    const definition =
+      CollectibleTypes.get(options.type || "codeSnippet") ||
+      CollectibleTypes.get("codeSnippet");
 
     super({
-      image: spriteImage,
-      x: options.x || 800,
+      image: Assets.getCollectibleSprite(definition.type),
+      x: options.x || Viewport.WORLD_WIDTH,
       y: options.y || 0,
-      width: width,
-      height: height,
+      width: definition.size,
+      height: definition.size,
     });
 
-    this.type = type;
+    this.type = definition.type;
+    this.definition = definition;
     this.velocityX = -(options.speed || 300);
 
     // Adjust collision box to be slightly smaller than sprite
@@ -73,72 +48,26 @@ class Collectible extends Sprite {
    * Initialize special movement and visual properties based on collectible type
    */
   setupSpecialProperties() {
-    switch (this.type) {
-      case "coffee":
-        // Coffee bobs up and down
-        this.oscillateSpeed = 3;
-        this.oscillateRange = 10;
-        this.initialY = this.y;
-        this.oscillateOffset = Math.random() * Math.PI * 2; // Random starting phase
-        break;
-
-      case "stackOverflow":
-        // Stack Overflow answers pulse
-        this.pulseSpeed = 2;
-        this.pulseRange = 0.2;
-        this.initialScale = 1;
-        break;
-
-      case "gitCommit":
-        // Git commits rotate
-        this.rotationSpeed = 1;
-        this.rotation = 0;
-        break;
-
-      case "codeSnippet":
-        // Code snippets no longer sparkle
-        // No special properties needed
-        break;
+    if (this.definition.setup) {
+      this.definition.setup(this);
     }
   }
 
   /**
    * Update collectible position and special behaviors
    * @param {number} deltaTime - Time since last update in milliseconds
+   * @param {GameClock} clock - Simulation clock used for time-based animation
    */
-  update(deltaTime) {
-    super.update(deltaTime);
+  update(deltaTime, clock) {
+    super.update(deltaTime, clock);
 
     // Apply special behaviors based on collectible type
-    switch (this.type) {
-      case "coffee":
-        // Oscillate up and down
-        this.y =
-          this.initialY +
-          Math.sin(
-            (Date.now() / 1000) * this.oscillateSpeed + this.oscillateOffset
-          ) *
-            this.oscillateRange;
-        break;
-
-      case "stackOverflow":
-        // Pulse size
-        const pulseFactor =
-          1 + Math.sin((Date.now() / 1000) * this.pulseSpeed) * this.pulseRange;
-        this.width = 30 * pulseFactor;
-        this.height = 30 * pulseFactor;
-        this.updateCollisionBox();
-        break;
-
-      case "gitCommit":
-        // Rotate (visual effect only, not implemented in this simple version)
-        this.rotation += this.rotationSpeed * (deltaTime / 1000);
-        break;
-
-      case "codeSnippet":
-        break;
+    if (this.definition.update) {
+      this.definition.update(this, deltaTime, clock);
     }
 
+    this.updateCollisionBox();
+
     // Remove if off screen
     if (this.x < -this.width) {
       this.isActive = false;
@@ -160,22 +89,11 @@ class Collectible extends Sprite {
    * @param {Player} player - Player object
    */
   applyEffect(player) {
-    switch (this.type) {
-      case "coffee":
-        player.collectCoffee();
-        break;
-
-      case "stackOverflow":
-        player.collectStackOverflow();
-        break;
-
-      case "gitCommit":
-        player.collectGitCommit();
-        break;
+    player.recordCollected(this.type);
+    this.definition.onCollect(this, player);
 
-      case "codeSnippet":
-        player.collectCodeSnippet();
-        break;
+    if (Assets.playSfx && this.definition.sound) {
+      Assets.playSfx(this.definition.sound);
     }
 
     // Deactivate the collectible after it's collected
@@ -187,18 +105,7 @@ class Collectible extends Sprite {
    * @returns {string} - Emoji character
    */
   getCollectibleEmoji() {
-    switch (this.type) {
-      case "coffee":
-        return "☕";
-      case "stackOverflow":
-        return "🛡️";
-      case "gitCommit":
-        return "📌";
-      case "codeSnippet":
-        return "💻";
-      default:
-        return "❓";
-    }
+    return this.definition.emoji || "❓";
   }
 
   /**
@@ -208,8 +115,8 @@ class Collectible extends Sprite {
   draw(ctx) {
     ctx.save();
 
-    // Apply rotation for git commits
-    if (this.type === "gitCommit" && this.rotation) {
+    // Apply rotation for spinning collectibles (such as git commits)
+    if (this.rotation) {
       ctx.translate(this.x + this.width / 2, this.y + this.height / 2);
       ctx.rotate(this.rotation);
       ctx.drawImage(
@@ -261,25 +168,21 @@ class Collectible extends Sprite {
 const CollectibleFactory = {
   /**
    * Create a random collectible with weighted probability
+   * Types are drawn from CollectibleTypes according to their spawn weights
    * @param {number} speed - Base speed for the collectible
    * @param {number} groundY - Y position of the ground
+   * @param {Object} [weights] - Optional spawn weight overrides keyed by type
+   * @param {number} [x] - World x to spawn at (the right edge of the default world if omitted)
    * @returns {Collectible} - New collectible instance
    */
-  createRandom: function (speed, groundY) {
-    const rand = Math.random();
-    let type;
-
-    if (rand < 0.6) {
-      type = "codeSnippet"; // 60% chance
-    } else if (rand < 0.85) {
-      type = "coffee"; // 25% chance
-    } else if (rand < 0.95) {
-      type = "stackOverflow"; // 10% chance
-    } else {
-      type = "gitCommit"; // 5% chance
-    }
-
-    return this.create(type, speed, groundY);
+  createRandom: function (speed, groundY, weights, x) {
+    return this.create(
+      CollectibleTypes.pickRandom(weights),
+      speed,
+      groundY,
+      undefined,
+      x
+    );
   },
 
   /**
@@ -287,40 +190,22 @@ const CollectibleFactory = {
    * @param {string} type - Collectible type
    * @param {number} speed - Base speed for the collectible
    * @param {number} groundY - Y position of the ground
+   * @param {number} [y] - Exact y position (a random height from the type's spawn range if omitted)
+   * @param {number} [x=Viewport.WORLD_WIDTH] - World x to spawn at, usually the level's right edge
    * @returns {Collectible} - New collectible instance
    */
-  create: function (type, speed, groundY) {
-    let y;
-
-    switch (type) {
-      case "coffee":
-        // Coffee can be at various heights
-        y = groundY - Utils.randomInt(50, 150);
-        break;
-
-      case "stackOverflow":
-        // Stack Overflow answers are higher up
-        y = groundY - Utils.randomInt(100, 200);
-        break;
-
-      case "gitCommit":
-        // Git commits are at medium height
-        y = groundY - Utils.randomInt(80, 120);
-        break;
-
-      case "codeSnippet":
-        // Code snippets can be anywhere
-        y = groundY - Utils.randomInt(30, 180);
-        break;
-
-      default:
-        y = groundY - 100;
+  create: function (type, speed, groundY, y, x = Viewport.WORLD_WIDTH) {
+    if (y === undefined) {
+      const definition = CollectibleTypes.get(type);
+      y = definition
+        ? groundY - Utils.randomInt(...definition.spawnHeight)
+        : groundY - 100;
     }
 
     return new Collectible({
       type: type,
       speed: speed,
-      x: 800,
+      x: x,
       y: y,
     });
   },
@@ -0,0 +1,83 @@
+/**
+ * Registry of deadline events
+ *
+ * Deadline events are scripted changes to the pace of the project: some speed
+ * the deadline up for a while, some move it back at once. Each event type is
+ * declared once here; Deadline keeps track of the active ones, themes decide
+ * when they are triggered (see Themes deadlineEvents) and collectibles can
+ * trigger them on pickup (see CollectibleTypes deadlineEvent). Every event is
+ * announced in the HUD when it starts.
+ *
+ * Modifiers, multiplied across active events:
+ *   deadlineScale  Multiplies how fast the deadline advances
+ *   scoreScale     Multiplies the score earned from distance and pickups
+ */
+
+const DeadlineEventTypes = {
+  definitions: {},
+
+  /**
+   * Adds (or replaces) a deadline event type
+   * @param {Object} definition - Deadline event definition
+   * @param {string} definition.name - Unique event name
+   * @param {string} definition.label - Display name shown when the event starts
+   * @param {string} definition.icon - HUD icon
+   * @param {string} [definition.message] - Announcement shown under the label
+   * @param {number} [definition.duration=0] - How long the event lasts in ms (0 for one-off events)
+   * @param {number} [definition.pushback=0] - World units the deadline is moved back when the event starts
+   * @param {Object} [definition.modifiers] - Modifiers applied while active (see above)
+   * @param {string} [definition.sound] - Sound effect played when the event starts
+   * @param {boolean} [definition.isHarmful=false] - Announced as bad news
+   * @returns {Object} The registered definition
+   */
+  register: function (definition) {
+    this.definitions[definition.name] = {
+      message: "",
+      duration: 0,
+      pushback: 0,
+      modifiers: {},
+      isHarmful: false,
+      ...definition,
+    };
+    return this.definitions[definition.name];
+  },
+
+  /**
+   * Looks up a deadline event type
+   * @param {string} name - Event name
+   * @returns {Object|undefined} The definition, or undefined if not registered
+   */
+  get: function (name) {
+    return this.definitions[name];
+  },
+};
+
+DeadlineEventTypes.register({
+  name: "sprintReview",
+  label: "Sprint Review",
+  icon: "🏃",
+  message: "The deadline is closing in fast!",
+  duration: 8000,
+  modifiers: { deadlineScale: 2 },
+  sound: "deadline",
+  isHarmful: true,
+});
+
+DeadlineEventTypes.register({
+  name: "crunchMode",
+  label: "Crunch Mode",
+  icon: "🔥",
+  message: "Double score, but the deadline speeds up",
+  duration: 10000,
+  modifiers: { deadlineScale: 1.5, scoreScale: 2 },
+  sound: "powerup",
+  isHarmful: true,
+});
+
+DeadlineEventTypes.register({
+  name: "scopeCut",
+  label: "Scope Cut",
+  icon: "✂️",
+  message: "The deadline moves back",
+  pushback: 60, // The pickup already plays its own sound
+});
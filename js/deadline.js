@@ -0,0 +1,284 @@
+/**
+ * The deadline chasing the player
+ *
+ * The deadline starts at the left edge of the world and creeps towards the
+ * player; the run ends when it reaches the player's x position. It moves
+ * slowly during a grace period, then faster the slower the player runs, the
+ * higher the difficulty and the more pressure the theme puts on. Everything
+ * that shows the deadline (the line on the canvas, the HUD bar, the warning
+ * sounds) reads from getStatus, so they all agree on how close it is.
+ * Deadline events (see DeadlineEventTypes) speed it up for a while or move it
+ * back.
+ */
+
+class Deadline {
+  /**
+   * Create a deadline
+   * @param {Object} [options] - Deadline options
+   * @param {number} [options.targetX=100] - X position of the player it is chasing
+   * @param {number} [options.speed=8] - Base speed in world units per second
+   */
+  constructor(options = {}) {
+    this.targetX = options.targetX || 100;
+    this.speed = options.speed || 8; // Reduced from 15 to 8 to make it much slower
+    this.position = 0;
+    this.closingSpeed = 0; // World units per second in the last step
+    this.events = []; // Active deadline events: { name, definition, remaining }
+    this.eventCount = 0; // Events started so far, so the HUD can spot new ones
+    this.lastEvent = null; // Definition of the most recently started event
+  }
+
+  /**
+   * Moves the deadline back to the left edge
+   */
+  reset() {
+    this.position = 0;
+    this.closingSpeed = 0;
+    this.events = [];
+    this.eventCount = 0;
+    this.lastEvent = null;
+  }
+
+  /**
+   * Starts a deadline event
+   * One-off events such as a scope cut only move the deadline back; timed
+   * events restart their timer if they are already active.
+   * @param {string} name - Event name registered in DeadlineEventTypes
+   * @returns {boolean} True if the event was started
+   */
+  startEvent(name) {
+    const definition = DeadlineEventTypes.get(name);
+    if (!definition) {
+      console.warn(`Unknown deadline event: ${name}`);
+      return false;
+    }
+
+    this.position = Math.max(0, this.position - definition.pushback);
+
+    if (definition.duration > 0) {
+      const active = this.events.find((event) => event.name === name);
+      if (active) {
+        active.remaining = definition.duration;
+      } else {
+        this.events.push({
+          name: name,
+          definition: definition,
+          remaining: definition.duration,
+        });
+      }
+    }
+
+    this.eventCount++;
+    this.lastEvent = definition;
+    return true;
+  }
+
+  /**
+   * Combines a modifier across the active events
+   * @param {string} modifier - Modifier name, e.g. 'deadlineScale' or 'scoreScale'
+   * @returns {number} Product of the modifier (1 if no active event sets it)
+   */
+  getScale(modifier) {
+    return this.events.reduce(
+      (scale, event) =>
+        event.definition.modifiers[modifier] !== undefined
+          ? scale * event.definition.modifiers[modifier]
+          : scale,
+      1
+    );
+  }
+
+  /**
+   * Advances the deadline by one step
+   * @param {number} deltaTime - Time since last update in ms
+   * @param {Player} player - Player being chased
+   * @param {Object} conditions - Current level conditions
+   * @param {number} conditions.gameTimeSeconds - Time into the run at base speed
+   * @param {number} conditions.difficulty - Level difficulty
+   * @param {number} conditions.pressure - Theme multiplier (see Themes deadlinePressure)
+   * @returns {boolean} True if the deadline caught up with the player
+   */
+  update(deltaTime, player, conditions) {
+    this.targetX = player.x;
+
+    // Deadline moves much slower during the grace period
+    let speedMultiplier = 0.05; // Reduced from 0.1 to 0.05
+
+    if (conditions.gameTimeSeconds >= Deadline.GRACE_PERIOD) {
+      // After grace period, deadline speed depends on player speed
+      // Never divide by a stopped player, or the deadline would jump to Infinity
+      const playerSpeed = Math.max(1, player.getSpeed());
+      const baseSpeed = player.baseSpeed;
+
+      // If player is moving at base speed, deadline slowly catches up
+      // If player is boosted, deadline falls behind
+      speedMultiplier = (baseSpeed / playerSpeed) * conditions.difficulty * 0.7; // Added 0.7 multiplier to slow down deadline
+
+      // Status effects such as coffee slow the deadline down significantly
+      speedMultiplier *= player.effects.getScale("deadlineScale");
+
+      // Ensure deadline always moves at least a little bit
+      speedMultiplier = Math.max(0.05, speedMultiplier); // Reduced from 0.1 to 0.05
+    }
+
+    this.closingSpeed =
+      this.speed *
+      speedMultiplier *
+      conditions.pressure *
+      this.getScale("deadlineScale");
+    this.position += this.closingSpeed * (deltaTime / 1000);
+
+    this.updateEvents(deltaTime);
+
+    return this.isCaught();
+  }
+
+  /**
+   * Counts down the active events and drops the ones that ran out
+   * @param {number} deltaTime - Time since last update in ms
+   */
+  updateEvents(deltaTime) {
+    this.events.forEach((event) => {
+      event.remaining -= deltaTime;
+    });
+    this.events = this.events.filter((event) => event.remaining > 0);
+  }
+
+  /**
+   * Checks whether the deadline has caught up with the player
+   * @returns {boolean} True if the deadline reached the player
+   */
+  isCaught() {
+    return this.position >= this.targetX;
+  }
+
+  /**
+   * Returns how much ground the player has left
+   * @returns {number} World units between the deadline and the player (0 once caught)
+   */
+  getDistance() {
+    return Math.max(0, this.targetX - this.position);
+  }
+
+  /**
+   * Returns how far the deadline has come
+   * @returns {number} Percentage of the way from the left edge to the player (0-100)
+   */
+  getProximity() {
+    return Math.min(100, (this.position / this.targetX) * 100);
+  }
+
+  /**
+   * Estimates how long until the deadline catches up if speeds stay the same
+   * @returns {number} Seconds until collision (Infinity while the deadline isn't moving)
+   */
+  getEta() {
+    return this.closingSpeed > 0
+      ? this.getDistance() / this.closingSpeed
+      : Infinity;
+  }
+
+  /**
+   * Works out how urgent the deadline is
+   * A tier is reached when either its proximity or its ETA threshold is.
+   * @returns {number} Index into Deadline.TIERS (0 is safe)
+   */
+  getTierIndex() {
+    const proximity = this.getProximity();
+    const eta = this.getEta();
+
+    for (let i = Deadline.TIERS.length - 1; i > 0; i--) {
+      const tier = Deadline.TIERS[i];
+      if (proximity >= tier.proximity || eta <= tier.eta) return i;
+    }
+    return 0;
+  }
+
+  /**
+   * Summarizes the deadline for the HUD, renderer and agents
+   * @returns {{position: number, distance: number, proximity: number, closingSpeed: number, eta: number, tier: string, tierIndex: number, events: Object[]}}
+   */
+  getStatus() {
+    const tierIndex = this.getTierIndex();
+    return {
+      position: this.position,
+      distance: this.getDistance(),
+      proximity: this.getProximity(),
+      closingSpeed: this.closingSpeed,
+      eta: this.getEta(),
+      tier: Deadline.TIERS[tierIndex].name,
+      tierIndex: tierIndex,
+      events: this.events.map((event) => ({
+        name: event.name,
+        label: event.definition.label,
+        icon: event.definition.icon,
+        remaining: event.remaining,
+      })),
+    };
+  }
+
+  /**
+   * Draws the deadline line, glowing wider and pulsing as it gets more urgent
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} height - Height of the world
+   * @param {number} time - Simulation time in seconds, for the pulse
+   */
+  draw(ctx, height, time) {
+    const tierIndex = this.getTierIndex();
+    const glowWidth = 20 + tierIndex * 15;
+    const pulse = tierIndex >= 2 ? 0.75 + 0.25 * Math.sin(time * 10) : 1;
+
+    // Draw deadline as a vertical red line with gradient
+    const gradient = ctx.createLinearGradient(
+      this.position - glowWidth,
+      0,
+      this.position,
+      0
+    );
+    gradient.addColorStop(0, "rgba(255, 0, 0, 0)");
+    gradient.addColorStop(1, `rgba(255, 0, 0, ${0.7 * pulse})`);
+
+    ctx.fillStyle = gradient;
+    ctx.fillRect(this.position - glowWidth, 0, glowWidth, height);
+
+    // Draw deadline line
+    ctx.strokeStyle = "rgba(255, 0, 0, 0.9)";
+    ctx.lineWidth = 2 + tierIndex;
+    ctx.beginPath();
+    ctx.moveTo(this.position, 0);
+    ctx.lineTo(this.position, height);
+    ctx.stroke();
+
+    // Draw deadline text
+    ctx.save();
+    ctx.translate(this.position - 10, height / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillStyle = "#ff0000";
+    ctx.font = "bold 16px Arial";
+    ctx.fillText("DEADLINE", 0, 0);
+    ctx.restore();
+  }
+}
+
+// Seconds of slow deadline at the start of a run
+Deadline.GRACE_PERIOD = 10;
+
+// Warning tiers, least urgent first; each escalation plays its sound and screen effect
+Deadline.TIERS = [
+  { name: "safe", proximity: 0, eta: 0 },
+  {
+    name: "warning",
+    proximity: 50,
+    eta: 10,
+    sound: "deadline",
+    effect: "flash",
+  },
+  { name: "danger", proximity: 75, eta: 5, sound: "deadline", effect: "flash" },
+  {
+    name: "critical",
+    proximity: 90,
+    eta: 2,
+    sound: "deadlineCritical",
+    effect: "shake",
+  },
+];
@@ -0,0 +1,763 @@
+/**
+ * In-browser level editor for authored segments
+ *
+ * Obstacles and collectibles are placed on a scrolling timeline drawn over
+ * the normal level rendering, with their collision boxes outlined. The
+ * timeline's start marker is offset 0 of the segment: the right edge of the
+ * screen at the moment the segment spawns in a run. Segments are kept in
+ * localStorage and exported in the levels/segments.json format.
+ */
+
+class LevelEditor {
+  /**
+   * Create the level editor
+   * @param {Object} options - Editor options
+   * @param {HTMLCanvasElement} options.canvas - Game canvas to draw on and take mouse input from
+   * @param {Viewport} options.viewport - Viewport mapping the world onto the canvas
+   * @param {Function} options.onPlayTest - Called with the validated segment to play it
+   * @param {Function} options.onExit - Called when the player leaves the editor
+   */
+  constructor(options) {
+    this.canvas = options.canvas;
+    this.ctx = this.canvas.getContext("2d");
+    this.viewport = options.viewport;
+    this.onPlayTest = options.onPlayTest;
+    this.onExit = options.onExit;
+
+    this.isOpen = false;
+
+    // Timeline layout
+    this.originX = 200; // World x of offset 0 when the timeline is not scrolled
+    this.scrollX = 0;
+    this.gridSize = 10; // Offsets and heights snap to multiples of this
+
+    // Segment being edited
+    this.segment = LevelEditor.createEmptySegment();
+    this.selectedIndex = -1;
+    this.drag = null; // Entity being moved: { index, grabX, grabY }
+
+    // Saved segments
+    this.library = LevelEditor.loadLibrary();
+
+    // Level and player used for drawing only; nothing is simulated
+    this.level = null;
+    this.player = null;
+    this.instances = []; // Obstacle/Collectible per segment entity, same order
+
+    // Toolbar elements
+    this.screen = document.getElementById("editor-screen");
+    this.paletteSelect = document.getElementById("editor-palette");
+    this.actionSelect = document.getElementById("editor-action");
+    this.idInput = document.getElementById("editor-id");
+    this.minDifficultyInput = document.getElementById("editor-min-difficulty");
+    this.maxDifficultyInput = document.getElementById("editor-max-difficulty");
+    this.weightInput = document.getElementById("editor-weight");
+    this.savedSelect = document.getElementById("editor-saved");
+    this.statusElement = document.getElementById("editor-status");
+    this.fileInput = document.getElementById("editor-file-input");
+
+    this.setupControls();
+  }
+
+  /**
+   * Creates a blank segment draft
+   * @returns {Object} Segment with default settings and no entities
+   */
+  static createEmptySegment() {
+    return {
+      id: "new-segment",
+      name: "new-segment",
+      weight: 1,
+      minDifficulty: 1,
+      maxDifficulty: null,
+      entities: [],
+    };
+  }
+
+  /**
+   * Reads the saved segments from local storage
+   * @returns {SegmentLibrary} Saved segments (empty if none or unreadable)
+   */
+  static loadLibrary() {
+    try {
+      const saved = localStorage.getItem(LevelEditor.STORAGE_KEY);
+      if (!saved) return new SegmentLibrary();
+
+      return SegmentLibrary.fromJSON(saved);
+    } catch (error) {
+      console.warn("Ignoring unreadable saved segments:", error.message);
+      return new SegmentLibrary();
+    }
+  }
+
+  /**
+   * Writes the saved segments to local storage
+   * If storage is full or blocked, the segments are kept for this session and
+   * the status line says so.
+   * @returns {boolean} True if the segments were written
+   */
+  persistLibrary() {
+    try {
+      localStorage.setItem(
+        LevelEditor.STORAGE_KEY,
+        JSON.stringify(this.library.toJSON())
+      );
+      return true;
+    } catch (error) {
+      console.warn("Could not save segments:", error.message);
+      this.setStatus(
+        `Could not write to local storage (${error.message}); export your segments to keep them`,
+        true
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Fills the palette from the type registries and wires up toolbar, mouse and keyboard input
+   */
+  setupControls() {
+    [
+      ["Obstacles", "obstacle", ObstacleTypes.list()],
+      ["Collectibles", "collectible", CollectibleTypes.list()],
+    ].forEach(([label, kind, definitions]) => {
+      const group = document.createElement("optgroup");
+      group.label = label;
+      definitions.forEach((definition) => {
+        const option = document.createElement("option");
+        option.value = `${kind}:${definition.type}`;
+        option.textContent = `${definition.emoji} ${definition.name}`;
+        group.appendChild(option);
+      });
+      this.paletteSelect.appendChild(group);
+    });
+
+    SegmentLibrary.ACTIONS.forEach((action) => {
+      const option = document.createElement("option");
+      option.value = action;
+      option.textContent = action;
+      this.actionSelect.appendChild(option);
+    });
+
+    const buttons = {
+      "editor-new": () => this.newSegment(),
+      "editor-play": () => this.playTest(),
+      "editor-save": () => this.saveSegment(),
+      "editor-delete": () => this.deleteSegment(),
+      "editor-export": () => this.exportLibrary(),
+      "editor-import": () => this.fileInput.click(),
+      "editor-back": () => this.close(),
+    };
+    Object.entries(buttons).forEach(([id, handler]) => {
+      document.getElementById(id).addEventListener("click", handler);
+    });
+
+    this.fileInput.addEventListener("change", () => {
+      const file = this.fileInput.files[0];
+      if (file) {
+        this.importLibrary(file);
+      }
+      // Allow the same file to be chosen again
+      this.fileInput.value = "";
+    });
+
+    this.savedSelect.addEventListener("change", () => {
+      if (this.savedSelect.value) {
+        this.openSegment(this.savedSelect.value);
+      }
+    });
+
+    this.actionSelect.addEventListener("change", () => {
+      const entity = this.segment.entities[this.selectedIndex];
+      if (entity) {
+        entity.action = this.actionSelect.value;
+      }
+    });
+
+    [
+      this.idInput,
+      this.minDifficultyInput,
+      this.maxDifficultyInput,
+      this.weightInput,
+    ].forEach((input) => {
+      input.addEventListener("change", () => this.readFields());
+    });
+
+    this.canvas.addEventListener("mousedown", (e) => this.handleMouseDown(e));
+    this.canvas.addEventListener("mousemove", (e) => this.handleMouseMove(e));
+    window.addEventListener("mouseup", () => {
+      this.drag = null;
+    });
+    this.canvas.addEventListener(
+      "wheel",
+      (e) => {
+        if (!this.isOpen) return;
+        e.preventDefault();
+        this.scrollBy(e.deltaX || e.deltaY);
+      },
+      { passive: false }
+    );
+
+    document.addEventListener("keydown", (e) => this.handleKeyDown(e));
+  }
+
+  /**
+   * Shows the editor over the game canvas
+   * @param {string} [message] - Status message, e.g. the result of a play test
+   */
+  open(message) {
+    this.isOpen = true;
+    this.drag = null;
+
+    // Segments are edited on the default play field, whatever the canvas size
+    this.viewport.setWorldSize(Viewport.WORLD_WIDTH, Viewport.WORLD_HEIGHT);
+    this.level = new Level({
+      theme: "startup",
+      width: Viewport.WORLD_WIDTH,
+      height: Viewport.WORLD_HEIGHT,
+      seed: 0,
+      clock: new GameClock(),
+      segments: new SegmentLibrary(),
+      autoSpawn: false,
+    });
+    this.player = new Player({ groundY: this.level.groundY });
+
+    this.updateFields();
+    this.updateSavedList();
+    this.setStatus(
+      message ||
+        "Click to place, drag to move, Delete to remove, scroll to pan the timeline"
+    );
+    this.rebuild();
+  }
+
+  /**
+   * Hides the editor and returns to the start screen
+   */
+  close() {
+    this.isOpen = false;
+    this.drag = null;
+    this.onExit();
+  }
+
+  /**
+   * Validates the draft and hands it to the game to play
+   */
+  playTest() {
+    this.readFields();
+
+    let segment;
+    try {
+      segment = SegmentLibrary.validateSegment(this.segment);
+    } catch (error) {
+      this.setStatus(error.message, true);
+      return;
+    }
+
+    this.isOpen = false;
+    this.drag = null;
+    this.onPlayTest(segment);
+  }
+
+  /**
+   * Replaces the draft with an empty segment
+   */
+  newSegment() {
+    this.segment = LevelEditor.createEmptySegment();
+    this.selectedIndex = -1;
+    this.scrollX = 0;
+    this.updateFields();
+    this.setStatus("New segment");
+    this.rebuild();
+  }
+
+  /**
+   * Loads a saved segment into the draft
+   * @param {string} id - Saved segment id
+   */
+  openSegment(id) {
+    const saved = this.library.get(id);
+    if (!saved) return;
+
+    this.segment = {
+      ...saved,
+      entities: saved.entities.map((entity) => ({ ...entity })),
+    };
+    this.selectedIndex = -1;
+    this.scrollX = 0;
+    this.updateFields();
+    this.setStatus(`Opened "${id}"`);
+    this.rebuild();
+  }
+
+  /**
+   * Validates the draft and saves it to local storage, replacing any segment with the same id
+   */
+  saveSegment() {
+    this.readFields();
+
+    let segment;
+    try {
+      segment = this.library.add(this.segment);
+    } catch (error) {
+      this.setStatus(error.message, true);
+      return;
+    }
+
+    const isPersisted = this.persistLibrary();
+    this.updateSavedList();
+    if (!isPersisted) return;
+
+    // Saving is allowed either way, but flag layouts nobody could get through
+    const result = new SolvabilityChecker().checkSegment(segment, {
+      width: this.level.width,
+      height: this.level.height,
+    });
+    if (result.solvable === false) {
+      const blocker = segment.entities[result.blockerIndex];
+      const type = blocker ? blocker.type : "obstacle";
+      this.selectedIndex = result.blockerIndex;
+      this.updateActionField();
+      this.render();
+      this.setStatus(
+        `Saved "${segment.id}", but Mac cannot get past the selected ${type}`,
+        true
+      );
+      return;
+    }
+
+    this.setStatus(`Saved "${segment.id}"`);
+  }
+
+  /**
+   * Removes the draft's id from the saved segments
+   */
+  deleteSegment() {
+    if (!this.library.get(this.segment.id)) {
+      this.setStatus(`"${this.segment.id}" has not been saved`, true);
+      return;
+    }
+
+    this.library.remove(this.segment.id);
+    const isPersisted = this.persistLibrary();
+    this.updateSavedList();
+    if (!isPersisted) return;
+
+    this.setStatus(`Deleted "${this.segment.id}"`);
+  }
+
+  /**
+   * Downloads all saved segments as a segment file
+   */
+  exportLibrary() {
+    if (this.library.isEmpty()) {
+      this.setStatus("Save a segment before exporting", true);
+      return;
+    }
+
+    Utils.downloadFile(
+      "segments.json",
+      JSON.stringify(this.library.toJSON(), null, 2),
+      "application/json"
+    );
+  }
+
+  /**
+   * Adds every segment of a segment file to the saved segments
+   * @param {File} file - Segment file chosen by the user
+   */
+  async importLibrary(file) {
+    try {
+      const imported = SegmentLibrary.fromJSON(await file.text());
+      imported.segments.forEach((segment) => this.library.add(segment));
+      const isPersisted = this.persistLibrary();
+      this.updateSavedList();
+      if (!isPersisted) return;
+
+      this.setStatus(`Imported ${imported.segments.length} segment(s)`);
+    } catch (error) {
+      console.error("Error importing segments:", error);
+      this.setStatus(`Could not import segments: ${error.message}`, true);
+    }
+  }
+
+  /**
+   * Copies the toolbar fields into the draft
+   */
+  readFields() {
+    const id = this.idInput.value.trim();
+    const maxDifficulty = this.maxDifficultyInput.value.trim();
+
+    this.segment.id = id;
+    this.segment.name = id;
+    this.segment.minDifficulty = Number(this.minDifficultyInput.value) || 1;
+    this.segment.maxDifficulty =
+      maxDifficulty === "" ? null : Number(maxDifficulty);
+    this.segment.weight = Number(this.weightInput.value);
+  }
+
+  /**
+   * Shows the draft's settings in the toolbar fields
+   */
+  updateFields() {
+    this.idInput.value = this.segment.id;
+    this.minDifficultyInput.value = this.segment.minDifficulty;
+    this.maxDifficultyInput.value =
+      this.segment.maxDifficulty === null ? "" : this.segment.maxDifficulty;
+    this.weightInput.value = this.segment.weight;
+    this.updateActionField();
+  }
+
+  /**
+   * Shows the selected entity's action, or disables the action field if nothing is selected
+   */
+  updateActionField() {
+    const entity = this.segment.entities[this.selectedIndex];
+    this.actionSelect.disabled = !entity;
+    this.actionSelect.value = entity ? entity.action : "none";
+  }
+
+  /**
+   * Lists the saved segments in the open menu
+   */
+  updateSavedList() {
+    this.savedSelect.innerHTML = "";
+
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+    placeholder.textContent = `Open saved (${this.library.segments.length})`;
+    this.savedSelect.appendChild(placeholder);
+
+    this.library.segments.forEach((segment) => {
+      const option = document.createElement("option");
+      option.value = segment.id;
+      option.textContent = segment.id;
+      this.savedSelect.appendChild(option);
+    });
+  }
+
+  /**
+   * Shows a message in the toolbar
+   * @param {string} text - Message to show
+   * @param {boolean} [isError=false] - Whether to highlight it as a problem
+   */
+  setStatus(text, isError = false) {
+    this.statusElement.textContent = text;
+    this.statusElement.classList.toggle("error", isError);
+  }
+
+  /**
+   * Converts a world x position to a segment offset
+   * @param {number} x - World x position
+   * @returns {number} Offset from the segment start
+   */
+  toOffset(x) {
+    return x - this.originX + this.scrollX;
+  }
+
+  /**
+   * Converts a segment offset to a world x position
+   * @param {number} offset - Offset from the segment start
+   * @returns {number} World x position
+   */
+  toScreenX(offset) {
+    return offset + this.originX - this.scrollX;
+  }
+
+  /**
+   * Rounds a value to the editor grid
+   * @param {number} value - Value in pixels
+   * @returns {number} Nearest multiple of gridSize
+   */
+  snap(value) {
+    return Math.round(value / this.gridSize) * this.gridSize;
+  }
+
+  /**
+   * Gets the drawn size of an entity's type
+   * @param {Object} entity - Segment entity
+   * @returns {{width: number, height: number}} Size in pixels
+   */
+  getEntitySize(entity) {
+    if (entity.kind === "obstacle") {
+      const definition = ObstacleTypes.get(entity.type);
+      return { width: definition.width, height: definition.height };
+    }
+
+    const size = CollectibleTypes.get(entity.type).size;
+    return { width: size, height: size };
+  }
+
+  /**
+   * Finds the topmost entity under a world position
+   * @param {number} x - World x position
+   * @param {number} y - World y position
+   * @returns {number} Entity index, or -1 if there is none
+   */
+  findEntityAt(x, y) {
+    for (let i = this.instances.length - 1; i >= 0; i--) {
+      const instance = this.instances[i];
+      if (
+        x >= instance.x &&
+        x <= instance.x + instance.width &&
+        y >= instance.y &&
+        y <= instance.y + instance.height
+      ) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Moves an entity so its center is at a world position, snapped to the grid
+   * @param {Object} entity - Segment entity
+   * @param {number} x - World x position of the entity's center
+   * @param {number} y - World y position of the entity's center
+   */
+  moveEntity(entity, x, y) {
+    const size = this.getEntitySize(entity);
+    entity.x = Math.max(0, this.snap(this.toOffset(x - size.width / 2)));
+    entity.height = Math.max(
+      0,
+      this.snap(this.level.groundY - (y + size.height / 2))
+    );
+  }
+
+  /**
+   * Selects the entity under the cursor or places the palette type there
+   * @param {MouseEvent} e - Mouse event
+   */
+  handleMouseDown(e) {
+    if (!this.isOpen) return;
+    e.preventDefault();
+
+    const { x, y } = this.getMousePosition(e);
+    let index = this.findEntityAt(x, y);
+
+    if (index === -1) {
+      const [kind, type] = this.paletteSelect.value.split(":");
+      const entity = {
+        kind: kind,
+        type: type,
+        x: 0,
+        height: 0,
+        action: kind === "obstacle" ? "jump" : "collect",
+      };
+      this.moveEntity(entity, x, y);
+      this.segment.entities.push(entity);
+      index = this.segment.entities.length - 1;
+      this.rebuild();
+    }
+
+    const instance = this.instances[index];
+    this.selectedIndex = index;
+    this.drag = {
+      index: index,
+      grabX: x - (instance.x + instance.width / 2),
+      grabY: y - (instance.y + instance.height / 2),
+    };
+    this.updateActionField();
+    this.render();
+  }
+
+  /**
+   * Drags the grabbed entity
+   * @param {MouseEvent} e - Mouse event
+   */
+  handleMouseMove(e) {
+    if (!this.isOpen || !this.drag) return;
+
+    const { x, y } = this.getMousePosition(e);
+    this.moveEntity(
+      this.segment.entities[this.drag.index],
+      x - this.drag.grabX,
+      y - this.drag.grabY
+    );
+    this.rebuild();
+  }
+
+  /**
+   * Handles editor keys: Delete removes the selection, arrows pan the timeline
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleKeyDown(e) {
+    if (!this.isOpen) return;
+
+    // Leave typing in the toolbar fields alone
+    if (["INPUT", "SELECT"].includes(e.target.tagName)) return;
+
+    switch (e.key) {
+      case "Delete":
+      case "Backspace":
+        if (this.selectedIndex !== -1) {
+          e.preventDefault();
+          this.segment.entities.splice(this.selectedIndex, 1);
+          this.selectedIndex = -1;
+          this.drag = null;
+          this.updateActionField();
+          this.rebuild();
+        }
+        break;
+
+      case "ArrowLeft":
+        e.preventDefault();
+        this.scrollBy(-100);
+        break;
+
+      case "ArrowRight":
+        e.preventDefault();
+        this.scrollBy(100);
+        break;
+    }
+  }
+
+  /**
+   * Pans the timeline
+   * @param {number} amount - Pixels to scroll right (negative scrolls left)
+   */
+  scrollBy(amount) {
+    this.scrollX = Math.max(0, this.scrollX + amount);
+    this.rebuild();
+  }
+
+  /**
+   * Gets the mouse position in the world
+   * @param {MouseEvent} e - Mouse event
+   * @returns {{x: number, y: number}} World position
+   */
+  getMousePosition(e) {
+    return this.viewport.clientToWorld(this.canvas, e.clientX, e.clientY);
+  }
+
+  /**
+   * Recreates the drawn obstacles and collectibles from the draft and redraws
+   * They are built the same way Level.spawnSegment builds them, at the current scroll position
+   */
+  rebuild() {
+    const groundY = this.level.groundY;
+
+    this.instances = this.segment.entities.map((entity) => {
+      const size = this.getEntitySize(entity);
+      const y = groundY - entity.height - size.height;
+      const instance =
+        entity.kind === "obstacle"
+          ? ObstacleFactory.create(entity.type, 0, groundY, y)
+          : CollectibleFactory.create(entity.type, 0, groundY, y);
+
+      instance.x = this.toScreenX(entity.x);
+      instance.updateCollisionBox();
+      return instance;
+    });
+
+    this.level.obstacles = this.instances.filter(
+      (instance) => instance instanceof Obstacle
+    );
+    this.level.collectibles = this.instances.filter(
+      (instance) => instance instanceof Collectible
+    );
+
+    this.render();
+  }
+
+  /**
+   * Draws the level, the timeline and collision outlines
+   */
+  render() {
+    if (!this.isOpen) return;
+
+    const ctx = this.ctx;
+    this.viewport.clear(ctx);
+    this.viewport.begin(ctx);
+
+    this.level.draw(ctx);
+    this.drawTimeline(ctx);
+
+    // The player is drawn for scale, next to the segment start
+    this.player.draw(ctx);
+    this.drawCollisionBox(ctx, this.player, "rgba(0, 128, 255, 0.8)");
+
+    this.instances.forEach((instance, index) => {
+      this.drawCollisionBox(
+        ctx,
+        instance,
+        instance instanceof Obstacle
+          ? "rgba(255, 0, 0, 0.8)"
+          : "rgba(0, 255, 0, 0.8)"
+      );
+
+      if (index === this.selectedIndex) {
+        ctx.strokeStyle = "#ffff00";
+        ctx.lineWidth = 2;
+        ctx.strokeRect(
+          instance.x - 3,
+          instance.y - 3,
+          instance.width + 6,
+          instance.height + 6
+        );
+      }
+    });
+
+    this.viewport.end(ctx);
+  }
+
+  /**
+   * Draws the segment start marker and distance ruler
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  drawTimeline(ctx) {
+    const groundY = this.level.groundY;
+    const spacing = 100;
+
+    ctx.save();
+    ctx.font = "12px monospace";
+    ctx.fillStyle = "#ffffff";
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.3)";
+    ctx.lineWidth = 1;
+
+    const firstOffset = Math.floor(this.toOffset(0) / spacing) * spacing;
+    for (
+      let offset = Math.max(0, firstOffset);
+      this.toScreenX(offset) < this.level.width;
+      offset += spacing
+    ) {
+      const x = this.toScreenX(offset);
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, groundY);
+      ctx.stroke();
+      ctx.fillText(String(offset), x + 3, groundY + 15);
+    }
+
+    const startX = this.toScreenX(0);
+    ctx.strokeStyle = "#ffcc00";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(startX, 0);
+    ctx.lineTo(startX, groundY);
+    ctx.stroke();
+    ctx.fillStyle = "#ffcc00";
+    ctx.fillText("START", startX + 3, groundY + 30);
+
+    ctx.restore();
+  }
+
+  /**
+   * Outlines a sprite's collision box
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Sprite} sprite - Sprite to outline
+   * @param {string} color - Outline color
+   */
+  drawCollisionBox(ctx, sprite, color) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(
+      sprite.collisionBox.x,
+      sprite.collisionBox.y,
+      sprite.collisionBox.width,
+      sprite.collisionBox.height
+    );
+  }
+}
+
+LevelEditor.STORAGE_KEY = "MacDevSegments";
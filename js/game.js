@@ -10,6 +10,9 @@ class Game {
     this.canvas = document.getElementById("game-canvas");
     this.ctx = this.canvas.getContext("2d");
 
+    // Maps world units onto the canvas, whatever its size
+    this.viewport = new Viewport();
+    this.pixelRatio = 1; // Canvas pixels per CSS pixel
     this.resizeCanvas();
 
     // Game state tracking
@@ -18,19 +21,25 @@ class Game {
       isPaused: false,
       isGameOver: false,
       score: 0,
-      highScore: Utils.getHighScore() || 0,
+      seed: null,
+      highScore: 0, // Filled in from the leaderboard
       coffeeBoost: 0,
-      deadlineProximity: 0,
+      deadline: null, // Deadline status (see Deadline.getStatus)
+      boss: null, // Boss status (see Boss.getStatus), null if there is no boss
       powerUps: {
-        coffee: 0,
-        invincibility: 0,
+        effects: [],
         gitCommits: 0,
       },
     };
 
-    // Game objects
+    // Game objects (player and level belong to the current simulation)
+    this.simulation = null;
     this.player = null;
     this.level = null;
+    this.stageIndex = 0; // Last stage announced in the HUD
+    this.deadlineTier = 0; // Last deadline warning tier announced (see Deadline.TIERS)
+    this.deadlineEventCount = 0; // Deadline events announced so far this run
+    this.bossPhase = "none"; // Last boss encounter phase announced (see Level.updateBoss)
 
     // UI manager
     this.ui = new UI();
@@ -47,8 +56,34 @@ class Game {
     // Game loop variables
     this.lastFrameTime = 0;
     this.animationFrameId = null;
-    this.accumulatedTime = 0;
-    this.timeStep = 1000 / 60; // Target 60 FPS
+
+    // Simulation time only advances in fixed steps (target 60 FPS),
+    // so pausing, slow motion and replays stay in sync
+    this.clock = new GameClock(Game.TIME_STEP);
+
+    // Replays
+    this.recording = null; // Replay being recorded for the current run
+    this.playback = null; // Replay being played back, if any
+    this.lastReplay = null; // Recording of the most recently finished run
+
+    // Level editor and the segment it is play-testing, if any
+    this.editor = null;
+    this.testSegment = null;
+
+    // Volumes and mute switch, kept in localStorage
+    this.audioSettings = Utils.getAudioSettings();
+
+    // Lifetime statistics, kept in localStorage
+    this.profile = PlayerProfile.load();
+
+    // Best runs, kept in localStorage
+    this.leaderboard = Leaderboard.load();
+    this.leaderboardEntry = null; // Entry of the last run, until it is signed
+    this.state.highScore = this.leaderboard.getHighScore();
+
+    // Optional shared leaderboard server, configured on the page
+    this.remoteLeaderboard = RemoteLeaderboard.fromConfig(window);
+    this.pendingRemoteRun = null; // Last run, held back until it is signed
 
     this.initialize();
   }
@@ -59,12 +94,32 @@ class Game {
   async initialize() {
     try {
       await Assets.loadAll();
+      await Segments.loadFromUrl("levels/segments.json");
+
+      Assets.setAudioSettings(this.audioSettings);
+      this.ui.updateAudioSettings(this.audioSettings);
+      this.ui.updateLeaderboard(this.leaderboard);
+      this.refreshRemoteLeaderboard();
 
       this.setupEventListeners();
 
+      this.editor = new LevelEditor({
+        canvas: this.canvas,
+        viewport: this.viewport,
+        onPlayTest: (segment) => this.startGame({ testSegment: segment }),
+        onExit: () => this.ui.showScreen("start"),
+      });
+
       this.ui.setupButtons({
         onStart: () => this.startGame(),
         onRestart: () => this.restartGame(),
+        onWatchReplay: () => this.watchReplay(),
+        onExportReplay: () => this.exportReplay(),
+        onImportReplay: (file) => this.importReplay(file),
+        onOpenEditor: () => this.openEditor(),
+        onAudioSettingsChange: (changes) => this.changeAudioSettings(changes),
+        onShowStats: () => this.ui.showStats(this.profile),
+        onSubmitInitials: (initials) => this.submitInitials(initials),
       });
 
       window.addEventListener("resize", () => this.resizeCanvas());
@@ -86,8 +141,17 @@ class Game {
   setupEventListeners() {
     // Keyboard events
     document.addEventListener("keydown", (e) => {
-      // Handle game restart when dead
-      if (this.state.isGameOver) {
+      // M mutes from anywhere, except while typing in a text field
+      const isTyping =
+        e.target.tagName === "INPUT" &&
+        ["text", "number"].includes(e.target.type);
+      if ((e.key === "m" || e.key === "M") && !isTyping) {
+        this.toggleMute();
+        return;
+      }
+
+      // Handle game restart when dead (unless typing initials)
+      if (this.state.isGameOver && !isTyping) {
         if (e.key === " " || e.key === "Enter") {
           this.restartGame();
           return;
@@ -106,8 +170,7 @@ class Game {
 
         case "ArrowDown":
           e.preventDefault(); // Prevent page scrolling
-          this.input.isSlidePressed = true;
-          if (this.player) this.player.slide();
+          this.handleSlide();
           break;
 
         case "p":
@@ -119,6 +182,23 @@ class Game {
         case "h":
           this.showInstructions();
           break;
+
+        // Debug controls: frame stepping and time scaling
+        case ".":
+          if (window.DEBUG_MODE) this.stepFrame();
+          break;
+
+        case "[":
+          if (window.DEBUG_MODE) {
+            this.clock.setTimeScale(this.clock.timeScale / 2);
+          }
+          break;
+
+        case "]":
+          if (window.DEBUG_MODE) {
+            this.clock.setTimeScale(this.clock.timeScale * 2);
+          }
+          break;
       }
     });
 
@@ -127,8 +207,7 @@ class Game {
 
       switch (e.key) {
         case "ArrowDown":
-          this.input.isSlidePressed = false;
-          if (this.player) this.player.endSlide();
+          this.handleEndSlide();
           break;
       }
     });
@@ -138,13 +217,15 @@ class Game {
       if (!this.state.isRunning || this.state.isPaused) return;
       e.preventDefault(); // Prevent default behavior
 
-      const rect = this.canvas.getBoundingClientRect();
-      const y = e.clientY - rect.top;
+      const { y } = this.viewport.clientToWorld(
+        this.canvas,
+        e.clientX,
+        e.clientY
+      );
 
       // If click is in bottom third of screen, slide; otherwise jump
-      if (y > this.canvas.height * 0.7) {
-        this.input.isSlidePressed = true;
-        if (this.player) this.player.slide();
+      if (y > this.viewport.worldHeight * 0.7) {
+        this.handleSlide();
       } else {
         this.handleJump();
       }
@@ -156,8 +237,7 @@ class Game {
 
       // End slide if sliding
       if (this.input.isSlidePressed) {
-        this.input.isSlidePressed = false;
-        if (this.player) this.player.endSlide();
+        this.handleEndSlide();
       }
     });
 
@@ -165,18 +245,20 @@ class Game {
       if (!this.state.isRunning || this.state.isPaused) return;
       if (e.buttons !== 1) return; // Only process if mouse button is pressed
 
-      const rect = this.canvas.getBoundingClientRect();
-      const y = e.clientY - rect.top;
+      const { y } = this.viewport.clientToWorld(
+        this.canvas,
+        e.clientX,
+        e.clientY
+      );
+      const slideLine = this.viewport.worldHeight * 0.7;
 
       // If mouse is in bottom third of screen and not already sliding, start sliding
-      if (y > this.canvas.height * 0.7 && !this.input.isSlidePressed) {
-        this.input.isSlidePressed = true;
-        if (this.player) this.player.slide();
+      if (y > slideLine && !this.input.isSlidePressed) {
+        this.handleSlide();
       }
       // If mouse is not in bottom third and is sliding, end sliding
-      else if (y <= this.canvas.height * 0.7 && this.input.isSlidePressed) {
-        this.input.isSlidePressed = false;
-        if (this.player) this.player.endSlide();
+      else if (y <= slideLine && this.input.isSlidePressed) {
+        this.handleEndSlide();
       }
     });
 
@@ -187,16 +269,19 @@ class Game {
         e.preventDefault(); // Prevent default behavior
 
         const touch = e.touches[0];
-        const rect = this.canvas.getBoundingClientRect();
-        const y = touch.clientY - rect.top;
+        const { y } = this.viewport.clientToWorld(
+          this.canvas,
+          touch.clientX,
+          touch.clientY
+        );
 
-        // Store touch start position for swipe detection
-        this.input.touchStartY = y;
+        // Store touch start position for swipe detection (in CSS pixels,
+        // so a swipe is the same finger distance on every screen)
+        this.input.touchStartY = touch.clientY;
 
         // If touch is in bottom third of screen, slide; otherwise jump
-        if (y > this.canvas.height * 0.7) {
-          this.input.isSlidePressed = true;
-          if (this.player) this.player.slide();
+        if (y > this.viewport.worldHeight * 0.7) {
+          this.handleSlide();
         } else {
           this.handleJump();
         }
@@ -210,14 +295,11 @@ class Game {
         if (!this.state.isRunning || this.state.isPaused) return;
         e.preventDefault(); // Prevent default behavior
 
-        const touch = e.touches[0];
-        const rect = this.canvas.getBoundingClientRect();
-        const y = touch.clientY - rect.top;
+        const y = e.touches[0].clientY;
 
         // Detect swipe down for slide
         if (y - this.input.touchStartY > 50 && !this.input.isSlidePressed) {
-          this.input.isSlidePressed = true;
-          if (this.player) this.player.slide();
+          this.handleSlide();
         }
         // Detect swipe up for jump
         else if (this.input.touchStartY - y > 50 && !this.input.isJumpPressed) {
@@ -235,8 +317,7 @@ class Game {
 
         // End slide if sliding
         if (this.input.isSlidePressed) {
-          this.input.isSlidePressed = false;
-          if (this.player) this.player.endSlide();
+          this.handleEndSlide();
         }
       },
       { passive: false }
@@ -273,7 +354,7 @@ class Game {
    * Handles jump input with double jump detection
    */
   handleJump() {
-    if (!this.player || this.state.isPaused) return;
+    if (!this.player || this.state.isPaused || this.playback) return;
 
     this.input.isJumpPressed = true;
 
@@ -283,33 +364,79 @@ class Game {
     // Check for double jump (if jump pressed within 300ms of last jump)
     if (timeSinceLastJump < 300) {
       this.input.jumpTimer = 0;
-      this.player.jump(); // This will trigger double jump if conditions are met
-    } else {
-      this.player.jump();
     }
 
+    // A second jump while airborne triggers the double jump inside Player
+    this.applyInput("jump");
+
     this.input.lastJumpTime = now;
   }
 
+  /**
+   * Handles slide input (key press, click or touch in the slide zone)
+   */
+  handleSlide() {
+    this.input.isSlidePressed = true;
+    if (!this.player || this.playback) return;
+
+    this.applyInput("slide");
+  }
+
+  /**
+   * Handles the release of slide input
+   */
+  handleEndSlide() {
+    this.input.isSlidePressed = false;
+    if (!this.player || this.playback) return;
+
+    this.applyInput("endSlide");
+  }
+
+  /**
+   * Applies an input action to the player and records it for replays
+   * @param {string} action - Input action ('jump', 'slide' or 'endSlide')
+   */
+  applyInput(action) {
+    if (this.recording) {
+      this.recording.record(this.clock.tick, action);
+    }
+
+    this.simulation.applyInput(action);
+  }
+
   /**
    * Starts a new game by initializing player, level, and game state
+   * @param {Object} [options] - Run options
+   * @param {number} [options.seed] - Seed to replay a specific run (defaults to the URL seed or a random one)
+   * @param {Replay} [options.replay] - Recorded run to play back instead of taking player input
+   * @param {Object} [options.testSegment] - Segment to play on its own, from the level editor
    */
-  startGame() {
+  startGame(options = {}) {
+    const replay = options.replay || null;
+    const testSegment = options.testSegment || null;
+
+    // Moving on without typing initials skips the initials entry
+    this.submitRemoteScore();
+
     // Reset game state
     this.state.isRunning = true;
     this.state.isPaused = false;
     this.state.isGameOver = false;
     this.state.score = 0;
     this.state.coffeeBoost = 0;
-    this.state.deadlineProximity = 0;
+    this.state.deadline = null;
+    this.deadlineTier = 0;
+    this.deadlineEventCount = 0;
+    this.bossPhase = "none";
+    this.state.boss = null;
     this.state.powerUps = {
-      coffee: 0,
-      invincibility: 0,
+      effects: [],
       gitCommits: 0,
     };
 
     // Make sure high score is up to date
-    this.state.highScore = Utils.getHighScore();
+    this.state.highScore = this.leaderboard.getHighScore();
+    this.leaderboardEntry = null;
 
     // Add playing class to game container for mouse zone indicators
     const gameContainer = document.getElementById("game-container");
@@ -317,21 +444,62 @@ class Game {
       gameContainer.classList.add("playing");
     }
 
-    this.player = new Player({
-      groundY: this.canvas.height - 50,
-    });
+    // Runs are simulated in world units; replays at the size they were
+    // recorded at so spawns line up
+    const width = replay ? replay.width : Viewport.WORLD_WIDTH;
+    const height = replay ? replay.height : Viewport.WORLD_HEIGHT;
+    this.viewport.setWorldSize(width, height);
 
-    this.level = new Level({
-      theme: "startup",
-      width: this.canvas.width,
-      height: this.canvas.height,
-    });
+    if (replay) {
+      // Same segments and step as the headless tools use for this replay
+      this.simulation = Simulation.fromReplay(replay, { clock: this.clock });
+    } else {
+      this.clock.timeStep = Game.TIME_STEP;
+      this.simulation = new Simulation({
+        theme: "startup",
+        width: width,
+        height: height,
+        seed:
+          options.seed !== undefined ? options.seed : Utils.getSeedFromUrl(),
+        clock: this.clock,
+        // A play test spawns nothing but the segment under test
+        segments: testSegment ? new SegmentLibrary() : undefined,
+        autoSpawn: !testSegment,
+      });
+    }
+    this.player = this.simulation.player;
+    this.level = this.simulation.level;
+    this.state.seed = this.level.seed;
+    this.stageIndex = this.level.stageIndex;
+
+    this.playback = replay;
+    this.recording = null;
+    this.testSegment = testSegment;
+
+    if (replay) {
+      replay.rewind();
+    } else if (testSegment) {
+      this.level.spawnSegment(testSegment);
+    } else {
+      this.recording = new Replay({
+        seed: this.level.seed,
+        theme: this.level.theme,
+        width: width,
+        height: height,
+        timeStep: this.clock.timeStep,
+        segmentChecksum: this.level.segments.isEmpty()
+          ? null
+          : this.level.segments.getChecksum(),
+      });
+    }
+
+    this.input.isSlidePressed = false;
+    this.ui.setReplayMode(!!replay);
 
     this.ui.showScreen("game");
 
     // Start game loop
     this.lastFrameTime = performance.now();
-    this.accumulatedTime = 0;
 
     if (this.animationFrameId) {
       cancelAnimationFrame(this.animationFrameId);
@@ -358,45 +526,239 @@ class Game {
     this.startGame();
   }
 
+  /**
+   * Plays back the most recently finished run
+   */
+  watchReplay() {
+    if (!this.lastReplay) return;
+
+    // Other segments spawn other obstacles, so the run would not play back
+    if (
+      this.lastReplay.segmentChecksum &&
+      this.lastReplay.segmentChecksum !== Segments.active.getChecksum()
+    ) {
+      alert(
+        "This replay was recorded with a different version of the level " +
+          "segments and can't be played back."
+      );
+      return;
+    }
+
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+
+    this.startGame({ replay: this.lastReplay });
+  }
+
+  /**
+   * Downloads the most recently finished run as a JSON replay file
+   */
+  exportReplay() {
+    if (!this.lastReplay) return;
+
+    Utils.downloadFile(
+      `mac-the-dev-replay-${this.lastReplay.seed}.json`,
+      JSON.stringify(this.lastReplay),
+      "application/json"
+    );
+  }
+
+  /**
+   * Loads a replay file chosen by the user and starts playing it back
+   * @param {File} file - JSON replay file
+   */
+  async importReplay(file) {
+    try {
+      const replay = Replay.fromJSON(await file.text());
+      this.lastReplay = replay;
+      this.watchReplay();
+    } catch (error) {
+      console.error("Error importing replay:", error);
+      alert(`Could not load replay: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stops any run and shows the level editor
+   * @param {string} [message] - Status message for the editor toolbar
+   */
+  openEditor(message) {
+    if (!this.editor) return;
+
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+
+    this.submitRemoteScore();
+
+    this.state.isRunning = false;
+    this.state.isPaused = false;
+    this.state.isGameOver = false;
+
+    this.ui.showScreen("editor");
+    this.editor.open(message);
+  }
+
+  /**
+   * Ends a play test and returns to the editor with its outcome
+   */
+  finishPlayTest() {
+    const isCleared =
+      this.player.isActive &&
+      !this.player.state.isCrashed &&
+      !this.level.deadline.isCaught();
+    this.testSegment = null;
+
+    const gameContainer = document.getElementById("game-container");
+    if (gameContainer) {
+      gameContainer.classList.remove("playing");
+    }
+
+    if (Assets.stopMusic) {
+      Assets.stopMusic();
+    }
+
+    this.openEditor(
+      isCleared
+        ? `Play test cleared with ${this.state.score} points`
+        : "Play test failed: Mac didn't make it through"
+    );
+  }
+
+  /**
+   * Signs the last run's leaderboard entry
+   * @param {string} initials - Initials typed on the game over screen
+   */
+  submitInitials(initials) {
+    if (!this.leaderboardEntry) return;
+
+    this.leaderboard.setInitials(this.leaderboardEntry, initials);
+    this.submitRemoteScore(this.leaderboardEntry.initials);
+    this.leaderboardEntry = null;
+
+    this.ui.hideInitialsEntry();
+    this.ui.updateLeaderboard(this.leaderboard);
+  }
+
+  /**
+   * Sends the last run to the shared leaderboard and shows where it landed
+   * Called once the run is signed or the initials entry is skipped; runs on in
+   * the background and nothing changes if the server can't be reached.
+   * @param {string} [initials] - Initials the run was signed with (the last ones used if omitted)
+   */
+  async submitRemoteScore(initials) {
+    if (!this.pendingRemoteRun) return;
+
+    const { stats, replay } = this.pendingRemoteRun;
+    this.pendingRemoteRun = null;
+
+    const result = await this.remoteLeaderboard.submitScore({
+      name:
+        initials ||
+        this.leaderboard.lastInitials ||
+        Leaderboard.DEFAULT_INITIALS,
+      score: stats.score,
+      replay: replay.toJSON(),
+    });
+
+    // Only shown if the player is still looking at this run's results
+    if (this.state.isGameOver && this.lastReplay === replay) {
+      this.ui.showRemoteResult(result);
+    }
+
+    this.refreshRemoteLeaderboard();
+  }
+
+  /**
+   * Fetches the shared leaderboard for the start screen
+   */
+  async refreshRemoteLeaderboard() {
+    if (!this.remoteLeaderboard) return;
+
+    const name = this.leaderboard.lastInitials;
+    const [entries, rank] = await Promise.all([
+      this.remoteLeaderboard.fetchTop(Leaderboard.MAX_ENTRIES),
+      name ? this.remoteLeaderboard.fetchRank(name) : null,
+    ]);
+
+    this.ui.updateRemoteLeaderboard(entries, rank);
+  }
+
+  /**
+   * Changes and saves audio settings
+   * @param {Object} changes - Settings to change (see Utils.getAudioSettings)
+   */
+  changeAudioSettings(changes) {
+    this.audioSettings = { ...this.audioSettings, ...changes };
+    Assets.setAudioSettings(this.audioSettings);
+    this.ui.updateAudioSettings(this.audioSettings);
+    Utils.setAudioSettings(this.audioSettings);
+  }
+
+  /**
+   * Mutes or unmutes all sound
+   */
+  toggleMute() {
+    this.changeAudioSettings({ muted: !this.audioSettings.muted });
+  }
+
   /**
    * Toggles the pause state of the game
    */
   togglePause() {
     if (!this.state.isRunning || this.state.isGameOver) return;
 
-    this.state.isPaused = !this.state.isPaused;
+    this.setPaused(!this.state.isPaused);
+  }
+
+  /**
+   * Pauses or resumes the run, showing the pause message and ducking the music
+   * @param {boolean} isPaused - True to pause, false to resume
+   */
+  setPaused(isPaused) {
+    this.state.isPaused = isPaused;
 
-    if (this.state.isPaused) {
+    if (isPaused) {
       const pauseMessage = document.getElementById("pause-message");
       if (pauseMessage) {
         pauseMessage.classList.remove("hidden");
       }
 
-      if (Assets.stopMusic) {
-        Assets.stopMusic();
-      }
+      // The music keeps playing quietly, so resuming picks up where it was
+      Assets.duckMusic(true);
     } else {
       const pauseMessage = document.getElementById("pause-message");
       if (pauseMessage) {
         pauseMessage.classList.add("hidden");
       }
 
-      if (Assets.playMusic) {
-        Assets.playMusic("main");
-      }
+      Assets.duckMusic(false);
 
       // Resume game loop
       this.lastFrameTime = performance.now();
-      this.accumulatedTime = 0;
+      this.clock.clearAccumulator();
     }
   }
 
+  /**
+   * Advances the simulation by exactly one fixed step while paused
+   */
+  stepFrame() {
+    if (!this.state.isRunning || !this.state.isPaused) return;
+
+    this.update(this.clock.timeStep);
+    this.render();
+  }
+
   /**
    * Shows instructions screen and pauses the game
    */
   showInstructions() {
     if (this.state.isRunning && !this.state.isPaused) {
-      this.state.isPaused = true;
+      this.setPaused(true);
     }
 
     this.ui.showScreen("instructions");
@@ -408,6 +770,11 @@ class Game {
   endGame() {
     if (this.state.isGameOver) return;
 
+    if (this.testSegment) {
+      this.finishPlayTest();
+      return;
+    }
+
     this.state.isRunning = false;
     this.state.isGameOver = true;
 
@@ -416,18 +783,45 @@ class Game {
       gameContainer.classList.remove("playing");
     }
 
-    const isNewHighScore = Utils.setHighScore(this.state.score);
+    if (this.recording) {
+      this.recording.finish(this.clock.tick, this.state.score);
+      this.lastReplay = this.recording;
+      this.recording = null;
+    }
+
+    const stats = this.simulation.getStats();
 
-    this.state.highScore = Utils.getHighScore();
+    // Watching a replay never counts towards the leaderboards or lifetime stats
+    if (!this.playback) {
+      this.profile.recordRun(stats);
+      this.leaderboardEntry = this.leaderboard.addRun(stats);
 
-    this.ui.showGameOver(
-      this.state.score,
-      this.state.highScore,
-      isNewHighScore
-    );
+      if (this.remoteLeaderboard && this.lastReplay) {
+        this.pendingRemoteRun = { stats: stats, replay: this.lastReplay };
+      }
+    }
+
+    const isNewHighScore =
+      this.leaderboardEntry !== null &&
+      this.leaderboardEntry === this.leaderboard.entries[0];
+
+    this.state.highScore = this.leaderboard.getHighScore();
+
+    this.ui.showGameOver(stats, this.state.highScore, isNewHighScore);
 
     this.ui.showRestartHint();
 
+    if (this.leaderboardEntry) {
+      this.ui.showInitialsEntry(
+        this.leaderboard.entries.indexOf(this.leaderboardEntry) + 1,
+        this.leaderboard.lastInitials
+      );
+    } else {
+      // No initials to ask for, so the run goes out as it is
+      this.submitRemoteScore();
+    }
+    this.ui.updateLeaderboard(this.leaderboard);
+
     if (Assets.playSfx) {
       Assets.playSfx("gameOver");
     }
@@ -449,13 +843,16 @@ class Game {
     const deltaTime = timestamp - this.lastFrameTime;
     this.lastFrameTime = timestamp;
 
-    this.accumulatedTime += deltaTime;
+    // Simulation time does not pass while paused
+    if (!this.state.isPaused) {
+      this.clock.accumulate(deltaTime);
+    }
 
-    while (this.accumulatedTime >= this.timeStep) {
-      if (!this.state.isPaused) {
-        this.update(this.timeStep);
+    while (this.clock.hasPendingStep()) {
+      if (this.state.isRunning) {
+        this.update(this.clock.timeStep);
       }
-      this.accumulatedTime -= this.timeStep;
+      this.clock.consumeStep();
     }
 
     this.render();
@@ -472,46 +869,137 @@ class Game {
    * @param {number} deltaTime - Time since last update in ms
    */
   update(deltaTime) {
-    if (!this.player || !this.level) return;
+    if (!this.simulation) return;
+
+    // Feed recorded inputs back in at the tick they originally happened
+    if (this.playback) {
+      this.playback
+        .consumeActions(this.clock.tick)
+        .forEach((action) => this.applyInput(action));
+    }
+
+    const isOver = this.simulation.step();
 
-    this.player.update(deltaTime);
+    this.state.score = this.simulation.getScore();
 
-    const isDeadlineCaught = this.level.update(deltaTime, this.player);
+    // A play test is over once every entity of the segment has gone by
+    const isTestFinished =
+      this.testSegment &&
+      this.level.obstacles.length === 0 &&
+      this.level.collectibles.length === 0 &&
+      this.level.projectiles.length === 0;
 
-    if (!this.player.isActive || isDeadlineCaught) {
+    if (
+      isOver ||
+      isTestFinished ||
+      (this.playback && this.playback.isFinished(this.clock.tick))
+    ) {
       this.endGame();
       return;
     }
 
-    this.state.score = Math.floor(this.level.distance) + this.player.score;
-
     this.updatePowerUps(deltaTime);
 
+    if (this.level.stageIndex !== this.stageIndex) {
+      this.stageIndex = this.level.stageIndex;
+      this.ui.showStageBanner(
+        this.level.getStageNumber(),
+        this.level.themeSettings.label
+      );
+    }
+
+    const deadline = this.level.deadline;
+    if (deadline.eventCount !== this.deadlineEventCount) {
+      this.deadlineEventCount = deadline.eventCount;
+      this.announceDeadlineEvent(deadline.lastEvent);
+    }
+
+    if (this.level.bossPhase !== this.bossPhase) {
+      this.bossPhase = this.level.bossPhase;
+      this.announceBossPhase(this.bossPhase, this.level.boss);
+    }
+
+    Assets.setMusicDifficulty(this.level.difficulty);
+
     this.updateUI();
   }
 
+  /**
+   * Announces a deadline event that has just started
+   * @param {Object} event - Event definition (see DeadlineEventTypes)
+   */
+  announceDeadlineEvent(event) {
+    this.ui.showEventBanner(event);
+
+    if (Assets.playSfx && event.sound) {
+      Assets.playSfx(event.sound);
+    }
+  }
+
+  /**
+   * Announces a boss arriving, being beaten or getting away
+   * @param {string} phase - Boss encounter phase the level has just entered
+   * @param {Boss|null} boss - The boss, if there is one
+   */
+  announceBossPhase(phase, boss) {
+    if (!boss) return;
+    const definition = boss.definition;
+
+    if (phase === "intro") {
+      this.ui.showEventBanner({
+        icon: definition.emoji,
+        label: definition.name,
+        message: definition.message,
+        isHarmful: true,
+      });
+      this.ui.addEffect("shake", 500);
+      if (Assets.playSfx) {
+        Assets.playSfx("bossAlarm");
+      }
+    } else if (phase === "defeated") {
+      this.ui.showEventBanner({
+        icon: "✅",
+        label: `Resolved: ${definition.name}`,
+        message: definition.reward.score
+          ? `+${Utils.formatNumber(definition.reward.score)} points`
+          : "",
+      });
+      if (Assets.playSfx) {
+        Assets.playSfx("powerup");
+      }
+    } else if (phase === "escaped") {
+      this.ui.showEventBanner({
+        icon: "🕒",
+        label: `Mitigated: ${definition.name}`,
+        message: "It died down before a fix shipped",
+      });
+    }
+  }
+
   /**
    * Updates power-up states and durations
    * @param {number} deltaTime - Time since last update in ms
    */
   updatePowerUps(deltaTime) {
-    if (this.player.state.hasSpeedBoost) {
-      this.state.coffeeBoost = (this.player.speedBoostDuration / 12000) * 100;
-      this.state.powerUps.coffee = this.player.speedBoostDuration;
-    } else {
-      this.state.coffeeBoost = 0;
-      this.state.powerUps.coffee = 0;
-    }
+    const effects = this.player.effects;
 
-    if (this.player.invincible) {
-      this.state.powerUps.invincibility = this.player.invincibilityDuration;
-    } else {
-      this.state.powerUps.invincibility = 0;
-    }
+    this.state.coffeeBoost =
+      (effects.getRemaining("caffeinated") /
+        StatusEffectTypes.get("caffeinated").duration) *
+      100;
+
+    this.state.powerUps.effects = effects.list().map((effect) => ({
+      name: effect.name,
+      icon: effect.definition.icon,
+      isHarmful: effect.definition.isHarmful,
+      remaining: effect.remaining,
+    }));
 
     this.state.powerUps.gitCommits = this.player.gitCommits;
 
-    this.state.deadlineProximity = this.level.getDeadlineProximity();
+    this.state.deadline = this.level.deadline.getStatus();
+
+    this.state.boss = this.level.boss ? this.level.boss.getStatus() : null;
   }
 
   /**
@@ -521,20 +1009,36 @@ class Game {
     this.ui.updateHUD({
       score: this.state.score,
       coffeeBoost: this.state.coffeeBoost,
-      deadlineProximity: this.state.deadlineProximity,
+      deadline: this.state.deadline,
+      boss: this.state.boss,
       powerUps: this.state.powerUps,
     });
 
-    if (this.level.isDeadlineWarning()) {
-      this.ui.addEffect("flash", 500);
+    // Sound the alarm each time the deadline gets more urgent
+    const tierIndex = this.state.deadline.tierIndex;
+    if (tierIndex > this.deadlineTier) {
+      const tier = Deadline.TIERS[tierIndex];
+      if (Assets.playSfx && tier.sound) {
+        Assets.playSfx(tier.sound);
+      }
+      if (tier.effect) {
+        this.ui.addEffect(tier.effect, 500);
+      }
     }
+    this.deadlineTier = tierIndex;
   }
 
   /**
    * Renders the game by drawing level and player
    */
   render() {
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    if (this.editor && this.editor.isOpen) {
+      this.editor.render();
+      return;
+    }
+
+    this.viewport.clear(this.ctx);
+    this.viewport.begin(this.ctx);
 
     if (this.level) {
       this.level.draw(this.ctx);
@@ -544,6 +1048,8 @@ class Game {
       this.player.draw(this.ctx);
     }
 
+    this.viewport.end(this.ctx);
+
     if (window.DEBUG_MODE) {
       this.drawDebugInfo();
     }
@@ -553,8 +1059,10 @@ class Game {
    * Draws debug information when DEBUG_MODE is enabled
    */
   drawDebugInfo() {
+    // Drawn in CSS pixels, over the world
+    this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
     this.ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
-    this.ctx.fillRect(10, 10, 300, 120);
+    this.ctx.fillRect(10, 10, 300, 150);
     this.ctx.fillStyle = "#ffffff";
     this.ctx.font = "12px monospace";
 
@@ -572,7 +1080,15 @@ class Game {
       )})`,
       `Distance: ${Math.round(this.level.distance)}`,
       `Difficulty: ${this.level.difficulty.toFixed(2)}`,
-      `Deadline: ${this.state.deadlineProximity.toFixed(2)}%`,
+      `Deadline: ${this.state.deadline.proximity.toFixed(2)}% (${Math.round(
+        this.state.deadline.distance
+      )} away, ETA ${this.state.deadline.eta.toFixed(1)}s, ${
+        this.state.deadline.tier
+      })`,
+      `Seed: ${this.state.seed}`,
+      `Time: ${this.clock.getSeconds().toFixed(2)}s (tick ${
+        this.clock.tick
+      }, x${this.clock.timeScale})`,
     ];
 
     debugInfo.forEach((text, index) => {
@@ -581,57 +1097,43 @@ class Game {
   }
 
   /**
-   * Resizes canvas to fit window and updates ground positions
+   * Resizes canvas to fit its container and refits the world to it
+   * The backing store gets one pixel per device pixel so high-DPI screens stay
+   * sharp, and sprites are redrawn to match. The world itself is left alone,
+   * so a resize mid-run changes nothing but the picture (and never desyncs a
+   * recording).
    */
   resizeCanvas() {
     const container = document.getElementById("game-container");
     if (!container) return;
 
-    const containerWidth = container.clientWidth;
-    const containerHeight = container.clientHeight;
+    // CSS keeps the canvas at the container size
+    this.pixelRatio = window.devicePixelRatio || 1;
+    this.canvas.width = Math.round(container.clientWidth * this.pixelRatio);
+    this.canvas.height = Math.round(container.clientHeight * this.pixelRatio);
+    this.viewport.resize(this.canvas.width, this.canvas.height);
 
-    this.canvas.width = containerWidth;
-    this.canvas.height = containerHeight;
+    // Rounded to half steps so dragging the window edge doesn't redraw
+    // sprites on every event
+    Assets.setResolution(Math.max(1, Math.ceil(this.viewport.scale * 2) / 2));
 
-    if (this.level) {
-      this.level.groundY = this.canvas.height - 50;
-    }
-
-    if (this.player) {
-      this.player.groundY = this.canvas.height - 50;
-
-      if (!this.player.state.isJumping) {
-        this.player.y = this.player.groundY - this.player.height;
-      }
+    // Resizing clears the canvas, so redraw even if the loop is stopped
+    if (this.level || (this.editor && this.editor.isOpen)) {
+      this.render();
     }
   }
 
   /**
    * Handles power-up collision effects
-   * @param {Object} powerUp - The power-up object that was collected
+   * @param {Collectible} powerUp - The collectible that was picked up
    */
   handlePowerUpCollision(powerUp) {
     if (!this.player) return;
 
-    switch (powerUp.type) {
-      case "coffee":
-        this.player.collectCoffee();
-        this.ui.addEffect("flash", 300);
-        break;
+    powerUp.applyEffect(this.player);
 
-      case "stackOverflow":
-        this.player.collectStackOverflow();
-        this.ui.addEffect("flash", 300);
-        break;
-
-      case "gitCommit":
-        this.player.collectGitCommit();
-        this.ui.addEffect("flash", 300);
-        break;
-
-      case "codeSnippet":
-        this.player.collectCodeSnippet();
-        break;
+    if (powerUp.definition.isPowerUp) {
+      this.ui.addEffect("flash", 300);
     }
   }
 
@@ -642,8 +1144,7 @@ class Game {
   useGitCommit() {
     if (this.player && this.player.gitCommits > 0) {
       this.player.gitCommits--;
-      this.player.invincible = true;
-      this.player.invincibilityDuration = 2000; // 2 seconds of invincibility
+      this.player.addEffect("invincible", { duration: 2000 }); // 2 seconds of invincibility
 
       if (Assets.playSfx) {
         Assets.playSfx("powerup");
@@ -654,3 +1155,6 @@ class Game {
     return false;
   }
 }
+
+// Duration of one simulation step in ms (60 steps per second)
+Game.TIME_STEP = 1000 / 60;
@@ -0,0 +1,188 @@
+/**
+ * Local leaderboard of the best runs
+ *
+ * Keeps the top runs in localStorage as versioned JSON, each with its score,
+ * distance, date, what ended it and what was collected along the way. Scores
+ * saved by older versions, which only kept the high score, are carried over
+ * as a single entry.
+ */
+
+class Leaderboard {
+  /**
+   * Create a leaderboard
+   * @param {Object} [data] - Saved leaderboard data (an empty leaderboard if omitted)
+   */
+  constructor(data = {}) {
+    this.entries = (data.entries || []).slice(0, Leaderboard.MAX_ENTRIES); // Best first
+    this.lastInitials = data.lastInitials || ""; // Offered again on the next qualifying run
+  }
+
+  /**
+   * Loads the leaderboard from local storage
+   * @returns {Leaderboard} The saved leaderboard, or a new one if there is none or it can't be read
+   */
+  static load() {
+    try {
+      const saved = localStorage.getItem(Leaderboard.STORAGE_KEY);
+      if (saved) return Leaderboard.fromJSON(saved);
+
+      return Leaderboard.fromHighScore(
+        localStorage.getItem(Leaderboard.LEGACY_HIGH_SCORE_KEY)
+      );
+    } catch (error) {
+      console.warn(
+        "Could not read the leaderboard, starting a new one:",
+        error.message
+      );
+      return new Leaderboard();
+    }
+  }
+
+  /**
+   * Creates a leaderboard from a high score saved before leaderboards existed
+   * @param {string|null} highScore - Saved high score
+   * @returns {Leaderboard} Leaderboard holding that score, or an empty one
+   */
+  static fromHighScore(highScore) {
+    const score = parseInt(highScore, 10);
+    if (!(score > 0)) return new Leaderboard();
+
+    // Only the number was kept, so the details are unknown
+    return new Leaderboard({
+      entries: [
+        {
+          initials: Leaderboard.DEFAULT_INITIALS,
+          score: score,
+          distance: null,
+          date: null,
+          deathCause: null,
+          collected: {},
+        },
+      ],
+    });
+  }
+
+  /**
+   * Parses saved leaderboard data
+   * @param {string|Object} json - JSON string or parsed object
+   * @returns {Leaderboard} The leaderboard
+   * @throws {Error} If the data is not a leaderboard or comes from a newer version
+   */
+  static fromJSON(json) {
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+
+    if (!data || data.format !== Leaderboard.FORMAT) {
+      throw new Error("Not a Mac the Developer leaderboard");
+    }
+
+    if (data.version > Leaderboard.VERSION) {
+      throw new Error(`Unsupported leaderboard version: ${data.version}`);
+    }
+
+    return new Leaderboard(data);
+  }
+
+  /**
+   * Saves the leaderboard to local storage
+   * The leaderboard stays in memory for this session if storage is full or blocked.
+   */
+  save() {
+    try {
+      localStorage.setItem(
+        Leaderboard.STORAGE_KEY,
+        JSON.stringify(this.toJSON())
+      );
+    } catch (error) {
+      console.warn("Could not save the leaderboard:", error.message);
+    }
+  }
+
+  /**
+   * Returns the best score on the leaderboard
+   * @returns {number} The high score, or 0 if no run has been recorded
+   */
+  getHighScore() {
+    return this.entries.length > 0 ? this.entries[0].score : 0;
+  }
+
+  /**
+   * Checks whether a score would make it onto the leaderboard
+   * @param {number} score - Final score of a run
+   * @returns {boolean} True if the score qualifies
+   */
+  qualifies(score) {
+    return (
+      score > 0 &&
+      (this.entries.length < Leaderboard.MAX_ENTRIES ||
+        score > this.entries[this.entries.length - 1].score)
+    );
+  }
+
+  /**
+   * Adds a finished run if it qualifies and saves the leaderboard
+   * The entry gets the last initials used until setInitials is called.
+   * @param {Object} stats - End-of-run stats (see Simulation.getStats)
+   * @returns {Object|null} The new entry, or null if the run did not qualify
+   */
+  addRun(stats) {
+    if (!this.qualifies(stats.score)) return null;
+
+    const entry = {
+      initials: this.lastInitials || Leaderboard.DEFAULT_INITIALS,
+      score: stats.score,
+      distance: stats.distance,
+      date: new Date().toISOString(),
+      deathCause: stats.deathCause,
+      collected: { ...stats.collectedByType },
+    };
+
+    // Ties go to the run that got there first
+    const index = this.entries.findIndex((other) => entry.score > other.score);
+    this.entries.splice(index === -1 ? this.entries.length : index, 0, entry);
+    this.entries.length = Math.min(
+      this.entries.length,
+      Leaderboard.MAX_ENTRIES
+    );
+
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Signs an entry and remembers the initials for next time
+   * @param {Object} entry - Entry returned by addRun
+   * @param {string} initials - Player initials (letters and digits, upper-cased and cut to 3 characters)
+   */
+  setInitials(entry, initials) {
+    const cleaned = initials
+      .toUpperCase()
+      .replace(/[^A-Z0-9]/g, "")
+      .slice(0, Leaderboard.INITIALS_LENGTH);
+    if (!cleaned) return;
+
+    entry.initials = cleaned;
+    this.lastInitials = cleaned;
+    this.save();
+  }
+
+  /**
+   * Serializes the leaderboard
+   * @returns {Object} Serializable leaderboard data
+   */
+  toJSON() {
+    return {
+      format: Leaderboard.FORMAT,
+      version: Leaderboard.VERSION,
+      entries: this.entries,
+      lastInitials: this.lastInitials,
+    };
+  }
+}
+
+Leaderboard.FORMAT = "mac-the-dev-leaderboard";
+Leaderboard.VERSION = 1;
+Leaderboard.STORAGE_KEY = "MacDevLeaderboard";
+Leaderboard.LEGACY_HIGH_SCORE_KEY = "MacDevHighScore";
+Leaderboard.MAX_ENTRIES = 10;
+Leaderboard.INITIALS_LENGTH = 3;
+Leaderboard.DEFAULT_INITIALS = "???";
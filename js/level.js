@@ -6,27 +6,46 @@ class Level {
   /**
    * Create a new level
    * @param {Object} options - Level options
-   * @param {string} options.theme - Level theme ('legacy', 'startup', or 'enterprise')
-   * @param {number} options.width - Canvas width
-   * @param {number} options.height - Canvas height
+   * @param {string} options.theme - Starting theme ('legacy', 'startup', or 'enterprise'; see Themes)
+   * @param {number} options.width - Width of the play field in world units (see Viewport)
+   * @param {number} options.height - Height of the play field in world units
+   * @param {number} [options.seed] - Seed for all spawning randomness (random if omitted)
+   * @param {GameClock} options.clock - Simulation clock shared with the game
+   * @param {SegmentLibrary} [options.segments] - Authored segments to draw patterns from (Segments.active if omitted)
+   * @param {boolean} [options.autoSpawn=true] - Whether obstacles and collectibles spawn on their own timers
    * @param {Game} options.game - Reference to the game object
    */
   constructor(options) {
     this.theme = options.theme || "legacy";
+    this.startTheme = this.theme;
     this.width = options.width;
     this.height = options.height;
+    this.clock = options.clock; // Advanced by the game, read by entities
+    this.segments = options.segments || Segments.active;
+    this.autoSpawn = options.autoSpawn !== false; // Off while play-testing a single segment
     this.game = options.game; // Store reference to the game object
 
+    // Seed the shared generator so the same seed replays the same run
+    this.seed =
+      options.seed !== undefined ? options.seed : SeededRandom.generateSeed();
+    GameRandom.setSeed(this.seed);
+
     // Level properties
     this.groundY = this.height - 50;
     this.speed = 300;
     this.distance = 0;
     this.difficulty = 1;
+    this.bonusScore = 0; // Extra score from events such as crunch mode
 
     // Game objects
     this.backgrounds = [];
     this.obstacles = [];
     this.collectibles = [];
+    this.projectiles = []; // Fired by acting obstacles (see ProjectileTypes)
+
+    // Spawns the player could not get past are repaired before they arrive
+    this.solvability = new SolvabilityChecker();
+    this.repairedSpawns = 0; // Obstacles removed to keep layouts solvable
 
     // Spawn timers
     this.obstacleTimer = 0;
@@ -34,11 +53,27 @@ class Level {
     this.obstacleInterval = 2000; // 2 seconds
     this.collectibleInterval = 1000; // 1 second
 
-    // Deadline properties
-    this.deadlinePosition = 0; // Start at 0
-    this.deadlineSpeed = 8; // Reduced from 15 to 8 to make it much slower
-    this.deadlineWarningActive = false;
-    this.deadlineWarningThreshold = 70; // Show warning when deadline is at 70%
+    // Stage progression (the theme changes at distance milestones)
+    this.stages = Themes.getStagesFrom(this.startTheme);
+    this.stageIndex = 0;
+    this.themeSettings = Themes.get(this.theme) || Themes.get("legacy");
+    this.previousBackgrounds = []; // Faded out while the next theme comes in
+    this.themeTransitionDuration = 1500; // ms
+    this.themeTransitionTime = 0;
+
+    // The deadline chasing the player, and the theme's scripted events for it
+    this.deadline = new Deadline();
+    this.deadlineEvents = this.scheduleDeadlineEvents(0);
+
+    // Boss encounters (see BossTypes); the phase is 'none', 'intro', 'fight',
+    // 'defeated' or 'escaped'
+    this.boss = null;
+    this.bossPhase = "none";
+    this.bossTimer = 0; // ms into the fight
+    this.bossAttackTimer = 0;
+    this.bossWeaknessTimer = 0;
+    this.bossesDefeated = 0;
+    this.bossEncounters = this.scheduleBossEncounters();
 
     // Initialize level
     this.initialize();
@@ -55,22 +90,7 @@ class Level {
    * Set up parallax background layers based on the current theme
    */
   createBackgrounds() {
-    let bgImage;
-
-    // Select background based on theme
-    switch (this.theme) {
-      case "legacy":
-        bgImage = Assets.images.backgrounds.legacy;
-        break;
-      case "startup":
-        bgImage = Assets.images.backgrounds.startup;
-        break;
-      case "enterprise":
-        bgImage = Assets.images.backgrounds.enterprise;
-        break;
-      default:
-        bgImage = Assets.images.backgrounds.legacy;
-    }
+    const bgImage = Assets.getBackgroundSprite(this.themeSettings.name);
 
     // Create three layers of parallax backgrounds with different scroll speeds
     this.backgrounds = [
@@ -109,11 +129,15 @@ class Level {
    */
   update(deltaTime, player) {
     const playerSpeed = player.getSpeed();
-    this.distance += playerSpeed * (deltaTime / 1000);
+    const travelled = playerSpeed * (deltaTime / 1000);
+    this.distance += travelled;
+    this.addBonusScore(travelled);
 
     this.updateDifficulty();
 
-    this.backgrounds.forEach((bg) => {
+    this.updateStage(deltaTime);
+
+    this.backgrounds.concat(this.previousBackgrounds).forEach((bg) => {
       bg.update(deltaTime, playerSpeed);
     });
 
@@ -121,7 +145,16 @@ class Level {
 
     this.updateCollectibles(deltaTime, player);
 
-    this.updateSpawners(deltaTime);
+    if (this.autoSpawn) {
+      this.updateBoss(deltaTime, player);
+
+      // Normal spawning pauses while a boss is around
+      if (this.bossPhase === "none") {
+        this.updateSpawners(deltaTime, player);
+      }
+
+      this.updateDeadlineEvents();
+    }
 
     return this.updateDeadline(deltaTime, player);
   }
@@ -142,21 +175,258 @@ class Level {
       );
   }
 
+  /**
+   * Move on to the next stage once its distance milestone is reached
+   * and fade out the previous theme's backgrounds
+   * @param {number} deltaTime - Time since last update in ms
+   */
+  updateStage(deltaTime) {
+    if (this.themeTransitionTime > 0) {
+      this.themeTransitionTime -= deltaTime;
+      if (this.themeTransitionTime <= 0) {
+        this.previousBackgrounds = [];
+      }
+    }
+
+    const nextStage = this.stages[this.stageIndex + 1];
+    if (nextStage && this.distance >= nextStage.distance) {
+      this.stageIndex++;
+      this.setTheme(nextStage.theme);
+      this.deadlineEvents = this.scheduleDeadlineEvents(nextStage.distance);
+    }
+  }
+
+  /**
+   * Works out when the current theme's deadline events are due
+   * @param {number} stageDistance - Distance at which the stage started
+   * @returns {Array<{event: string, distance: number, every: number}>} Upcoming events
+   */
+  scheduleDeadlineEvents(stageDistance) {
+    return this.themeSettings.deadlineEvents.map((entry) => ({
+      event: entry.event,
+      distance: stageDistance + entry.distance,
+      every: entry.every || Infinity,
+    }));
+  }
+
+  /**
+   * Starts the deadline events whose distance has been reached
+   */
+  updateDeadlineEvents() {
+    this.deadlineEvents.forEach((scheduled) => {
+      if (this.distance >= scheduled.distance) {
+        this.deadline.startEvent(scheduled.event);
+        scheduled.distance += scheduled.every;
+      }
+    });
+  }
+
+  /**
+   * Adds the extra score that active deadline events award
+   * @param {number} points - Score earned at the normal rate
+   */
+  addBonusScore(points) {
+    this.bonusScore += points * (this.deadline.getScale("scoreScale") - 1);
+  }
+
+  /**
+   * Switch to another theme, starting a transition between the backgrounds
+   * @param {string} theme - Theme name registered in Themes
+   */
+  setTheme(theme) {
+    this.previousBackgrounds = this.backgrounds;
+    this.themeTransitionTime = this.themeTransitionDuration;
+
+    this.theme = theme;
+    this.themeSettings = Themes.get(theme) || Themes.get("legacy");
+    this.createBackgrounds();
+  }
+
+  /**
+   * Get the current stage number, for display
+   * @returns {number} - Stage number starting at 1
+   */
+  getStageNumber() {
+    return this.stageIndex + 1;
+  }
+
+  /**
+   * Works out when the boss encounters are due
+   * @returns {Array<{boss: string, distance: number, every: number}>} Upcoming encounters
+   */
+  scheduleBossEncounters() {
+    return BossTypes.encounters.map((encounter) => ({
+      boss: encounter.boss,
+      distance: encounter.distance,
+      every: encounter.every || Infinity,
+    }));
+  }
+
+  /**
+   * Runs the boss encounter state machine
+   * none -> intro (the boss moves in) -> fight -> defeated or escaped (the
+   * boss moves out) -> none, at which point normal spawning resumes
+   * @param {number} deltaTime - Time since last update in ms
+   * @param {Player} player - Player object
+   */
+  updateBoss(deltaTime, player) {
+    if (this.boss) {
+      this.boss.update(deltaTime, this.clock);
+    }
+
+    switch (this.bossPhase) {
+      case "none": {
+        const encounter = this.bossEncounters.find(
+          (scheduled) => this.distance >= scheduled.distance
+        );
+        if (encounter) {
+          encounter.distance += encounter.every;
+          this.startBoss(encounter.boss);
+        }
+        break;
+      }
+
+      case "intro":
+        if (this.boss.isInPosition()) {
+          this.bossPhase = "fight";
+        }
+        break;
+
+      case "fight":
+        this.updateBossFight(deltaTime, player);
+        break;
+
+      default:
+        // Defeated or escaped: spawning resumes once the boss is gone
+        if (!this.boss.isActive) {
+          this.boss = null;
+          this.bossPhase = "none";
+          this.obstacleTimer = 0;
+          this.collectibleTimer = 0;
+        }
+    }
+  }
+
+  /**
+   * Brings a boss in, starting an encounter
+   * @param {string} type - Boss type registered in BossTypes
+   */
+  startBoss(type) {
+    this.boss = new Boss({
+      type: type,
+      levelWidth: this.width,
+      groundY: this.groundY,
+    });
+    this.bossPhase = "intro";
+    this.bossTimer = 0;
+    this.bossAttackTimer = 0;
+    this.bossWeaknessTimer = 0;
+  }
+
+  /**
+   * Runs the fight: attacks, drops of the item the boss is weak to, and the
+   * end of the fight once the boss is beaten or runs out of time
+   * @param {number} deltaTime - Time since last update in ms
+   * @param {Player} player - Player object
+   */
+  updateBossFight(deltaTime, player) {
+    const definition = this.boss.definition;
+    this.bossTimer += deltaTime;
+
+    if (this.boss.isDefeated()) {
+      this.bossesDefeated++;
+      this.applyBossReward(definition.reward, player);
+      this.bossPhase = "defeated";
+      this.boss.leave();
+      return;
+    }
+
+    if (this.bossTimer >= definition.timeLimit) {
+      this.bossPhase = "escaped";
+      this.boss.leave();
+      return;
+    }
+
+    this.bossAttackTimer += deltaTime;
+    if (this.bossAttackTimer >= definition.attackInterval) {
+      this.bossAttackTimer = 0;
+      this.spawnBossAttack(player);
+    }
+
+    this.bossWeaknessTimer += deltaTime;
+    if (this.bossWeaknessTimer >= definition.weaknessInterval) {
+      this.bossWeaknessTimer = 0;
+      this.collectibles.push(
+        CollectibleFactory.create(
+          definition.weakness,
+          this.speed,
+          this.groundY,
+          undefined,
+          this.width
+        )
+      );
+    }
+  }
+
+  /**
+   * Throws one of the boss's attack patterns at the player
+   * @param {Player} [player] - Player object, to check the attack can be cleared from where it is
+   */
+  spawnBossAttack(player) {
+    const attacks = this.boss.definition.attacks;
+    const pattern = attacks[Utils.randomInt(0, attacks.length - 1)];
+    const previousCount = this.obstacles.length;
+
+    pattern.forEach((entity) => {
+      const size = ObstacleTypes.get(entity.type).height;
+      this.obstacles.push(
+        ObstacleFactory.create(
+          entity.type,
+          this.speed,
+          this.groundY,
+          this.groundY - entity.height - size,
+          this.boss.x + (entity.x || 0)
+        )
+      );
+    });
+
+    this.repairSpawn(this.obstacles.slice(previousCount), player);
+  }
+
+  /**
+   * Gives the player what beating a boss earns
+   * @param {Object} reward - Reward from the boss definition (see BossTypes)
+   * @param {Player} player - Player object
+   */
+  applyBossReward(reward, player) {
+    if (reward.score) {
+      player.addScore(reward.score);
+    }
+    if (reward.effect) {
+      player.addEffect(reward.effect);
+    }
+    if (reward.deadlineEvent) {
+      this.deadline.startEvent(reward.deadlineEvent);
+    }
+  }
+
   /**
    * Manage obstacle and collectible spawn timers
    * @param {number} deltaTime - Time since last update in ms
+   * @param {Player} [player] - Player object, to check new obstacles can be cleared from where it is
    */
-  updateSpawners(deltaTime) {
+  updateSpawners(deltaTime, player) {
     // Calculate game time in seconds
     const gameTimeSeconds = this.distance / this.speed;
 
     // Reduce obstacle frequency in the first 10 seconds
-    const obstacleFrequencyMultiplier = gameTimeSeconds < 10 ? 0.3 : 1.0;
+    const obstacleFrequencyMultiplier =
+      (gameTimeSeconds < 10 ? 0.3 : 1.0) * this.themeSettings.obstacleRate;
 
     // Update obstacle timer
     this.obstacleTimer += deltaTime * obstacleFrequencyMultiplier;
     if (this.obstacleTimer >= this.obstacleInterval) {
-      this.spawnObstacle();
+      this.spawnObstacle(player);
 
       // Reset timer with some randomness
       this.obstacleTimer = 0;
@@ -167,7 +437,8 @@ class Level {
     }
 
     // Increase collectible frequency in the first 15 seconds and overall
-    const collectibleFrequencyMultiplier = gameTimeSeconds < 15 ? 2.0 : 1.5;
+    const collectibleFrequencyMultiplier =
+      (gameTimeSeconds < 15 ? 2.0 : 1.5) * this.themeSettings.collectibleRate;
 
     // Update collectible timer
     this.collectibleTimer += deltaTime * collectibleFrequencyMultiplier;
@@ -183,8 +454,9 @@ class Level {
   /**
    * Create a new obstacle based on game progress and difficulty
    * Handles early game restrictions and pattern generation
+   * @param {Player} [player] - Player object, to check new obstacles can be cleared from where it is
    */
-  spawnObstacle() {
+  spawnObstacle(player) {
     // Calculate game time in seconds
     const gameTimeSeconds = this.distance / this.speed;
 
@@ -203,8 +475,10 @@ class Level {
       return;
     }
 
+    const previousCount = this.obstacles.length;
+
     // Occasionally spawn obstacle patterns instead of single obstacles
-    const patternRoll = Math.random();
+    const patternRoll = GameRandom.next();
 
     // Reduce pattern frequency at the beginning
     const patternThreshold =
@@ -218,10 +492,49 @@ class Level {
       // Spawn a pattern (more likely at higher difficulties)
       this.spawnObstaclePattern();
     } else {
-      // Spawn a single obstacle
-      const obstacle = ObstacleFactory.createRandom(this.speed, this.groundY);
+      // Spawn a single obstacle, using the theme's obstacle mix
+      const obstacle = ObstacleFactory.createRandom(
+        this.speed,
+        this.groundY,
+        this.themeSettings.obstacleWeights,
+        this.width
+      );
       this.obstacles.push(obstacle);
     }
+
+    this.repairSpawn(this.obstacles.slice(previousCount), player);
+  }
+
+  /**
+   * Removes newly spawned obstacles until the player can get past everything on screen
+   * Obstacles already in play are kept: if the furthest attempt fails on one of
+   * those, the new spawn is not what makes the layout unwinnable.
+   * @param {Obstacle[]} spawned - Obstacles that were just added
+   * @param {Player} [player] - Player to check from (a player on the ground if omitted)
+   */
+  repairSpawn(spawned, player) {
+    if (player && player.state.isCrashed) return;
+
+    let candidates = spawned;
+
+    while (candidates.length > 0) {
+      const result = this.solvability.check(this.obstacles, {
+        groundY: this.groundY,
+        clock: this.clock,
+        player: player,
+        projectiles: this.projectiles,
+      });
+
+      // Layouts that could not be decided within the search budget are kept
+      if (result.solvable !== false || !candidates.includes(result.blocker)) {
+        return;
+      }
+
+      const removed = result.blocker;
+      this.obstacles.splice(this.obstacles.indexOf(removed), 1);
+      candidates = candidates.filter((obstacle) => obstacle !== removed);
+      this.repairedSpawns++;
+    }
   }
 
   /**
@@ -229,45 +542,81 @@ class Level {
    * Creates different formations that require specific player actions to avoid
    */
   spawnObstaclePattern() {
+    const segment = this.segments.pick(this.difficulty, "obstacles");
+    if (segment) {
+      this.spawnSegment(segment);
+      return;
+    }
+
+    // Built-in patterns, used when no segment library is loaded
     const patternType = Utils.randomInt(0, 2);
 
     switch (patternType) {
       case 0:
         // Double obstacle (high and low)
         this.obstacles.push(
-          ObstacleFactory.create("bug", this.speed, this.groundY - 100),
-          ObstacleFactory.create("meeting", this.speed, this.groundY)
+          ObstacleFactory.create(
+            "bug",
+            this.speed,
+            this.groundY - 100,
+            undefined,
+            this.width
+          ),
+          ObstacleFactory.create(
+            "meeting",
+            this.speed,
+            this.groundY,
+            undefined,
+            this.width
+          )
         );
         break;
 
       case 1:
         // Triple obstacle with gaps
         this.obstacles.push(
-          ObstacleFactory.create("bug", this.speed, this.groundY - 150),
+          ObstacleFactory.create(
+            "bug",
+            this.speed,
+            this.groundY - 150,
+            undefined,
+            this.width
+          ),
           ObstacleFactory.create(
             "mergeConflict",
             this.speed,
-            this.groundY - 60
+            this.groundY - 60,
+            undefined,
+            this.width + 200
           ),
-          ObstacleFactory.create("technicalDebt", this.speed, this.groundY)
+          ObstacleFactory.create(
+            "technicalDebt",
+            this.speed,
+            this.groundY,
+            undefined,
+            this.width + 400
+          )
         );
-
-        // Adjust positions to create gaps
-        this.obstacles[this.obstacles.length - 3].x = this.width;
-        this.obstacles[this.obstacles.length - 2].x = this.width + 200;
-        this.obstacles[this.obstacles.length - 1].x = this.width + 400;
         break;
 
       case 2:
         // Low obstacles in sequence (requires sliding)
         this.obstacles.push(
-          ObstacleFactory.create("meeting", this.speed, this.groundY),
-          ObstacleFactory.create("meeting", this.speed, this.groundY)
+          ObstacleFactory.create(
+            "meeting",
+            this.speed,
+            this.groundY,
+            undefined,
+            this.width
+          ),
+          ObstacleFactory.create(
+            "meeting",
+            this.speed,
+            this.groundY,
+            undefined,
+            this.width + 150
+          )
         );
-
-        // Adjust positions to create a sequence
-        this.obstacles[this.obstacles.length - 2].x = this.width;
-        this.obstacles[this.obstacles.length - 1].x = this.width + 150;
         break;
     }
   }
@@ -288,35 +637,17 @@ class Level {
     }
 
     // Occasionally spawn collectible patterns instead of single collectibles
-    const patternRoll = Math.random();
+    const patternRoll = GameRandom.next();
     if (patternRoll < 0.2) {
       // 20% chance to spawn a pattern
       this.spawnCollectiblePattern();
     } else {
-      // Determine collectible type for single spawn
-      let type;
-      const roll = Math.random();
-
-      // Increased coffee spawn rate
-      if (roll < 0.45) {
-        // 45% chance for coffee (increased from ~25%)
-        type = "coffee";
-      } else if (roll < 0.65) {
-        // 20% chance for stack overflow
-        type = "stackOverflow";
-      } else if (roll < 0.8) {
-        // 15% chance for git commit
-        type = "gitCommit";
-      } else {
-        // 20% chance for code snippet
-        type = "codeSnippet";
-      }
-
-      // Create collectible
-      const collectible = CollectibleFactory.create(
-        type,
-        this.width,
-        Utils.randomInt(this.groundY - 150, this.groundY - 20)
+      // Type and height come from the CollectibleTypes registry
+      const collectible = CollectibleFactory.createRandom(
+        this.speed,
+        this.groundY,
+        this.themeSettings.collectibleWeights,
+        this.width
       );
 
       this.collectibles.push(collectible);
@@ -328,6 +659,13 @@ class Level {
    * Creates different formations like rows, arcs, and trails
    */
   spawnCollectiblePattern() {
+    const segment = this.segments.pick(this.difficulty, "collectibles");
+    if (segment) {
+      this.spawnSegment(segment);
+      return;
+    }
+
+    // Built-in patterns, used when no segment library is loaded
     const patternType = Utils.randomInt(0, 3);
 
     switch (patternType) {
@@ -336,10 +674,11 @@ class Level {
         for (let i = 0; i < 5; i++) {
           const collectible = CollectibleFactory.create(
             "codeSnippet",
-            this.width,
-            this.groundY - 100
+            this.speed,
+            this.groundY,
+            this.groundY - 100,
+            this.width + i * 50
           );
-          collectible.x = this.width + i * 50;
           this.collectibles.push(collectible);
         }
         break;
@@ -349,10 +688,11 @@ class Level {
         for (let i = 0; i < 5; i++) {
           const collectible = CollectibleFactory.create(
             "codeSnippet",
-            this.width,
-            this.groundY - 100 - Math.sin((i / 4) * Math.PI) * 80
+            this.speed,
+            this.groundY,
+            this.groundY - 100 - Math.sin((i / 4) * Math.PI) * 80,
+            this.width + i * 50
           );
-          collectible.x = this.width + i * 50;
           this.collectibles.push(collectible);
         }
         break;
@@ -362,19 +702,21 @@ class Level {
         for (let i = 0; i < 3; i++) {
           const collectible = CollectibleFactory.create(
             "codeSnippet",
-            this.width,
-            this.groundY - 100
+            this.speed,
+            this.groundY,
+            this.groundY - 100,
+            this.width + i * 50
           );
-          collectible.x = this.width + i * 50;
           this.collectibles.push(collectible);
         }
 
         const coffee = CollectibleFactory.create(
           "coffee",
-          this.width,
-          this.groundY - 100
+          this.speed,
+          this.groundY,
+          this.groundY - 100,
+          this.width + 3 * 50
         );
-        coffee.x = this.width + 3 * 50;
         this.collectibles.push(coffee);
         break;
 
@@ -383,16 +725,49 @@ class Level {
         for (let i = 0; i < 3; i++) {
           const collectible = CollectibleFactory.create(
             "coffee",
-            this.width,
-            this.groundY - 100
+            this.speed,
+            this.groundY,
+            this.groundY - 100,
+            this.width + i * 100
           );
-          collectible.x = this.width + i * 100;
           this.collectibles.push(collectible);
         }
         break;
     }
   }
 
+  /**
+   * Spawn every entity of an authored segment just past the right edge of the screen
+   * @param {Object} segment - Segment from a SegmentLibrary
+   */
+  spawnSegment(segment) {
+    segment.entities.forEach((entity) => {
+      const x = this.width + entity.x;
+
+      if (entity.kind === "obstacle") {
+        const size = ObstacleTypes.get(entity.type).height;
+        const obstacle = ObstacleFactory.create(
+          entity.type,
+          this.speed,
+          this.groundY,
+          this.groundY - entity.height - size,
+          x
+        );
+        this.obstacles.push(obstacle);
+      } else {
+        const size = CollectibleTypes.get(entity.type).size;
+        const collectible = CollectibleFactory.create(
+          entity.type,
+          this.speed,
+          this.groundY,
+          this.groundY - entity.height - size,
+          x
+        );
+        this.collectibles.push(collectible);
+      }
+    });
+  }
+
   /**
    * Render the level and all its components
    * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -402,59 +777,78 @@ class Level {
       bg.drawRepeating(ctx, this.width);
     });
 
+    // Fade the previous theme out over the new one
+    if (this.previousBackgrounds.length > 0) {
+      ctx.save();
+      ctx.globalAlpha = Utils.clamp(
+        this.themeTransitionTime / this.themeTransitionDuration,
+        0,
+        1
+      );
+      this.previousBackgrounds.forEach((bg) => {
+        bg.drawRepeating(ctx, this.width);
+      });
+      ctx.restore();
+    }
+
     // Draw ground
-    ctx.fillStyle = "#333333";
+    ctx.fillStyle = this.themeSettings.groundColor;
     ctx.fillRect(0, this.groundY, this.width, this.height - this.groundY);
 
-    this.drawDeadline(ctx);
+    this.deadline.draw(ctx, this.height, this.clock.getSeconds());
+
+    if (this.boss) {
+      this.boss.draw(ctx);
+    }
 
     this.obstacles.forEach((obstacle) => {
       obstacle.draw(ctx);
     });
 
+    this.projectiles.forEach((projectile) => {
+      projectile.draw(ctx);
+    });
+
     this.collectibles.forEach((collectible) => {
       collectible.draw(ctx);
     });
   }
 
-  /**
-   * Calculate how close the deadline is to the player
-   * @returns {number} - Deadline proximity percentage (0-100)
-   */
-  getDeadlineProximity() {
-    return (this.deadlinePosition / this.width) * 100;
-  }
-
-  /**
-   * Determine if the deadline has caught up with the player
-   * @returns {boolean} - True if deadline has caught up
-   */
-  isDeadlineCaught() {
-    return this.deadlinePosition >= 100; // Player is at x=100
-  }
-
-  /**
-   * Check if the deadline warning indicator should be displayed
-   * @returns {boolean} - True if deadline warning is active
-   */
-  isDeadlineWarning() {
-    return this.deadlineWarningActive;
-  }
-
   /**
    * Reset the level to its initial state
    * Clears all game objects and resets properties
    */
   reset() {
+    // Restart the random sequence so the run repeats exactly
+    GameRandom.setSeed(this.seed);
+
+    // Back to the first stage
+    this.theme = this.startTheme;
+    this.themeSettings = Themes.get(this.theme) || Themes.get("legacy");
+    this.stageIndex = 0;
+    this.previousBackgrounds = [];
+    this.themeTransitionTime = 0;
+
     // Reset level properties
     this.distance = 0;
     this.difficulty = 1;
-    this.deadlinePosition = 0;
-    this.deadlineWarningActive = false;
+    this.bonusScore = 0;
+    this.deadline.reset();
+    this.deadlineEvents = this.scheduleDeadlineEvents(0);
+
+    // No boss around, and the encounters start over
+    this.boss = null;
+    this.bossPhase = "none";
+    this.bossTimer = 0;
+    this.bossAttackTimer = 0;
+    this.bossWeaknessTimer = 0;
+    this.bossesDefeated = 0;
+    this.bossEncounters = this.scheduleBossEncounters();
 
     // Clear game objects
     this.obstacles = [];
     this.collectibles = [];
+    this.projectiles = [];
 
     // Reset spawn timers
     this.obstacleTimer = 0;
@@ -467,89 +861,24 @@ class Level {
   }
 
   /**
-   * Update the deadline position and check for collision with player
-   * Deadline speed adjusts based on player speed and difficulty
+   * Advance the deadline and check whether it caught up with the player
    * @param {number} deltaTime - Time since last update in ms
    * @param {Player} player - Player object
    * @returns {boolean} - True if deadline caught up with player
    */
   updateDeadline(deltaTime, player) {
-    // Calculate game time in seconds
-    const gameTimeSeconds = this.distance / this.speed;
-
-    // Deadline moves much slower in the first 10 seconds (grace period)
-    let deadlineSpeedMultiplier = 0.05; // Reduced from 0.1 to 0.05
-
-    if (gameTimeSeconds >= 10) {
-      // After grace period, deadline speed depends on player speed
-      const playerSpeed = player.getSpeed();
-      const baseSpeed = player.baseSpeed;
-
-      // If player is moving at base speed, deadline slowly catches up
-      // If player is boosted, deadline falls behind
-      deadlineSpeedMultiplier =
-        (baseSpeed / playerSpeed) * this.difficulty * 0.7; // Added 0.7 multiplier to slow down deadline
-
-      // If player has coffee boost, slow down the deadline significantly
-      if (player.state.hasSpeedBoost) {
-        deadlineSpeedMultiplier *= 0.3; // Reduce deadline speed by 70% when coffee is active
-      }
-
-      // Ensure deadline always moves at least a little bit
-      deadlineSpeedMultiplier = Math.max(0.05, deadlineSpeedMultiplier); // Reduced from 0.1 to 0.05
-    }
-
-    // Update deadline position
-    this.deadlinePosition +=
-      this.deadlineSpeed * deadlineSpeedMultiplier * (deltaTime / 1000);
-
-    // Check if deadline is in warning zone
-    const deadlineProximity = this.getDeadlineProximity();
-    this.deadlineWarningActive =
-      deadlineProximity >= this.deadlineWarningThreshold;
+    // A boss holds the deadline back while it is around
+    const bossScale = this.boss ? this.boss.definition.deadlineScale : 1;
 
-    // Check if deadline caught up with player
-    return this.isDeadlineCaught();
-  }
-
-  /**
-   * Render the deadline visual elements
-   * @param {CanvasRenderingContext2D} ctx - Canvas context
-   */
-  drawDeadline(ctx) {
-    // Draw deadline as a vertical red line with gradient
-    const gradient = ctx.createLinearGradient(
-      this.deadlinePosition - 20,
-      0,
-      this.deadlinePosition,
-      0
-    );
-    gradient.addColorStop(0, "rgba(255, 0, 0, 0)");
-    gradient.addColorStop(1, "rgba(255, 0, 0, 0.7)");
-
-    ctx.fillStyle = gradient;
-    ctx.fillRect(this.deadlinePosition - 20, 0, 20, this.height);
-
-    // Draw deadline line
-    ctx.strokeStyle = "rgba(255, 0, 0, 0.9)";
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.moveTo(this.deadlinePosition, 0);
-    ctx.lineTo(this.deadlinePosition, this.height);
-    ctx.stroke();
-
-    // Draw deadline text
-    ctx.save();
-    ctx.translate(this.deadlinePosition - 10, this.height / 2);
-    ctx.rotate(-Math.PI / 2);
-    ctx.fillStyle = "#ff0000";
-    ctx.font = "bold 16px Arial";
-    ctx.fillText("DEADLINE", 0, 0);
-    ctx.restore();
+    return this.deadline.update(deltaTime, player, {
+      gameTimeSeconds: this.distance / this.speed,
+      difficulty: this.difficulty,
+      pressure: this.themeSettings.deadlinePressure * bossScale,
+    });
   }
 
   /**
-   * Update obstacles and check for collisions
+   * Update obstacles and the projectiles they fire, and check for collisions
    * @param {number} deltaTime - Time since last update in ms
    * @param {Player} player - Player object
    */
@@ -557,7 +886,8 @@ class Level {
     // Update each obstacle
     for (let i = this.obstacles.length - 1; i >= 0; i--) {
       const obstacle = this.obstacles[i];
-      obstacle.update(deltaTime);
+      obstacle.update(deltaTime, this.clock);
+      this.projectiles.push(...obstacle.takeProjectiles());
 
       // Check for collision with player
       if (
@@ -575,6 +905,33 @@ class Level {
         this.obstacles.splice(i, 1);
       }
     }
+
+    this.updateProjectiles(deltaTime, player);
+  }
+
+  /**
+   * Update projectiles and check whether they hit the player
+   * @param {number} deltaTime - Time since last update in ms
+   * @param {Player} player - Player object
+   */
+  updateProjectiles(deltaTime, player) {
+    for (let i = this.projectiles.length - 1; i >= 0; i--) {
+      const projectile = this.projectiles[i];
+      projectile.update(deltaTime, this.groundY);
+
+      if (
+        projectile.isActive &&
+        player.isActive &&
+        !player.state.isCrashed &&
+        player.isCollidingWith(projectile)
+      ) {
+        projectile.applyEffect(player);
+      }
+
+      if (!projectile.isActive) {
+        this.projectiles.splice(i, 1);
+      }
+    }
   }
 
   /**
@@ -586,7 +943,7 @@ class Level {
     // Update each collectible
     for (let i = this.collectibles.length - 1; i >= 0; i--) {
       const collectible = this.collectibles[i];
-      collectible.update(deltaTime);
+      collectible.update(deltaTime, this.clock);
 
       // Check for collision with player
       if (
@@ -596,7 +953,17 @@ class Level {
         player.isCollidingWith(collectible)
       ) {
         // Apply collectible effect to player
+        const previousScore = player.score;
         collectible.applyEffect(player);
+        this.addBonusScore(player.score - previousScore);
+
+        if (collectible.definition.deadlineEvent) {
+          this.deadline.startEvent(collectible.definition.deadlineEvent);
+        }
+
+        if (this.boss && this.boss.isWeakTo(collectible.type)) {
+          this.boss.hit();
+        }
       }
 
       // Remove inactive collectibles
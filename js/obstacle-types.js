@@ -0,0 +1,302 @@
+/**
+ * Registry of obstacle types
+ *
+ * Each obstacle type is declared once here: its size, where it spawns, how it
+ * moves, what happens when the player hits it, and how it looks. Obstacle,
+ * ObstacleFactory, Level and Assets all read from this registry, so a new
+ * hazard only needs a register() call (from this file or any script loaded
+ * after it) to start appearing in the game.
+ * Acting obstacles fire projectiles from their update hook with
+ * obstacle.fire() (see ProjectileTypes). Like everything in update, firing
+ * must only depend on time, never on GameRandom: the solvability checker runs
+ * the same hooks on copies of the obstacles.
+ */
+
+const ObstacleTypes = {
+  definitions: {},
+
+  /**
+   * Adds (or replaces) an obstacle type
+   * @param {Object} definition - Obstacle type definition
+   * @param {string} definition.type - Unique type name
+   * @param {string} definition.name - Display name for help screens
+   * @param {string} [definition.description] - Short effect description for help screens
+   * @param {number} definition.width - Sprite width
+   * @param {number} definition.height - Sprite height
+   * @param {string} definition.emoji - Emoji drawn on top of the sprite
+   * @param {string} [definition.color] - Color of the generated placeholder sprite
+   * @param {Function} [definition.createSprite] - Custom sprite factory: (assets, definition) => canvas
+   * @param {number} [definition.weight=1] - Relative chance of being picked for random spawns
+   * @param {Function} definition.spawnY - Top y position for a new obstacle: (groundY) => y
+   * @param {Function} [definition.setup] - Initializes per-instance state: (obstacle) => void
+   * @param {Function} [definition.update] - Per-step movement behavior: (obstacle, deltaTime, clock) => void
+   * @param {Function} definition.onCollide - Collision effect: (obstacle, player) => void
+   * @param {Object} [definition.incident] - Game over report for types that can end a run
+   * @param {string} definition.incident.title - Game over headline
+   * @param {string} definition.incident.rootCause - One-line root cause for the incident report
+   * @returns {Object} The registered definition
+   */
+  register: function (definition) {
+    this.definitions[definition.type] = {
+      weight: 1,
+      ...definition,
+    };
+    return this.definitions[definition.type];
+  },
+
+  /**
+   * Looks up an obstacle type
+   * @param {string} type - Type name
+   * @returns {Object|undefined} The definition, or undefined if not registered
+   */
+  get: function (type) {
+    return this.definitions[type];
+  },
+
+  /**
+   * Lists all registered obstacle types in registration order
+   * @returns {Object[]} Obstacle type definitions
+   */
+  list: function () {
+    return Object.values(this.definitions);
+  },
+
+  /**
+   * Picks a random type, weighted by each type's spawn weight
+   * @param {Object} [weights] - Optional weight overrides keyed by type name
+   * @returns {string} The selected type name
+   */
+  pickRandom: function (weights = {}) {
+    const table = {};
+    this.list().forEach((definition) => {
+      table[definition.type] =
+        weights[definition.type] !== undefined
+          ? weights[definition.type]
+          : definition.weight;
+    });
+    return Utils.pickWeighted(table);
+  },
+};
+
+ObstacleTypes.register({
+  type: "bug",
+  name: "Bug",
+  description: "Crashes your character",
+  width: 40,
+  height: 40,
+  emoji: "🐛",
+  color: "#ff0000",
+  // Bugs can be at various heights
+  spawnY: (groundY) => groundY - Utils.randomInt(40, 120),
+  setup: (obstacle) => {
+    // Bugs move up and down
+    obstacle.oscillateSpeed = 2;
+    obstacle.oscillateRange = 20;
+    obstacle.initialY = obstacle.y;
+    obstacle.oscillateOffset = GameRandom.next() * Math.PI * 2; // Random starting phase
+  },
+  update: (obstacle, deltaTime, clock) => {
+    obstacle.y =
+      obstacle.initialY +
+      Math.sin(
+        clock.getSeconds() * obstacle.oscillateSpeed + obstacle.oscillateOffset
+      ) *
+        obstacle.oscillateRange;
+  },
+  onCollide: (obstacle, player) => {
+    player.crash(obstacle.type);
+  },
+  incident: {
+    title: "SHIPPED A BUG!",
+    rootCause:
+      "An unhandled bug slipped past code review and took down production.",
+  },
+});
+
+ObstacleTypes.register({
+  type: "mergeConflict",
+  name: "Merge Conflict",
+  description: "Slows you down",
+  width: 60,
+  height: 60,
+  emoji: "⚠️",
+  color: "#ff6600",
+  // Merge conflicts are on the ground
+  spawnY: (groundY) => groundY - 60,
+  onCollide: (obstacle, player) => {
+    // Merge conflicts slow down the player (more than meetings)
+    if (!player.isInvincible()) {
+      player.addEffect("mergeConflict");
+
+      // Make the merge conflict disappear
+      obstacle.isActive = false;
+    }
+  },
+});
+
+ObstacleTypes.register({
+  type: "meeting",
+  name: "Meeting",
+  description: "Slows you down",
+  width: 80,
+  height: 40,
+  emoji: "👥",
+  color: "#cc3300",
+  // Meetings are on the ground
+  spawnY: (groundY) => groundY - 40,
+  onCollide: (obstacle, player) => {
+    if (!player.isInvincible()) {
+      player.addEffect("meeting");
+
+      // Make the meeting disappear
+      obstacle.isActive = false;
+    }
+  },
+});
+
+ObstacleTypes.register({
+  type: "technicalDebt",
+  name: "Technical Debt",
+  description: "Grows and crashes you",
+  width: 50,
+  height: 70,
+  emoji: "🧶",
+  color: "#990000",
+  // Technical debt starts small and grows
+  spawnY: (groundY) => groundY - 70,
+  setup: (obstacle) => {
+    obstacle.growthRate = 0.05;
+    obstacle.maxGrowth = 1.5;
+    obstacle.currentGrowth = 1;
+  },
+  update: (obstacle, deltaTime) => {
+    // Grow over time
+    if (obstacle.currentGrowth < obstacle.maxGrowth) {
+      obstacle.currentGrowth += obstacle.growthRate * (deltaTime / 1000);
+      obstacle.width = obstacle.definition.width * obstacle.currentGrowth;
+      obstacle.height = obstacle.definition.height * obstacle.currentGrowth;
+    }
+  },
+  onCollide: (obstacle, player) => {
+    player.crash(obstacle.type);
+  },
+  incident: {
+    title: "BURIED IN TECH DEBT!",
+    rootCause:
+      "Years of quick fixes came due at once and nothing builds anymore.",
+  },
+});
+
+ObstacleTypes.register({
+  type: "flakyTest",
+  name: "Flaky Test",
+  description: "Fires bugs at you",
+  width: 40,
+  height: 50,
+  emoji: "🧪",
+  color: "#9933cc",
+  // Only spawns in themes that list it in their obstacleWeights
+  weight: 0,
+  spawnY: (groundY) => groundY - 50,
+  setup: (obstacle) => {
+    obstacle.fireInterval = 1400;
+    obstacle.fireTimer = 0;
+  },
+  update: (obstacle, deltaTime) => {
+    obstacle.fireTimer += deltaTime;
+
+    // Bugs fly at head height: slide under them or jump over them
+    if (obstacle.fireTimer >= obstacle.fireInterval && obstacle.x > 200) {
+      obstacle.fireTimer = 0;
+      obstacle.fire("bugShot", {
+        x: obstacle.x - 20,
+        y: obstacle.y - 5,
+        velocityX: obstacle.velocityX - 250,
+      });
+    }
+  },
+  onCollide: (obstacle, player) => {
+    player.crash(obstacle.type);
+  },
+  incident: {
+    title: "FLAKY TEST!",
+    rootCause:
+      "A test that failed one run in ten picked the release pipeline to fail in.",
+  },
+});
+
+ObstacleTypes.register({
+  type: "codeReviewer",
+  name: "Code Reviewer",
+  description: "Drops review comments that slow you down",
+  width: 50,
+  height: 40,
+  emoji: "🧐",
+  color: "#3366cc",
+  weight: 0,
+  // Reviewers hover above the action
+  spawnY: (groundY) => groundY - 260,
+  setup: (obstacle) => {
+    obstacle.dropInterval = 900;
+    obstacle.dropTimer = 0;
+  },
+  update: (obstacle, deltaTime) => {
+    obstacle.dropTimer += deltaTime;
+
+    if (obstacle.dropTimer >= obstacle.dropInterval && obstacle.x > 200) {
+      obstacle.dropTimer = 0;
+      obstacle.fire("commentBlock", {
+        x: obstacle.x + obstacle.width / 2 - 13,
+        y: obstacle.y + obstacle.height,
+        velocityX: obstacle.velocityX,
+      });
+    }
+  },
+  onCollide: (obstacle, player) => {
+    if (!player.isInvincible()) {
+      player.addEffect("codeReview");
+      obstacle.isActive = false;
+    }
+  },
+});
+
+ObstacleTypes.register({
+  type: "pagerAlert",
+  name: "Pager Alert",
+  description: "Blinks, then lunges at you",
+  width: 40,
+  height: 40,
+  emoji: "📟",
+  color: "#ffcc00",
+  weight: 0,
+  spawnY: (groundY) => groundY - 40,
+  setup: (obstacle) => {
+    obstacle.phase = "approach"; // Then 'blink', then 'lunge'
+    obstacle.blinkTime = 0;
+    obstacle.cruiseVelocity = obstacle.velocityX;
+  },
+  update: (obstacle, deltaTime) => {
+    if (obstacle.phase === "approach" && obstacle.x < 550) {
+      // Slow down and blink as a warning
+      obstacle.phase = "blink";
+      obstacle.velocityX = obstacle.cruiseVelocity * 0.3;
+    } else if (obstacle.phase === "blink") {
+      obstacle.blinkTime += deltaTime;
+      obstacle.isVisible = Math.floor(obstacle.blinkTime / 100) % 2 === 0;
+
+      if (obstacle.blinkTime >= 700) {
+        obstacle.phase = "lunge";
+        obstacle.isVisible = true;
+        obstacle.velocityX = obstacle.cruiseVelocity * 2.2;
+      }
+    }
+  },
+  onCollide: (obstacle, player) => {
+    player.crash(obstacle.type);
+  },
+  incident: {
+    title: "PAGED!",
+    rootCause:
+      "An alert fired, nobody acknowledged it, and it escalated straight to you.",
+  },
+});
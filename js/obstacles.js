@@ -6,52 +6,26 @@ class Obstacle extends Sprite {
   /**
    * Create a new obstacle
    * @param {Object} options - Obstacle options
-   * @param {string} [options.type="bug"] - Obstacle type: "bug", "mergeConflict", "meeting", or "technicalDebt"
+   * @param {string} [options.type="bug"] - Obstacle type registered in ObstacleTypes
    * @param {number} [options.speed=300] - Obstacle movement speed in pixels per second
-   * @param {number} [options.x=800] - Initial x position
+   * @param {number} [options.x=Viewport.WORLD_WIDTH] - Initial x position
    * @param {number} [options.y=0] - Initial y position
    */
   constructor(options) {
-    const type = options.type || "bug";
-    let spriteImage, width, height;
-
-    // Set properties based on obstacle type
-    switch (type) {
-      case "bug":
-        spriteImage = Assets.images.obstacles.bug;
-        width = 40;
-        height = 40;
-        break;
-      case "mergeConflict":
-        spriteImage = Assets.images.obstacles.mergeConflict;
-        width = 60;
-        height = 60;
-        break;
-      case "meeting":
-        spriteImage = Assets.images.obstacles.meeting;
-        width = 80;
-        height = 40;
-        break;
-      case "technicalDebt":
-        spriteImage = Assets.images.obstacles.technicalDebt;
-        width = 50;
-        height = 70;
-        break;
-      default:
-        spriteImage = Assets.images.obstacles.bug;
-        width = 40;
-        height = 40;
-    }
+    // Unknown types fall back to a plain bug
+    const definition =
+      ObstacleTypes.get(options.type || "bug") || ObstacleTypes.get("bug");
 
     super({
-      image: spriteImage,
-      x: options.x || 800,
+      image: Assets.getObstacleSprite(definition.type),
+      x: options.x || Viewport.WORLD_WIDTH,
       y: options.y || 0,
-      width: width,
-      height: height,
+      width: definition.width,
+      height: definition.height,
     });
 
-    this.type = type;
+    this.type = definition.type;
+    this.definition = definition;
     this.velocityX = -(options.speed || 300);
 
     // Adjust collision box to be slightly smaller than sprite
@@ -62,71 +36,65 @@ class Obstacle extends Sprite {
       height: this.height - 10,
     };
 
+    this.projectiles = []; // Fired since the level last collected them (see fire)
+
     this.setupSpecialProperties();
     this.emoji = this.getObstacleEmoji();
   }
 
   /**
-   * Initializes type-specific properties for obstacle behavior
+   * Fires a projectile; the level picks it up after this step
+   * @param {string} type - Projectile type registered in ProjectileTypes
+   * @param {Object} options - Where it starts and how fast it goes (see Projectile)
    */
-  setupSpecialProperties() {
-    switch (this.type) {
-      case "bug":
-        // Bugs can move up and down
-        this.oscillateSpeed = 2;
-        this.oscillateRange = 20;
-        this.initialY = this.y;
-        this.oscillateOffset = Math.random() * Math.PI * 2; // Random starting phase
-        break;
+  fire(type, options) {
+    this.projectiles.push(
+      new Projectile({ ...options, type: type, source: this.type })
+    );
+  }
 
-      case "mergeConflict":
-        // Merge conflicts are stationary but larger
-        break;
+  /**
+   * Hands over the projectiles fired since the last call
+   * @returns {Projectile[]} Newly fired projectiles
+   */
+  takeProjectiles() {
+    const fired = this.projectiles;
+    this.projectiles = [];
+    return fired;
+  }
 
-      case "meeting":
-        // Meetings slow down the player on collision
-        break;
+  /**
+   * Copies the obstacle, so moves can be tried out without touching the original
+   * Projectiles fired by the copy stay with the copy.
+   * @returns {Obstacle} Independent copy
+   */
+  clone() {
+    const copy = super.clone();
+    copy.projectiles = [];
+    return copy;
+  }
 
-      case "technicalDebt":
-        // Technical debt grows over time
-        this.growthRate = 0.05;
-        this.maxGrowth = 1.5;
-        this.currentGrowth = 1;
-        break;
+  /**
+   * Initializes type-specific properties for obstacle behavior
+   */
+  setupSpecialProperties() {
+    if (this.definition.setup) {
+      this.definition.setup(this);
     }
   }
 
   /**
    * Updates obstacle position and applies type-specific behaviors
    * @param {number} deltaTime - Time since last update in milliseconds
+   * @param {GameClock} clock - Simulation clock used for time-based motion
    */
-  update(deltaTime) {
+  update(deltaTime, clock) {
     // Update position based on velocity
     this.x += this.velocityX * (deltaTime / 1000);
 
     // Apply special behaviors based on obstacle type
-    switch (this.type) {
-      case "bug":
-        // Oscillate up and down
-        this.y =
-          this.initialY +
-          Math.sin(
-            (Date.now() / 1000) * this.oscillateSpeed + this.oscillateOffset
-          ) *
-            this.oscillateRange;
-        break;
-
-      case "technicalDebt":
-        // Grow over time
-        if (this.currentGrowth < this.maxGrowth) {
-          this.currentGrowth += this.growthRate * (deltaTime / 1000);
-
-          // Update size
-          const growthFactor = this.currentGrowth;
-          this.width = 50 * growthFactor;
-          this.height = 70 * growthFactor;
-        }
-        break;
+    if (this.definition.update) {
+      this.definition.update(this, deltaTime, clock);
     }
 
     this.updateCollisionBox();
@@ -152,37 +120,7 @@ class Obstacle extends Sprite {
    * @param {Player} player - The player that collided with this obstacle
    */
   applyEffect(player) {
-    switch (this.type) {
-      case "bug":
-      case "technicalDebt":
-        // These obstacles crash the player
-        player.crash();
-        break;
-
-      case "mergeConflict":
-        // Merge conflicts now slow down the player (more than meetings)
-        if (!player.invincible) {
-          player.speedBoost = -150; // Stronger negative boost = more slowdown
-          player.state.hasSpeedBoost = true;
-          player.speedBoostDuration = 3000; // 3 seconds of slowdown
-
-          // Make the merge conflict disappear
-          this.isActive = false;
-        }
-        break;
-
-      case "meeting":
-        // Meetings slow down the player
-        if (!player.invincible) {
-          player.speedBoost = -100; // Negative boost = slowdown
-          player.state.hasSpeedBoost = true;
-          player.speedBoostDuration = 2000; // 2 seconds of slowdown
-
-          // Make the meeting disappear
-          this.isActive = false;
-        }
-        break;
-    }
+    this.definition.onCollide(this, player);
   }
 
   /**
@@ -190,18 +128,7 @@ class Obstacle extends Sprite {
    * @returns {string} Emoji character representing this obstacle
    */
   getObstacleEmoji() {
-    switch (this.type) {
-      case "bug":
-        return "🐛";
-      case "mergeConflict":
-        return "⚠️";
-      case "meeting":
-        return "👥";
-      case "technicalDebt":
-        return "🧶";
-      default:
-        return "❓";
-    }
+    return this.definition.emoji || "❓";
   }
 
   /**
@@ -239,15 +166,21 @@ class Obstacle extends Sprite {
 const ObstacleFactory = {
   /**
    * Creates a random obstacle with appropriate positioning
+   * Types are drawn from ObstacleTypes according to their spawn weights
    * @param {number} speed - Base movement speed for the obstacle
    * @param {number} groundY - Y position of the ground level
+   * @param {Object} [weights] - Optional spawn weight overrides keyed by type
+   * @param {number} [x] - World x to spawn at (the right edge of the default world if omitted)
    * @returns {Obstacle} A randomly selected obstacle instance
    */
-  createRandom: function (speed, groundY) {
-    const types = ["bug", "mergeConflict", "meeting", "technicalDebt"];
-    const type = types[Utils.randomInt(0, types.length - 1)];
-
-    return this.create(type, speed, groundY);
+  createRandom: function (speed, groundY, weights, x) {
+    return this.create(
+      ObstacleTypes.pickRandom(weights),
+      speed,
+      groundY,
+      undefined,
+      x
+    );
   },
 
   /**
@@ -255,40 +188,20 @@ const ObstacleFactory = {
    * @param {string} type - Obstacle type to create
    * @param {number} speed - Base movement speed for the obstacle
    * @param {number} groundY - Y position of the ground level
+   * @param {number} [y] - Exact y position (the type's usual spawn height if omitted)
+   * @param {number} [x=Viewport.WORLD_WIDTH] - World x to spawn at, usually the level's right edge
    * @returns {Obstacle} The created obstacle instance
    */
-  create: function (type, speed, groundY) {
-    let y;
-
-    switch (type) {
-      case "bug":
-        // Bugs can be at various heights
-        y = groundY - Utils.randomInt(40, 120);
-        break;
-
-      case "mergeConflict":
-        // Merge conflicts are on the ground
-        y = groundY - 60;
-        break;
-
-      case "meeting":
-        // Meetings are on the ground
-        y = groundY - 40;
-        break;
-
-      case "technicalDebt":
-        // Technical debt starts small and grows
-        y = groundY - 70;
-        break;
-
-      default:
-        y = groundY - 40;
+  create: function (type, speed, groundY, y, x = Viewport.WORLD_WIDTH) {
+    if (y === undefined) {
+      const definition = ObstacleTypes.get(type);
+      y = definition ? definition.spawnY(groundY) : groundY - 40;
     }
 
     return new Obstacle({
       type: type,
       speed: speed,
-      x: 800,
+      x: x,
       y: y,
     });
   },
@@ -24,7 +24,6 @@ class Player extends Sprite {
       isDoubleJumping: false,
       isSliding: false,
       isCrashed: false,
-      hasSpeedBoost: false,
     };
 
     // Player properties
@@ -32,10 +31,7 @@ class Player extends Sprite {
     this.jumpForce = -600;
     this.gravity = 1200;
     this.baseSpeed = 300;
-    this.speedBoost = 0;
-    this.speedBoostDuration = 0;
-    this.invincible = false;
-    this.invincibilityDuration = 0;
+    this.effects = new StatusEffects(); // Speed boosts, slowdowns, invincibility...
     this.invincibilityFlashTimer = 0;
     this.coyoteTime = 100; // Time in ms that player can still jump after leaving ground
     this.coyoteTimeCounter = 0;
@@ -45,9 +41,13 @@ class Player extends Sprite {
 
     // Collectibles
     this.score = 0;
-    this.coffeeCount = 0;
-    this.codeSnippets = 0;
+    this.collected = {}; // Items collected this run, keyed by collectible type
     this.gitCommits = 0;
+    this.shieldsUsed = 0; // Git commits spent absorbing crashes this run
+    this.crashCause = null; // Obstacle type that crashed the player
+
+    // Animation (see Assets.playerAnimations)
+    this.animation = null; // State whose sprite sheet is showing
 
     // Adjust collision box to be slightly smaller than sprite
     this.collisionBox = {
@@ -56,6 +56,8 @@ class Player extends Sprite {
       width: this.width - 20,
       height: this.height - 10,
     };
+
+    this.updateSprite();
   }
 
   /**
@@ -72,21 +74,14 @@ class Player extends Sprite {
         this.isActive = false;
       }
 
+      this.updateSprite(deltaTime);
       this.updateCollisionBox();
       return;
     }
 
-    if (this.state.hasSpeedBoost) {
-      this.speedBoostDuration -= deltaTime;
+    this.effects.update(deltaTime);
 
-      if (this.speedBoostDuration <= 0) {
-        this.state.hasSpeedBoost = false;
-        this.speedBoost = 0;
-      }
-    }
-
-    if (this.invincible) {
-      this.invincibilityDuration -= deltaTime;
+    if (this.isInvincible()) {
       this.invincibilityFlashTimer += deltaTime;
 
       // Flash effect for invincibility
@@ -94,16 +89,16 @@ class Player extends Sprite {
         this.isVisible = !this.isVisible;
         this.invincibilityFlashTimer = 0;
       }
-
-      if (this.invincibilityDuration <= 0) {
-        this.invincible = false;
-        this.isVisible = true; // Ensure player is visible when invincibility ends
-      }
+    } else {
+      this.isVisible = true; // Ensure player is visible when invincibility ends
     }
 
     // Apply gravity if in the air
     if (this.state.isJumping || this.y < this.groundY - this.height) {
-      this.velocityY += this.gravity * (deltaTime / 1000);
+      this.velocityY +=
+        this.gravity *
+        this.effects.getScale("gravityScale") *
+        (deltaTime / 1000);
     }
 
     this.y += this.velocityY * (deltaTime / 1000);
@@ -114,7 +109,9 @@ class Player extends Sprite {
       if (this.coyoteTimeCounter > this.coyoteTime) {
         this.state.isJumping = true;
       }
-    } else {
+    } else if (!this.state.isJumping) {
+      // Only reset on the ground: mid-jump the counter must stay past
+      // coyoteTime, or every press would count as a fresh first jump
       this.coyoteTimeCounter = 0;
     }
 
@@ -139,7 +136,7 @@ class Player extends Sprite {
       this.velocityY = 0;
     }
 
-    this.updateSprite();
+    this.updateSprite(deltaTime);
 
     // Always update collision box
     this.updateCollisionBox();
@@ -147,6 +144,7 @@ class Player extends Sprite {
 
   /**
    * Adjusts collision box dimensions based on player state (sliding or standing)
+   * Status effects with a hitboxScale shrink or grow the box around its center
    */
   updateCollisionBox() {
     if (this.state.isSliding) {
@@ -160,21 +158,81 @@ class Player extends Sprite {
       this.collisionBox.width = this.width - 20;
       this.collisionBox.height = this.height - 10;
     }
+
+    const scale = this.effects.getScale("hitboxScale");
+    if (scale !== 1) {
+      const box = this.collisionBox;
+      box.x += (box.width * (1 - scale)) / 2;
+      box.y += (box.height * (1 - scale)) / 2;
+      box.width *= scale;
+      box.height *= scale;
+    }
   }
 
   /**
-   * Sets the appropriate sprite image based on current player state
+   * Picks the sprite sheet for the current player state and advances its frame
+   * Running and sliding animate faster the faster the player goes, the jump
+   * frame follows the vertical speed and the crash plays once.
+   * @param {number} [deltaTime=0] - Time since last update in ms
    */
-  updateSprite() {
+  updateSprite(deltaTime = 0) {
+    let animation = "run";
     if (this.state.isCrashed) {
-      this.image = Assets.images.player.crash;
+      animation = "crash";
     } else if (this.state.isJumping || this.state.isDoubleJumping) {
-      this.image = Assets.images.player.jump;
+      animation = "jump";
     } else if (this.state.isSliding) {
-      this.image = Assets.images.player.slide;
+      animation = "slide";
+    }
+
+    const definition = Assets.playerAnimations[animation];
+
+    if (animation !== this.animation) {
+      this.animation = animation;
+      this.image = Assets.images.player[animation];
+      this.frameCount = definition.frames;
+      this.resetAnimation();
+    }
+
+    if (animation === "jump") {
+      // Take-off, rising, top of the arc, falling
+      if (this.velocityY < -300) {
+        this.currentFrame = 0;
+      } else if (this.velocityY < -100) {
+        this.currentFrame = 1;
+      } else if (this.velocityY <= 100) {
+        this.currentFrame = 2;
+      } else {
+        this.currentFrame = 3;
+      }
     } else {
-      this.image = Assets.images.player.run;
+      this.frameDelay = definition.frameDelay;
+      this.frameTimer +=
+        animation === "crash"
+          ? deltaTime
+          : deltaTime * (this.getSpeed() / this.baseSpeed);
+
+      while (this.frameTimer >= this.frameDelay) {
+        this.frameTimer -= this.frameDelay;
+        this.currentFrame = definition.loop
+          ? (this.currentFrame + 1) % this.frameCount
+          : Math.min(this.currentFrame + 1, this.frameCount - 1);
+      }
     }
+
+    this.frameX = this.currentFrame;
+  }
+
+  /**
+   * Renders the current frame of the player's sprite sheet
+   * Frame size is read from the sheet on every draw, since sheets are redrawn
+   * at a new size when the resolution changes.
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  draw(ctx) {
+    this.frameWidth = this.image.width / this.frameCount;
+    this.frameHeight = this.image.height;
+    super.draw(ctx);
   }
 
   /**
@@ -268,15 +326,16 @@ class Player extends Sprite {
   /**
    * Handles player collision with obstacles
    * Uses git commits as shields if available, otherwise crashes the player
+   * @param {string} [cause] - Obstacle type responsible, for end-of-run stats
    */
-  crash() {
-    if (this.invincible) return; // Don't crash if invincible
+  crash(cause) {
+    if (this.isInvincible()) return; // Don't crash if invincible
 
     if (this.gitCommits > 0) {
       // Use a git commit instead of crashing
       this.gitCommits--;
-      this.invincible = true;
-      this.invincibilityDuration = 2000; // 2 seconds of invincibility
+      this.shieldsUsed++;
+      this.addEffect("invincible", { duration: 2000 }); // 2 seconds of invincibility
       if (Assets.playSfx) {
         Assets.playSfx("powerup");
       }
@@ -284,6 +343,7 @@ class Player extends Sprite {
     }
 
     this.state.isCrashed = true;
+    this.crashCause = cause || null;
     this.state.isRunning = false;
     this.state.isJumping = false;
     this.state.isSliding = false;
@@ -294,59 +354,93 @@ class Player extends Sprite {
   }
 
   /**
-   * Applies coffee power-up effects (speed boost)
+   * Counts a collected item, for end-of-run stats
+   * @param {string} type - Collectible type
    */
-  collectCoffee() {
-    this.coffeeCount++;
-    this.score += 50;
-    this.state.hasSpeedBoost = true;
-    this.speedBoost = 300;
-    this.speedBoostDuration = 12000; // 12 seconds
-    if (Assets.playSfx) {
-      Assets.playSfx("collect");
-    }
+  recordCollected(type) {
+    this.collected[type] = (this.collected[type] || 0) + 1;
   }
 
   /**
-   * Applies Stack Overflow power-up effects (temporary invincibility)
+   * Returns how many items of a type were collected this run
+   * @param {string} type - Collectible type
+   * @returns {number} - Number collected
    */
-  collectStackOverflow() {
-    this.score += 100;
-    this.invincible = true;
-    this.invincibilityDuration = 5000; // 5 seconds
-    if (Assets.playSfx) {
-      Assets.playSfx("powerup");
-    }
+  getCollectedCount(type) {
+    return this.collected[type] || 0;
   }
 
   /**
-   * Adds a Git Commit (acts as a shield against one crash)
+   * Adds points to the player's item score
+   * @param {number} points - Points to add
    */
-  collectGitCommit() {
-    this.gitCommits++;
-    this.score += 150;
-    if (Assets.playSfx) {
-      Assets.playSfx("collect");
-    }
+  addScore(points) {
+    this.score += points;
   }
 
   /**
-   * Adds a Code Snippet to the player's collection (basic score item)
+   * Applies a timed status effect (see StatusEffectTypes)
+   * @param {string} name - Effect name, e.g. 'caffeinated' or 'meeting'
+   * @param {Object} [options] - Options such as a duration override in ms
    */
-  collectCodeSnippet() {
-    this.codeSnippets++;
-    this.score += 10;
-    if (Assets.playSfx) {
-      Assets.playSfx("collect");
-    }
+  addEffect(name, options) {
+    this.effects.add(name, options);
+  }
+
+  /**
+   * Checks whether an active status effect protects the player from crashing
+   * @returns {boolean} True if the player cannot crash
+   */
+  isInvincible() {
+    return this.effects.hasFlag("invincible");
+  }
+
+  /**
+   * Adds shields that each absorb one crash (shown as git commits)
+   * @param {number} [count=1] - Number of shields to add
+   */
+  addShield(count = 1) {
+    this.gitCommits += count;
   }
 
   /**
    * Calculates the current player speed including any active boosts
+   * Slowdowns add up, but never take the player below Player.MIN_SPEED_SCALE
+   * of the base speed.
    * @returns {number} - Current speed value
    */
   getSpeed() {
-    return this.baseSpeed + this.speedBoost;
+    return Math.max(
+      this.baseSpeed * Player.MIN_SPEED_SCALE,
+      this.baseSpeed + this.effects.getTotal("speed")
+    );
+  }
+
+  /**
+   * Works out the collision box the player would have on the ground, standing or sliding
+   * Status effects that scale the hitbox are taken into account.
+   * @param {boolean} isSliding - True for the sliding box, false for the standing one
+   * @returns {{x: number, y: number, width: number, height: number}} Collision box
+   */
+  getGroundedCollisionBox(isSliding) {
+    const copy = this.clone();
+    copy.state.isSliding = isSliding;
+    copy.height = isSliding ? 30 : 50; // See slide and endSlide
+    copy.y = this.groundY - copy.height;
+    copy.updateCollisionBox();
+    return copy.collisionBox;
+  }
+
+  /**
+   * Copies the player, including its state flags and status effects
+   * @returns {Player} Independent copy
+   */
+  clone() {
+    const copy = super.clone();
+    copy.state = { ...this.state };
+    copy.effects = this.effects.clone();
+    copy.collected = { ...this.collected };
+    return copy;
   }
 
   /**
@@ -361,19 +455,21 @@ class Player extends Sprite {
       isDoubleJumping: false,
       isSliding: false,
       isCrashed: false,
-      hasSpeedBoost: false,
     };
-    this.speedBoost = 0;
-    this.speedBoostDuration = 0;
-    this.invincible = false;
-    this.invincibilityDuration = 0;
+    this.effects.clear();
+    this.invincibilityFlashTimer = 0;
     this.isVisible = true;
     this.isActive = true;
     this.score = 0;
-    this.coffeeCount = 0;
-    this.codeSnippets = 0;
+    this.collected = {};
     this.gitCommits = 0;
+    this.shieldsUsed = 0;
+    this.crashCause = null;
     this.height = 50;
+    this.updateSprite();
     this.updateCollisionBox();
   }
 }
+
+// Share of the base speed the player keeps however many slowdowns are active
+Player.MIN_SPEED_SCALE = 0.5;
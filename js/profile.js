@@ -0,0 +1,123 @@
+/**
+ * Persistent player profile with lifetime statistics
+ *
+ * The profile is kept in localStorage as versioned JSON. Every finished run
+ * (not replays or level editor play tests) adds to the totals through
+ * recordRun, using the end-of-run stats from Simulation.getStats.
+ */
+
+class PlayerProfile {
+  /**
+   * Create a profile
+   * @param {Object} [data] - Saved profile data (a fresh profile if omitted)
+   */
+  constructor(data = {}) {
+    this.runs = data.runs || 0;
+    this.totalDistance = data.totalDistance || 0;
+    this.coffees = data.coffees || 0;
+    this.snippets = data.snippets || 0;
+    this.shieldsUsed = data.shieldsUsed || 0;
+    this.deaths = { ...data.deaths }; // Runs ended, keyed by cause (obstacle type or 'deadline')
+    this.bestByTheme = { ...data.bestByTheme }; // { score, distance } keyed by the theme a run ended in
+  }
+
+  /**
+   * Loads the profile from local storage
+   * @returns {PlayerProfile} The saved profile, or a fresh one if there is none or it can't be read
+   */
+  static load() {
+    try {
+      const saved = localStorage.getItem(PlayerProfile.STORAGE_KEY);
+      return saved ? PlayerProfile.fromJSON(saved) : new PlayerProfile();
+    } catch (error) {
+      console.warn(
+        "Could not read the player profile, starting a new one:",
+        error.message
+      );
+      return new PlayerProfile();
+    }
+  }
+
+  /**
+   * Parses saved profile data
+   * @param {string|Object} json - JSON string or parsed object
+   * @returns {PlayerProfile} The profile
+   * @throws {Error} If the data is not a profile or comes from a newer version
+   */
+  static fromJSON(json) {
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+
+    if (!data || data.format !== PlayerProfile.FORMAT) {
+      throw new Error("Not a Mac the Developer profile");
+    }
+
+    if (data.version > PlayerProfile.VERSION) {
+      throw new Error(`Unsupported profile version: ${data.version}`);
+    }
+
+    return new PlayerProfile(data);
+  }
+
+  /**
+   * Saves the profile to local storage
+   * The profile stays in memory for this session if storage is full or blocked.
+   */
+  save() {
+    try {
+      localStorage.setItem(
+        PlayerProfile.STORAGE_KEY,
+        JSON.stringify(this.toJSON())
+      );
+    } catch (error) {
+      console.warn("Could not save the player profile:", error.message);
+    }
+  }
+
+  /**
+   * Adds a finished run to the lifetime statistics and saves the profile
+   * @param {Object} stats - End-of-run stats (see Simulation.getStats)
+   */
+  recordRun(stats) {
+    this.runs++;
+    this.totalDistance += stats.distance;
+    this.coffees += stats.collected.coffee;
+    this.snippets += stats.collected.codeSnippets;
+    this.shieldsUsed += stats.shieldsUsed;
+
+    if (stats.deathCause) {
+      this.deaths[stats.deathCause] = (this.deaths[stats.deathCause] || 0) + 1;
+    }
+
+    const best = this.bestByTheme[stats.theme];
+    if (!best || stats.score > best.score) {
+      this.bestByTheme[stats.theme] = {
+        score: stats.score,
+        distance: stats.distance,
+      };
+    }
+
+    this.save();
+  }
+
+  /**
+   * Serializes the profile
+   * @returns {Object} Serializable profile data
+   */
+  toJSON() {
+    return {
+      format: PlayerProfile.FORMAT,
+      version: PlayerProfile.VERSION,
+      runs: this.runs,
+      totalDistance: this.totalDistance,
+      coffees: this.coffees,
+      snippets: this.snippets,
+      shieldsUsed: this.shieldsUsed,
+      deaths: this.deaths,
+      bestByTheme: this.bestByTheme,
+    };
+  }
+}
+
+PlayerProfile.FORMAT = "mac-the-dev-profile";
+PlayerProfile.VERSION = 1;
+PlayerProfile.STORAGE_KEY = "MacDevProfile";
@@ -0,0 +1,81 @@
+/**
+ * Registry of projectile types
+ *
+ * Projectiles are what acting obstacles throw at the player: they are fired
+ * with obstacle.fire() from an obstacle type's update hook, fly on their own
+ * velocity (and gravity, if they have any) and are checked for collisions
+ * with the player by Level alongside the obstacles. A projectile's hit effect
+ * only goes through the player's API, like an obstacle's.
+ */
+
+const ProjectileTypes = {
+  definitions: {},
+
+  /**
+   * Adds (or replaces) a projectile type
+   * @param {Object} definition - Projectile type definition
+   * @param {string} definition.type - Unique type name
+   * @param {number} definition.width - Sprite width
+   * @param {number} definition.height - Sprite height
+   * @param {string} definition.emoji - Emoji drawn on top of the sprite
+   * @param {string} [definition.color] - Color of the generated circular sprite
+   * @param {Function} [definition.createSprite] - Custom sprite factory: (assets, definition) => canvas
+   * @param {number} [definition.gravity=0] - Downward acceleration in world units per second squared
+   * @param {boolean} [definition.landsOnGround=false] - Stays on the ground where it lands instead of disappearing
+   * @param {Function} definition.onHit - Hit effect: (projectile, player) => void; the projectile is used up afterwards
+   * @returns {Object} The registered definition
+   */
+  register: function (definition) {
+    this.definitions[definition.type] = {
+      gravity: 0,
+      landsOnGround: false,
+      ...definition,
+    };
+    return this.definitions[definition.type];
+  },
+
+  /**
+   * Looks up a projectile type
+   * @param {string} type - Type name
+   * @returns {Object|undefined} The definition, or undefined if not registered
+   */
+  get: function (type) {
+    return this.definitions[type];
+  },
+
+  /**
+   * Lists all registered projectile types in registration order
+   * @returns {Object[]} Projectile type definitions
+   */
+  list: function () {
+    return Object.values(this.definitions);
+  },
+};
+
+ProjectileTypes.register({
+  type: "bugShot",
+  width: 20,
+  height: 20,
+  emoji: "🐛",
+  color: "#ff3333",
+  onHit: (projectile, player) => {
+    // The run ends on whatever fired the bug
+    player.crash(projectile.source || "bug");
+  },
+});
+
+ProjectileTypes.register({
+  type: "commentBlock",
+  width: 26,
+  height: 22,
+  emoji: "💬",
+  color: "#dddddd",
+  gravity: 500,
+  // Comments pile up on the ground until they are addressed
+  landsOnGround: true,
+  onHit: (projectile, player) => {
+    if (!player.isInvincible()) {
+      player.addEffect("codeReview");
+    }
+  },
+});
@@ -0,0 +1,102 @@
+/**
+ * Projectiles fired by obstacles, such as bugs shot by a flaky test
+ */
+
+class Projectile extends Sprite {
+  /**
+   * Create a new projectile
+   * @param {Object} options - Projectile options
+   * @param {string} options.type - Projectile type registered in ProjectileTypes
+   * @param {number} options.x - Initial x position
+   * @param {number} options.y - Initial y position
+   * @param {number} [options.velocityX=0] - Horizontal speed in world units per second
+   * @param {number} [options.velocityY=0] - Vertical speed in world units per second
+   * @param {string} [options.source] - Obstacle type that fired it, reported as the crash cause
+   */
+  constructor(options) {
+    const definition = ProjectileTypes.get(options.type);
+
+    super({
+      image: Assets.getProjectileSprite(definition.type),
+      x: options.x,
+      y: options.y,
+      width: definition.width,
+      height: definition.height,
+    });
+
+    this.type = definition.type;
+    this.definition = definition;
+    this.source = options.source || null;
+    this.velocityX = options.velocityX || 0;
+    this.velocityY = options.velocityY || 0;
+    this.gravity = definition.gravity;
+
+    // Slightly smaller than the sprite, like obstacles
+    this.collisionBox = {
+      x: this.x + 3,
+      y: this.y + 3,
+      width: this.width - 6,
+      height: this.height - 6,
+    };
+  }
+
+  /**
+   * Moves the projectile and drops it once it leaves the play field
+   * @param {number} deltaTime - Time since last update in ms
+   * @param {number} groundY - Y position of the ground, where falling projectiles land
+   */
+  update(deltaTime, groundY) {
+    super.update(deltaTime);
+
+    if (this.y + this.height >= groundY) {
+      if (this.definition.landsOnGround) {
+        this.y = groundY - this.height;
+        this.velocityY = 0;
+        this.gravity = 0;
+        this.updateCollisionBox();
+      } else {
+        this.isActive = false;
+      }
+    }
+
+    if (this.x < -this.width) {
+      this.isActive = false;
+    }
+  }
+
+  /**
+   * Synchronizes collision box with current projectile position
+   */
+  updateCollisionBox() {
+    this.collisionBox.x = this.x + 3;
+    this.collisionBox.y = this.y + 3;
+  }
+
+  /**
+   * Applies the hit effect to the player and uses the projectile up
+   * @param {Player} player - The player that was hit
+   */
+  applyEffect(player) {
+    this.definition.onHit(this, player);
+    this.isActive = false;
+  }
+
+  /**
+   * Renders the projectile with its emoji
+   * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+   */
+  draw(ctx) {
+    if (!this.isVisible) return;
+
+    ctx.drawImage(this.image, this.x, this.y, this.width, this.height);
+
+    ctx.font = `${Math.min(this.width, this.height) * 0.8}px Arial`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(
+      this.definition.emoji,
+      this.x + this.width / 2,
+      this.y + this.height / 2
+    );
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Seedable pseudo-random number generation for deterministic gameplay
+ */
+
+class SeededRandom {
+  /**
+   * Create a new random number generator
+   * @param {number} [seed] - Initial seed (a random seed is generated if omitted)
+   */
+  constructor(seed) {
+    this.setSeed(seed === undefined ? SeededRandom.generateSeed() : seed);
+  }
+
+  /**
+   * Generates a fresh seed for a new run
+   * This is the only place gameplay randomness may touch Math.random()
+   * @returns {number} Unsigned 32-bit seed
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Restarts the sequence from the given seed
+   * @param {number} seed - Seed value (coerced to an unsigned 32-bit integer)
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Returns the next number in the sequence (mulberry32)
+   * @returns {number} Float in the range [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Returns a random float within a range
+   * @param {number} min - Minimum value (inclusive)
+   * @param {number} max - Maximum value (exclusive)
+   * @returns {number} Random float
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Returns a random integer within a range
+   * @param {number} min - Minimum value (inclusive)
+   * @param {number} max - Maximum value (inclusive)
+   * @returns {number} Random integer
+   */
+  int(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  /**
+   * Picks a random element from an array
+   * @param {Array} items - Items to choose from
+   * @returns {*} The selected item
+   */
+  pick(items) {
+    return items[this.int(0, items.length - 1)];
+  }
+}
+
+/**
+ * Shared generator used by every gameplay decision (spawning, entity behavior).
+ * Level reseeds it at the start of each run so a seed reproduces the run.
+ */
+const GameRandom = new SeededRandom();
@@ -0,0 +1,115 @@
+/**
+ * Client for a shared leaderboard server, e.g. an office leaderboard on the intranet
+ *
+ * The game only talks to a leaderboard backend through three methods, so any
+ * object that has them can be plugged in instead of this HTTP client:
+ *   submitScore(submission) resolves to { rank, total } for the submitted run
+ *   fetchTop(limit) resolves to the best entries, best first
+ *   fetchRank(name) resolves to { rank, total, entry } for a player's best run
+ * Every method resolves to null when the backend can't be reached or turns the
+ * request down, so the game plays the same offline.
+ *
+ * tools/leaderboard-server.js implements the HTTP API for development and
+ * testing. It replays every submitted run to check its score.
+ */
+
+class RemoteLeaderboard {
+  /**
+   * Create a client
+   * @param {Object} options - Client options
+   * @param {string} options.endpoint - Base URL of the leaderboard server
+   * @param {number} [options.timeout=RemoteLeaderboard.TIMEOUT] - Time to wait for an answer in ms
+   */
+  constructor(options) {
+    this.endpoint = options.endpoint.replace(/\/+$/, "");
+    this.timeout = options.timeout || RemoteLeaderboard.TIMEOUT;
+  }
+
+  /**
+   * Creates the backend configured on the page, if any
+   * LEADERBOARD_BACKEND is a ready-made backend object; LEADERBOARD_ENDPOINT
+   * is the URL of a server speaking the HTTP API.
+   * @param {Object} config - Object holding the settings (normally window)
+   * @returns {Object|null} Leaderboard backend, or null to play without one
+   */
+  static fromConfig(config) {
+    if (config.LEADERBOARD_BACKEND) return config.LEADERBOARD_BACKEND;
+
+    return config.LEADERBOARD_ENDPOINT
+      ? new RemoteLeaderboard({ endpoint: config.LEADERBOARD_ENDPOINT })
+      : null;
+  }
+
+  /**
+   * Submits a finished run
+   * The server re-simulates the replay, so only verified scores are listed.
+   * @param {Object} submission - Run to submit
+   * @param {string} submission.name - Player initials
+   * @param {number} submission.score - Final score
+   * @param {Object} submission.replay - Replay of the run (see Replay.toJSON), including its seed
+   * @returns {Promise<{rank: number, total: number}|null>} Place of the run on the leaderboard
+   */
+  submitScore(submission) {
+    return this.request("/scores", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(submission),
+    });
+  }
+
+  /**
+   * Fetches the best runs
+   * @param {number} [limit=10] - Number of runs to fetch
+   * @returns {Promise<Object[]|null>} Entries ({ name, score, distance, deathCause, seed, date }), best first
+   */
+  async fetchTop(limit = 10) {
+    const data = await this.request(`/scores?limit=${limit}`);
+    return data ? data.scores : null;
+  }
+
+  /**
+   * Fetches where a player's best run stands
+   * @param {string} name - Player initials
+   * @returns {Promise<{rank: number, total: number, entry: Object}|null>} Rank, or null if the player has no runs listed
+   */
+  fetchRank(name) {
+    return this.request(`/rank?name=${encodeURIComponent(name)}`);
+  }
+
+  /**
+   * Sends a request to the server
+   * @param {string} path - Path and query below the endpoint
+   * @param {Object} [options] - fetch options
+   * @returns {Promise<Object|null>} Parsed JSON answer, or null if the request failed
+   */
+  async request(path, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(this.endpoint + path, {
+        ...options,
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        // 404 just means there is nothing to show yet (e.g. no runs for a name)
+        if (response.status !== 404) {
+          console.warn(
+            `Leaderboard server turned down ${path}: ${response.status}`
+          );
+        }
+        return null;
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.warn("Leaderboard server unavailable:", error.message);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+RemoteLeaderboard.TIMEOUT = 5000;
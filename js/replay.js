@@ -0,0 +1,151 @@
+/**
+ * Input recording and deterministic replay of game runs
+ */
+
+class Replay {
+  /**
+   * Create a new replay
+   * @param {Object} options - Replay options
+   * @param {number} options.seed - Seed the run was started with
+   * @param {string} [options.theme="startup"] - Level theme of the run
+   * @param {number} options.width - Canvas width the run was simulated at
+   * @param {number} options.height - Canvas height the run was simulated at
+   * @param {number} [options.timeStep] - Fixed simulation step in ms
+   * @param {Array<{tick: number, action: string}>} [options.events] - Recorded input events
+   * @param {number|null} [options.finalTick] - Tick at which the run ended
+   * @param {number|null} [options.score] - Final score of the run
+   * @param {string|null} [options.segmentChecksum] - Checksum of the segment library the run used (null if none)
+   */
+  constructor(options) {
+    this.seed = options.seed;
+    this.theme = options.theme || "startup";
+    this.width = options.width;
+    this.height = options.height;
+    this.timeStep = options.timeStep || 1000 / 60;
+    this.events = options.events || [];
+    this.finalTick = options.finalTick !== undefined ? options.finalTick : null;
+    this.score = options.score !== undefined ? options.score : null;
+    this.segmentChecksum = options.segmentChecksum || null;
+
+    // Playback cursor into the events array
+    this.cursor = 0;
+  }
+
+  /**
+   * Appends an input event to the recording
+   * @param {number} tick - Fixed-timestep tick index the input applies before
+   * @param {string} action - Input action ('jump', 'slide' or 'endSlide')
+   */
+  record(tick, action) {
+    this.events.push({ tick: tick, action: action });
+  }
+
+  /**
+   * Marks the recording as complete
+   * @param {number} tick - Tick at which the run ended
+   * @param {number} score - Final score of the run
+   */
+  finish(tick, score) {
+    this.finalTick = tick;
+    this.score = score;
+  }
+
+  /**
+   * Rewinds playback to the first event
+   */
+  rewind() {
+    this.cursor = 0;
+  }
+
+  /**
+   * Returns all recorded actions due at the given tick and advances the cursor
+   * Ticks must be requested in increasing order during playback
+   * @param {number} tick - Current tick index
+   * @returns {string[]} Actions to apply before simulating this tick
+   */
+  consumeActions(tick) {
+    const actions = [];
+    while (
+      this.cursor < this.events.length &&
+      this.events[this.cursor].tick <= tick
+    ) {
+      actions.push(this.events[this.cursor].action);
+      this.cursor++;
+    }
+    return actions;
+  }
+
+  /**
+   * Checks whether playback has run past the recorded end of the run
+   * @param {number} tick - Current tick index
+   * @returns {boolean} True if the recording has no more ticks to play
+   */
+  isFinished(tick) {
+    return this.finalTick !== null && tick > this.finalTick;
+  }
+
+  /**
+   * Serializes the replay to a plain object suitable for JSON export
+   * @returns {Object} Serializable replay data
+   */
+  toJSON() {
+    return {
+      format: Replay.FORMAT,
+      version: Replay.VERSION,
+      seed: this.seed,
+      theme: this.theme,
+      width: this.width,
+      height: this.height,
+      timeStep: this.timeStep,
+      finalTick: this.finalTick,
+      score: this.score,
+      segmentChecksum: this.segmentChecksum,
+      events: this.events,
+    };
+  }
+
+  /**
+   * Parses a replay previously exported with toJSON
+   * @param {string|Object} json - JSON string or parsed object
+   * @returns {Replay} The loaded replay
+   * @throws {Error} If the data is not a valid replay
+   */
+  static fromJSON(json) {
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+
+    if (!data || data.format !== Replay.FORMAT) {
+      throw new Error("Not a Mac the Developer replay file");
+    }
+
+    if (data.version > Replay.VERSION) {
+      throw new Error(`Unsupported replay version: ${data.version}`);
+    }
+
+    if (typeof data.seed !== "number" || !Array.isArray(data.events)) {
+      throw new Error("Replay is missing its seed or input events");
+    }
+
+    const events = data.events.filter(
+      (event) =>
+        event &&
+        Number.isInteger(event.tick) &&
+        Replay.ACTIONS.includes(event.action)
+    );
+
+    return new Replay({
+      seed: data.seed,
+      theme: data.theme,
+      width: data.width,
+      height: data.height,
+      timeStep: data.timeStep,
+      events: events,
+      finalTick: data.finalTick,
+      score: data.score,
+      segmentChecksum: data.segmentChecksum,
+    });
+  }
+}
+
+Replay.FORMAT = "mac-the-dev-replay";
+Replay.VERSION = 1;
+Replay.ACTIONS = ["jump", "slide", "endSlide"];
@@ -0,0 +1,293 @@
+/**
+ * Hand-authored level segments
+ *
+ * A segment is a short challenge sequence of obstacles and collectibles,
+ * written as JSON so it can be designed without touching the game code (see
+ * levels/segments.json). Level draws its patterns from the active segment
+ * library, picking among the segments allowed at the current difficulty.
+ *
+ * Segment fields:
+ *   id             Unique name
+ *   name           Optional display name
+ *   weight         Relative chance of being picked (default 1)
+ *   minDifficulty  Lowest level difficulty it appears at (default 1)
+ *   maxDifficulty  Highest level difficulty it appears at (default: no limit)
+ *   entities       What to spawn, each with:
+ *     kind         'obstacle' or 'collectible'
+ *     type         Type registered in ObstacleTypes or CollectibleTypes
+ *     x            Offset in pixels from the right edge of the screen
+ *     height       Gap in pixels between the ground and the entity's bottom edge (default 0)
+ *     action       Action the player needs for it: 'jump', 'doubleJump', 'slide',
+ *                  'collect' or 'none' (default 'none')
+ */
+
+class SegmentLibrary {
+  /**
+   * Create a segment library
+   * @param {Object[]} [segments] - Validated segments (see SegmentLibrary.validateSegment)
+   */
+  constructor(segments = []) {
+    this.segments = segments;
+  }
+
+  /**
+   * Parses a segment file
+   * @param {string|Object} json - JSON string or parsed object
+   * @returns {SegmentLibrary} The loaded library
+   * @throws {Error} If the data is not a valid segment file
+   */
+  static fromJSON(json) {
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+
+    if (!data || data.format !== SegmentLibrary.FORMAT) {
+      throw new Error("Not a Mac the Developer segment file");
+    }
+
+    if (data.version > SegmentLibrary.VERSION) {
+      throw new Error(`Unsupported segment file version: ${data.version}`);
+    }
+
+    if (!Array.isArray(data.segments)) {
+      throw new Error("Segment file has no segments list");
+    }
+
+    const library = new SegmentLibrary();
+    data.segments.forEach((segment) => library.add(segment));
+    return library;
+  }
+
+  /**
+   * Checks a segment and fills in defaults
+   * @param {Object} segment - Segment as written in a segment file
+   * @returns {Object} Normalized copy of the segment
+   * @throws {Error} Describing the first problem found
+   */
+  static validateSegment(segment) {
+    if (!segment || typeof segment.id !== "string" || segment.id === "") {
+      throw new Error("Segment is missing its id");
+    }
+
+    const fail = (message) => {
+      throw new Error(`Segment "${segment.id}": ${message}`);
+    };
+
+    if (!Array.isArray(segment.entities) || segment.entities.length === 0) {
+      fail("needs at least one entity");
+    }
+
+    const entities = segment.entities.map((entity, index) => {
+      const registry =
+        entity.kind === "obstacle"
+          ? ObstacleTypes
+          : entity.kind === "collectible"
+          ? CollectibleTypes
+          : null;
+
+      if (!registry) {
+        fail(`entity ${index} has unknown kind "${entity.kind}"`);
+      }
+      if (!registry.get(entity.type)) {
+        fail(
+          `entity ${index} has unknown ${entity.kind} type "${entity.type}"`
+        );
+      }
+      if (typeof entity.x !== "number" || entity.x < 0) {
+        fail(`entity ${index} needs an x offset of 0 or more`);
+      }
+
+      const height = entity.height !== undefined ? entity.height : 0;
+      if (typeof height !== "number" || height < 0) {
+        fail(`entity ${index} needs a height of 0 or more`);
+      }
+
+      const action = entity.action || "none";
+      if (!SegmentLibrary.ACTIONS.includes(action)) {
+        fail(`entity ${index} has unknown action "${action}"`);
+      }
+
+      return {
+        kind: entity.kind,
+        type: entity.type,
+        x: entity.x,
+        height: height,
+        action: action,
+      };
+    });
+
+    const normalized = {
+      id: segment.id,
+      name: segment.name || segment.id,
+      weight: segment.weight !== undefined ? segment.weight : 1,
+      minDifficulty:
+        segment.minDifficulty !== undefined ? segment.minDifficulty : 1,
+      maxDifficulty:
+        segment.maxDifficulty !== undefined ? segment.maxDifficulty : null,
+      entities: entities,
+    };
+
+    if (typeof normalized.weight !== "number" || normalized.weight < 0) {
+      fail("weight must be a number of 0 or more");
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validates a segment and adds it, replacing any segment with the same id
+   * @param {Object} segment - Segment as written in a segment file
+   * @returns {Object} The normalized segment
+   * @throws {Error} If the segment is invalid
+   */
+  add(segment) {
+    const normalized = SegmentLibrary.validateSegment(segment);
+    this.remove(normalized.id);
+    this.segments.push(normalized);
+    return normalized;
+  }
+
+  /**
+   * Removes a segment
+   * @param {string} id - Segment id
+   */
+  remove(id) {
+    this.segments = this.segments.filter((segment) => segment.id !== id);
+  }
+
+  /**
+   * Looks up a segment
+   * @param {string} id - Segment id
+   * @returns {Object|undefined} The segment, or undefined if not in the library
+   */
+  get(id) {
+    return this.segments.find((segment) => segment.id === id);
+  }
+
+  /**
+   * Checks whether the library has any segments
+   * @returns {boolean} True if there are no segments
+   */
+  isEmpty() {
+    return this.segments.length === 0;
+  }
+
+  /**
+   * Lists the segments allowed at a difficulty
+   * @param {number} difficulty - Current level difficulty
+   * @param {string} [category] - 'obstacles' for segments with at least one obstacle,
+   *   'collectibles' for segments with only collectibles, or omitted for all
+   * @returns {Object[]} Matching segments
+   */
+  getEligible(difficulty, category) {
+    return this.segments.filter((segment) => {
+      if (difficulty < segment.minDifficulty) return false;
+      if (
+        segment.maxDifficulty !== null &&
+        difficulty > segment.maxDifficulty
+      ) {
+        return false;
+      }
+
+      const hasObstacles = segment.entities.some(
+        (entity) => entity.kind === "obstacle"
+      );
+      if (category === "obstacles") return hasObstacles;
+      if (category === "collectibles") return !hasObstacles;
+      return true;
+    });
+  }
+
+  /**
+   * Picks a random segment allowed at a difficulty, weighted by segment weight
+   * @param {number} difficulty - Current level difficulty
+   * @param {string} [category] - Segment category (see getEligible)
+   * @returns {Object|null} The chosen segment, or null if none is allowed
+   */
+  pick(difficulty, category) {
+    const eligible = this.getEligible(difficulty, category).filter(
+      (segment) => segment.weight > 0
+    );
+    if (eligible.length === 0) return null;
+
+    const weights = {};
+    eligible.forEach((segment) => {
+      weights[segment.id] = segment.weight;
+    });
+    return this.get(Utils.pickWeighted(weights));
+  }
+
+  /**
+   * Serializes the library in the segment file format
+   * @returns {Object} Serializable segment file data
+   */
+  toJSON() {
+    return {
+      format: SegmentLibrary.FORMAT,
+      version: SegmentLibrary.VERSION,
+      segments: this.segments.map((segment) => {
+        const data = { ...segment };
+        if (data.maxDifficulty === null) delete data.maxDifficulty;
+        return data;
+      }),
+    };
+  }
+
+  /**
+   * Fingerprints the library contents, so replays can tell which segments they were recorded with
+   * @returns {string} Hex checksum (FNV-1a of the serialized library)
+   */
+  getChecksum() {
+    const text = JSON.stringify(this.toJSON());
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, "0");
+  }
+}
+
+SegmentLibrary.FORMAT = "mac-the-dev-segments";
+SegmentLibrary.VERSION = 1;
+SegmentLibrary.ACTIONS = ["none", "jump", "doubleJump", "slide", "collect"];
+
+/**
+ * The segment library used by new levels
+ */
+const Segments = {
+  active: new SegmentLibrary(),
+
+  /**
+   * Makes a segment file the active library
+   * @param {string|Object} json - Segment file contents
+   * @returns {SegmentLibrary} The loaded library
+   * @throws {Error} If the data is not a valid segment file
+   */
+  load: function (json) {
+    this.active = SegmentLibrary.fromJSON(json);
+    return this.active;
+  },
+
+  /**
+   * Fetches and loads a segment file
+   * Browsers refuse to fetch files when index.html is opened from disk; the
+   * level then falls back to its built-in patterns.
+   * @param {string} url - Segment file URL
+   * @returns {Promise<boolean>} Resolves to true if the file was loaded
+   */
+  loadFromUrl: async function (url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      this.load(await response.text());
+      return true;
+    } catch (error) {
+      console.warn(
+        `Could not load level segments from ${url}, using built-in patterns:`,
+        error.message
+      );
+      return false;
+    }
+  },
+};
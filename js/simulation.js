@@ -0,0 +1,310 @@
+/**
+ * Rendering-free game simulation shared by the browser game and headless tools
+ */
+
+class Simulation {
+  /**
+   * Create a new simulation of a single run
+   * @param {Object} [options] - Simulation options
+   * @param {number} [options.seed] - Run seed (random if omitted)
+   * @param {string} [options.theme="startup"] - Level theme
+   * @param {number} [options.width=Viewport.WORLD_WIDTH] - Width of the play field in world units
+   * @param {number} [options.height=Viewport.WORLD_HEIGHT] - Height of the play field in world units
+   * @param {GameClock} [options.clock] - Clock to drive (a new one is created if omitted)
+   * @param {SegmentLibrary} [options.segments] - Authored level segments (Segments.active if omitted)
+   * @param {boolean} [options.autoSpawn=true] - Whether the level spawns entities on its own
+   */
+  constructor(options = {}) {
+    this.width = options.width || Viewport.WORLD_WIDTH;
+    this.height = options.height || Viewport.WORLD_HEIGHT;
+
+    this.clock = options.clock || new GameClock();
+    this.clock.reset();
+
+    this.player = new Player({
+      groundY: this.height - 50,
+    });
+
+    this.level = new Level({
+      theme: options.theme || "startup",
+      width: this.width,
+      height: this.height,
+      seed: options.seed,
+      clock: this.clock,
+      segments: options.segments,
+      autoSpawn: options.autoSpawn,
+    });
+
+    this.isOver = false;
+    this.maxSpeed = this.player.getSpeed(); // Fastest the player has run
+  }
+
+  /**
+   * Creates a simulation configured to reproduce a recorded run
+   * Runs recorded without segments replay without them; otherwise the active
+   * library is used, which must match the replay's segmentChecksum
+   * @param {Replay} replay - Recorded run
+   * @param {Object} [options] - Simulation options
+   * @param {GameClock} [options.clock] - Clock to drive, switched to the replay's step (a new one if omitted)
+   * @returns {Simulation} Simulation with the replay's seed, dimensions and step
+   */
+  static fromReplay(replay, options = {}) {
+    const clock = options.clock || new GameClock(replay.timeStep);
+    clock.timeStep = replay.timeStep;
+
+    return new Simulation({
+      seed: replay.seed,
+      theme: replay.theme,
+      width: replay.width,
+      height: replay.height,
+      clock: clock,
+      segments: replay.segmentChecksum ? Segments.active : new SegmentLibrary(),
+    });
+  }
+
+  /**
+   * Applies an input action to the player
+   * @param {string} action - Input action ('jump', 'slide' or 'endSlide')
+   */
+  applyInput(action) {
+    switch (action) {
+      case "jump":
+        this.player.jump();
+        break;
+
+      case "slide":
+        this.player.slide();
+        break;
+
+      case "endSlide":
+        this.player.endSlide();
+        break;
+    }
+  }
+
+  /**
+   * Simulates exactly one fixed clock step
+   * @returns {boolean} True if the run is over
+   */
+  step() {
+    if (this.isOver) return true;
+
+    const deltaTime = this.clock.timeStep;
+
+    this.player.update(deltaTime);
+
+    const isDeadlineCaught = this.level.update(deltaTime, this.player);
+
+    this.clock.advance();
+
+    this.maxSpeed = Math.max(this.maxSpeed, this.player.getSpeed());
+
+    if (!this.player.isActive || isDeadlineCaught) {
+      this.isOver = true;
+    }
+
+    return this.isOver;
+  }
+
+  /**
+   * Runs the simulation until the run ends, feeding in scripted inputs
+   * @param {Object} [options] - Run options
+   * @param {Array<{tick: number, action: string}>} [options.inputs] - Inputs to apply, by tick
+   * @param {number} [options.maxTicks=36000] - Safety limit (10 minutes at 60 steps per second)
+   * @returns {Object} End-of-run stats (see getStats)
+   */
+  run(options = {}) {
+    const script = new Replay({
+      seed: this.level.seed,
+      width: this.width,
+      height: this.height,
+      events: (options.inputs || []).slice().sort((a, b) => a.tick - b.tick),
+    });
+    const maxTicks = options.maxTicks || 36000;
+
+    while (!this.isOver && this.clock.tick < maxTicks) {
+      script
+        .consumeActions(this.clock.tick)
+        .forEach((action) => this.applyInput(action));
+      this.step();
+    }
+
+    return this.getStats();
+  }
+
+  /**
+   * Runs the simulation until the run ends, letting an agent choose the inputs
+   * Each step the agent's decide() receives a read-only snapshot and returns
+   * 'jump', 'slide' or 'none'. Slides are held until the agent stops asking.
+   * @param {Object} agent - Agent with a decide(snapshot) method
+   * @param {Object} [options] - Run options
+   * @param {number} [options.maxTicks=36000] - Safety limit (10 minutes at 60 steps per second)
+   * @param {number} [options.lookahead=600] - How far ahead of the player entities are visible
+   * @returns {Object} End-of-run stats (see getStats)
+   */
+  runAgent(agent, options = {}) {
+    const maxTicks = options.maxTicks || 36000;
+    const lookahead = options.lookahead || 600;
+
+    if (agent.reset) {
+      agent.reset();
+    }
+
+    while (!this.isOver && this.clock.tick < maxTicks) {
+      this.applyDecision(agent.decide(this.getSnapshot(lookahead)));
+      this.step();
+    }
+
+    return this.getStats();
+  }
+
+  /**
+   * Translates an agent decision into input actions
+   * @param {string} decision - 'jump', 'slide' or 'none'
+   */
+  applyDecision(decision) {
+    const isSliding = this.player.state.isSliding;
+
+    switch (decision) {
+      case "jump":
+        if (isSliding) this.applyInput("endSlide");
+        this.applyInput("jump");
+        break;
+
+      case "slide":
+        if (!isSliding) this.applyInput("slide");
+        break;
+
+      default:
+        if (isSliding) this.applyInput("endSlide");
+    }
+  }
+
+  /**
+   * Captures a read-only view of the simulation for agents
+   * @param {number} [lookahead=600] - Distance ahead of the player to include entities from
+   * @returns {Object} Frozen snapshot of the player, nearby entities, the deadline and the boss (null if none)
+   */
+  getSnapshot(lookahead = 600) {
+    const player = this.player;
+    const minX = player.x - player.width;
+    const maxX = player.x + player.width + lookahead;
+
+    const describe = (entity) =>
+      Object.freeze({
+        type: entity.type,
+        x: entity.x,
+        y: entity.y,
+        width: entity.width,
+        height: entity.height,
+        velocityX: entity.velocityX,
+        collisionBox: Object.freeze({ ...entity.collisionBox }),
+      });
+    const isNearby = (entity) =>
+      entity.isActive && entity.x + entity.width >= minX && entity.x <= maxX;
+
+    return Object.freeze({
+      tick: this.clock.tick,
+      time: this.clock.time,
+      player: Object.freeze({
+        x: player.x,
+        y: player.y,
+        width: player.width,
+        height: player.height,
+        velocityY: player.velocityY,
+        groundY: player.groundY,
+        speed: player.getSpeed(),
+        isJumping: player.state.isJumping,
+        isDoubleJumping: player.state.isDoubleJumping,
+        canDoubleJump: player.canDoubleJump,
+        isSliding: player.state.isSliding,
+        isCrashed: player.state.isCrashed,
+        invincible: player.isInvincible(),
+        effects: Object.freeze(
+          player.effects
+            .list()
+            .map((effect) =>
+              Object.freeze({ name: effect.name, remaining: effect.remaining })
+            )
+        ),
+        gitCommits: player.gitCommits,
+        collisionBox: Object.freeze({ ...player.collisionBox }),
+        // Where the hitbox would be on the ground, whatever the player is doing now
+        standingBox: Object.freeze(player.getGroundedCollisionBox(false)),
+        slidingBox: Object.freeze(player.getGroundedCollisionBox(true)),
+      }),
+      obstacles: Object.freeze(
+        this.level.obstacles.filter(isNearby).map(describe)
+      ),
+      collectibles: Object.freeze(
+        this.level.collectibles.filter(isNearby).map(describe)
+      ),
+      projectiles: Object.freeze(
+        this.level.projectiles.filter(isNearby).map(describe)
+      ),
+      deadline: Object.freeze(this.level.deadline.getStatus()),
+      boss: this.level.boss ? Object.freeze(this.level.boss.getStatus()) : null,
+      level: Object.freeze({
+        distance: this.level.distance,
+        difficulty: this.level.difficulty,
+        theme: this.level.theme,
+        speed: this.level.speed,
+        groundY: this.level.groundY,
+      }),
+    });
+  }
+
+  /**
+   * Calculates the current score from distance, collected items and event bonuses
+   * @returns {number} Current score
+   */
+  getScore() {
+    return (
+      Math.floor(this.level.distance + this.level.bonusScore) +
+      this.player.score
+    );
+  }
+
+  /**
+   * Works out what ended the run
+   * @returns {string|null} Obstacle type that crashed the player, 'deadline',
+   *   or null if the run is still going
+   */
+  getDeathCause() {
+    if (this.player.state.isCrashed) {
+      return this.player.crashCause || "crash";
+    }
+    if (this.level.deadline.isCaught()) {
+      return "deadline";
+    }
+    return null;
+  }
+
+  /**
+   * Summarizes the run so far
+   * @returns {Object} Run statistics
+   */
+  getStats() {
+    return {
+      seed: this.level.seed,
+      isOver: this.isOver,
+      deathCause: this.getDeathCause(),
+      ticks: this.clock.tick,
+      time: this.clock.getSeconds(),
+      distance: Math.floor(this.level.distance),
+      score: this.getScore(),
+      difficulty: this.level.difficulty,
+      stage: this.level.getStageNumber(),
+      theme: this.level.theme,
+      shieldsUsed: this.player.shieldsUsed,
+      bossesDefeated: this.level.bossesDefeated,
+      maxSpeed: Math.round(this.maxSpeed),
+      collected: {
+        coffee: this.player.getCollectedCount("coffee"),
+        codeSnippets: this.player.getCollectedCount("codeSnippet"),
+        gitCommits: this.player.gitCommits,
+      },
+      collectedByType: { ...this.player.collected },
+    };
+  }
+}
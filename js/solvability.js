@@ -0,0 +1,412 @@
+/**
+ * Reachability checks for obstacle layouts
+ *
+ * A layout is solvable if some sequence of inputs (jump, double jump, slide,
+ * stand up) gets the player past every obstacle without crashing. The checker
+ * searches those inputs with the real Player and Obstacle code, so jump force,
+ * gravity, double jumps, slide hitboxes, obstacle movement and the projectiles
+ * obstacles fire all behave exactly as in a run. Level uses it to repair
+ * unwinnable spawns, and tools/lint-segments.js to check authored segments.
+ */
+
+class SolvabilityChecker {
+  /**
+   * Create a checker
+   * @param {Object} [options] - Search options
+   * @param {number} [options.decisionInterval=3] - Steps between input decisions (3 = 20 decisions per second)
+   * @param {number} [options.reach=500] - How close the nearest obstacle must be before inputs are searched
+   * @param {number} [options.maxNodes=5000] - Search budget in decision points; past it the result is unknown
+   */
+  constructor(options = {}) {
+    this.decisionInterval = options.decisionInterval || 3;
+    this.reach = options.reach || 500;
+    this.maxNodes = options.maxNodes || 5000;
+  }
+
+  /**
+   * Checks whether the player can get past every obstacle without crashing
+   * The player starts without shields or status effects, so only skill counts.
+   * @param {Obstacle[]} obstacles - Obstacles in play (left untouched)
+   * @param {Object} options - Check options
+   * @param {number} options.groundY - Y position of the ground
+   * @param {GameClock} options.clock - Simulation clock at the moment of the check (left untouched)
+   * @param {Player} [options.player] - Player to start from (a new player on the ground if omitted)
+   * @param {Projectile[]} [options.projectiles] - Projectiles already in flight (left untouched)
+   * @returns {{solvable: (boolean|null), blocker: (Obstacle|null), inputs: (Array<{tick: number, action: string}>|null)}}
+   *   solvable is null if the search ran out of budget; blocker is the obstacle the
+   *   furthest failed attempt crashed into, or that fired the projectile it was hit
+   *   by; inputs is a winning input sequence
+   */
+  check(obstacles, options) {
+    const player = options.player
+      ? options.player.clone()
+      : new Player({ groundY: options.groundY });
+    player.gitCommits = 0;
+    player.effects.clear();
+
+    return Assets.silently(() => {
+      const search = {
+        timeline: this.createTimeline(obstacles, options),
+        startTick: options.clock.tick,
+        visited: new Set(),
+        nodes: 0,
+        furthestTick: -1,
+        blocker: -1,
+        inputs: null,
+      };
+
+      const world = {
+        player: player,
+        tick: 0, // Steps since the check started
+        removed: obstacles.map(() => false), // Obstacles that vanished on contact
+        removedProjectiles: [], // Projectiles used up on contact, by timeline index
+        inputs: [],
+        isCrashed: false,
+        crashedInto: -1, // Obstacle responsible for the crash (-1 if none)
+      };
+
+      // Nothing can be hit until the obstacles come close, so just run until then
+      while (
+        !this.isWithinReach(world, search) &&
+        !this.isCleared(world, search)
+      ) {
+        this.step(world, search, "none", 1);
+      }
+
+      this.search(world, search);
+
+      return {
+        solvable: search.inputs
+          ? true
+          : search.nodes >= this.maxNodes
+          ? null
+          : false,
+        blocker: search.blocker !== -1 ? obstacles[search.blocker] : null,
+        inputs: search.inputs,
+      };
+    });
+  }
+
+  /**
+   * Checks an authored segment, spawned the way Level.spawnSegment places it on an empty screen
+   * @param {Object} segment - Validated segment (see SegmentLibrary.validateSegment)
+   * @param {Object} [options] - Check options
+   * @param {number} [options.seed=1] - Seed for the obstacles' random setup (e.g. where bugs start bobbing)
+   * @param {number} [options.width=Viewport.WORLD_WIDTH] - Width of the play field
+   * @param {number} [options.height=Viewport.WORLD_HEIGHT] - Height of the play field
+   * @returns {{solvable: (boolean|null), blockerIndex: number, inputs: (Array|null)}}
+   *   Same as check, with the blocker given as an index into segment.entities (-1 if none)
+   */
+  checkSegment(segment, options = {}) {
+    const level = new Level({
+      theme: "startup",
+      width: options.width || Viewport.WORLD_WIDTH,
+      height: options.height || Viewport.WORLD_HEIGHT,
+      seed: options.seed !== undefined ? options.seed : 1,
+      clock: new GameClock(),
+      segments: new SegmentLibrary(),
+      autoSpawn: false,
+    });
+    level.spawnSegment(segment);
+
+    const result = this.check(level.obstacles, {
+      groundY: level.groundY,
+      clock: level.clock,
+    });
+
+    // spawnSegment adds obstacles in entity order
+    const obstacleEntities = segment.entities.filter(
+      (entity) => entity.kind === "obstacle"
+    );
+    const blocker = obstacleEntities[level.obstacles.indexOf(result.blocker)];
+
+    return {
+      solvable: result.solvable,
+      blockerIndex: blocker ? segment.entities.indexOf(blocker) : -1,
+      inputs: result.inputs,
+    };
+  }
+
+  /**
+   * Prepares the movement of the obstacles and their projectiles, which does
+   * not depend on the player
+   * Every branch of the search reads the same precomputed frames. Projectiles
+   * keep the index they were added at, so branches can tell them apart.
+   * @param {Obstacle[]} obstacles - Obstacles in play
+   * @param {Object} options - Check options (see check)
+   * @returns {Object} Timeline whose frames are filled in by getFrame
+   */
+  createTimeline(obstacles, options) {
+    const projectiles = (options.projectiles || []).map((projectile) =>
+      projectile.clone()
+    );
+    const first = {
+      obstacles: obstacles.map((obstacle) => obstacle.clone()),
+      projectiles: projectiles.map((projectile) => projectile.clone()),
+    };
+
+    return {
+      frames: [first],
+      latest: first.obstacles.map((obstacle) => obstacle.clone()),
+      projectiles: projectiles,
+      // Obstacle that fired each projectile (-1 for those already in flight)
+      sources: projectiles.map(() => -1),
+      clock: options.clock.clone(),
+      groundY: options.groundY,
+    };
+  }
+
+  /**
+   * Gets the obstacles and projectiles as they are after a number of steps
+   * Steps run in the same order as Level.updateObstacles: obstacles move and
+   * fire, then every projectile moves, including the ones just fired.
+   * @param {Object} timeline - Timeline from createTimeline
+   * @param {number} tick - Steps since the check started
+   * @returns {{obstacles: Obstacle[], projectiles: Projectile[]}} Frame at that step (shared; must not be modified)
+   */
+  getFrame(timeline, tick) {
+    while (timeline.frames.length <= tick) {
+      const deltaTime = timeline.clock.timeStep;
+      const previous = timeline.frames[timeline.frames.length - 1];
+
+      const obstacles = timeline.latest.map((obstacle, index) => {
+        if (obstacle.isActive) {
+          obstacle.update(deltaTime, timeline.clock);
+        }
+        obstacle.takeProjectiles().forEach((projectile) => {
+          timeline.projectiles.push(projectile);
+          timeline.sources.push(index);
+        });
+        return obstacle.clone();
+      });
+
+      const projectiles = timeline.projectiles.map((projectile, index) => {
+        if (!projectile.isActive) {
+          // Gone projectiles no longer change, so frames share one copy
+          return previous.projectiles[index] || projectile.clone();
+        }
+        projectile.update(deltaTime, timeline.groundY);
+        return projectile.clone();
+      });
+
+      timeline.frames.push({ obstacles, projectiles });
+      timeline.clock.advance();
+    }
+    return timeline.frames[tick];
+  }
+
+  /**
+   * Depth-first search over input decisions, trying "do nothing" first
+   * @param {Object} world - Player state at a decision point
+   * @param {Object} search - Shared search state (timeline, visited states, budget, result)
+   * @returns {boolean} True once a winning input sequence is found
+   */
+  search(world, search) {
+    if (this.isCleared(world, search)) {
+      search.inputs = world.inputs;
+      return true;
+    }
+
+    if (search.nodes >= this.maxNodes) return false;
+
+    const key = this.getStateKey(world);
+    if (search.visited.has(key)) return false;
+    search.visited.add(key);
+    search.nodes++;
+
+    for (const action of this.getActions(world.player)) {
+      const next = {
+        ...world,
+        player: world.player.clone(),
+      };
+      this.step(next, search, action, this.decisionInterval);
+
+      // Run through stretches with nothing to decide (e.g. falling after a
+      // double jump) without branching
+      while (
+        !next.isCrashed &&
+        !this.isCleared(next, search) &&
+        this.getActions(next.player).length === 1
+      ) {
+        this.step(next, search, "none", this.decisionInterval);
+      }
+
+      if (next.isCrashed) {
+        if (next.tick > search.furthestTick) {
+          search.furthestTick = next.tick;
+          search.blocker = next.crashedInto;
+        }
+        continue;
+      }
+
+      if (this.search(next, search)) return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Lists the inputs worth trying in the player's current state
+   * @param {Player} player - Player at a decision point
+   * @returns {string[]} Input actions, 'none' first
+   */
+  getActions(player) {
+    // In the air, a jump only matters while the double jump is unused
+    // (a jump buffered for the landing is the same as jumping just after it)
+    if (player.state.isJumping) {
+      return player.canDoubleJump ? ["none", "jump"] : ["none"];
+    }
+
+    return player.state.isSliding
+      ? ["none", "jump", "endSlide"]
+      : ["none", "jump", "slide"];
+  }
+
+  /**
+   * Applies an input and simulates the following steps, the same way Simulation.step does
+   * Stops early if the player crashes, recording the obstacle responsible
+   * (for a projectile, the obstacle that fired it).
+   * @param {Object} world - Player state to advance in place
+   * @param {Object} search - Shared search state
+   * @param {string} action - Input action ('none', 'jump', 'slide' or 'endSlide')
+   * @param {number} steps - Number of steps to simulate
+   */
+  step(world, search, action, steps) {
+    const player = world.player;
+    const deltaTime = search.timeline.clock.timeStep;
+
+    if (action !== "none") {
+      world.inputs = world.inputs.concat({
+        tick: search.startTick + world.tick,
+        action: action,
+      });
+      player[action]();
+    }
+
+    for (let i = 0; i < steps; i++) {
+      player.update(deltaTime);
+      world.tick++;
+
+      const frame = this.getFrame(search.timeline, world.tick);
+      const obstacles = frame.obstacles;
+      for (let j = 0; j < obstacles.length; j++) {
+        if (
+          !obstacles[j].isActive ||
+          world.removed[j] ||
+          !player.isCollidingWith(obstacles[j])
+        ) {
+          continue;
+        }
+
+        // Collision effects run on a copy, as frames are shared by all branches
+        const obstacle = obstacles[j].clone();
+        obstacle.applyEffect(player);
+
+        if (player.state.isCrashed) {
+          world.isCrashed = true;
+          world.crashedInto = j;
+          return;
+        }
+
+        if (!obstacle.isActive) {
+          world.removed = world.removed.slice();
+          world.removed[j] = true;
+        }
+      }
+
+      const projectiles = frame.projectiles;
+      for (let j = 0; j < projectiles.length; j++) {
+        if (
+          !projectiles[j].isActive ||
+          world.removedProjectiles[j] ||
+          !player.isCollidingWith(projectiles[j])
+        ) {
+          continue;
+        }
+
+        // Hits use the projectile up, on a copy like obstacle effects
+        projectiles[j].clone().applyEffect(player);
+        world.removedProjectiles = world.removedProjectiles.slice();
+        world.removedProjectiles[j] = true;
+
+        if (player.state.isCrashed) {
+          world.isCrashed = true;
+          world.crashedInto = search.timeline.sources[j];
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * Lists the obstacles and projectiles the player can still run into
+   * @param {Object} world - Player state to check
+   * @param {Object} search - Shared search state
+   * @returns {Sprite[]} Active obstacles and projectiles not used up in this branch
+   */
+  getHazards(world, search) {
+    const frame = this.getFrame(search.timeline, world.tick);
+    return frame.obstacles
+      .filter((obstacle, index) => obstacle.isActive && !world.removed[index])
+      .concat(
+        frame.projectiles.filter(
+          (projectile, index) =>
+            projectile.isActive && !world.removedProjectiles[index]
+        )
+      );
+  }
+
+  /**
+   * Checks whether the player is past every obstacle and projectile
+   * @param {Object} world - Player state to check
+   * @param {Object} search - Shared search state
+   * @returns {boolean} True if nothing left is level with or ahead of the player
+   */
+  isCleared(world, search) {
+    const playerLeft = world.player.collisionBox.x;
+    return this.getHazards(world, search).every(
+      (hazard) => hazard.collisionBox.x + hazard.collisionBox.width < playerLeft
+    );
+  }
+
+  /**
+   * Checks whether the nearest obstacle or projectile is close enough for inputs to matter
+   * @param {Object} world - Player state to check
+   * @param {Object} search - Shared search state
+   * @returns {boolean} True if something left is within reach
+   */
+  isWithinReach(world, search) {
+    const playerRight =
+      world.player.collisionBox.x + world.player.collisionBox.width;
+    return this.getHazards(world, search).some(
+      (hazard) => hazard.collisionBox.x - playerRight < this.reach
+    );
+  }
+
+  /**
+   * Summarizes everything that decides what can still happen, so equal states are searched once
+   * @param {Object} world - Player state at a decision point
+   * @returns {string} State key
+   */
+  getStateKey(world) {
+    const player = world.player;
+    return [
+      world.tick,
+      Math.round(player.y),
+      Math.round(player.velocityY),
+      player.height,
+      player.state.isJumping,
+      player.state.isDoubleJumping,
+      player.state.isSliding,
+      player.canDoubleJump,
+      player.jumpBufferCounter > 0,
+      Math.round(player.coyoteTimeCounter),
+      player.effects
+        .list()
+        .map((effect) => effect.name)
+        .join(","),
+      world.removed.join(","),
+      world.removedProjectiles.join(","),
+    ].join("|");
+  }
+}
@@ -0,0 +1,527 @@
+/**
+ * Procedural sound effects and music
+ *
+ * Like the canvas-drawn sprites, every sound is synthesized at runtime with
+ * the Web Audio API, so the game needs no audio files and works offline.
+ * Effects are short lists of tones declared in SoundEffects; music tracks are
+ * step-sequenced patterns declared in MusicTracks and scheduled slightly
+ * ahead of time so they stay in time even when frames are late.
+ *
+ * Tone fields:
+ *   wave          'square', 'triangle', 'sawtooth', 'sine' or 'noise'
+ *   frequency     Pitch in Hz at the start (ignored for noise)
+ *   endFrequency  Pitch in Hz at the end, for slides (default: no slide)
+ *   duration      Length in seconds
+ *   delay         Seconds after the effect starts (default 0)
+ *   volume        Peak gain, 0 to 1
+ */
+
+const SoundEffects = {
+  jump: [
+    {
+      wave: "square",
+      frequency: 330,
+      endFrequency: 660,
+      duration: 0.12,
+      volume: 0.2,
+    },
+  ],
+  collect: [
+    { wave: "square", frequency: 988, duration: 0.07, volume: 0.15 },
+    {
+      wave: "square",
+      frequency: 1319,
+      duration: 0.1,
+      delay: 0.07,
+      volume: 0.15,
+    },
+  ],
+  crash: [
+    { wave: "noise", duration: 0.35, volume: 0.4 },
+    {
+      wave: "sawtooth",
+      frequency: 220,
+      endFrequency: 40,
+      duration: 0.3,
+      volume: 0.25,
+    },
+  ],
+  powerup: [
+    { wave: "triangle", frequency: 523, duration: 0.07, volume: 0.3 },
+    {
+      wave: "triangle",
+      frequency: 659,
+      duration: 0.07,
+      delay: 0.06,
+      volume: 0.3,
+    },
+    {
+      wave: "triangle",
+      frequency: 784,
+      duration: 0.07,
+      delay: 0.12,
+      volume: 0.3,
+    },
+    {
+      wave: "triangle",
+      frequency: 1047,
+      duration: 0.15,
+      delay: 0.18,
+      volume: 0.3,
+    },
+  ],
+  deadline: [
+    { wave: "square", frequency: 880, duration: 0.12, volume: 0.15 },
+    {
+      wave: "square",
+      frequency: 660,
+      duration: 0.12,
+      delay: 0.15,
+      volume: 0.15,
+    },
+    {
+      wave: "square",
+      frequency: 880,
+      duration: 0.12,
+      delay: 0.3,
+      volume: 0.15,
+    },
+  ],
+  deadlineCritical: [
+    {
+      wave: "sawtooth",
+      frequency: 1175,
+      endFrequency: 880,
+      duration: 0.1,
+      volume: 0.15,
+    },
+    {
+      wave: "sawtooth",
+      frequency: 1175,
+      endFrequency: 880,
+      duration: 0.1,
+      delay: 0.12,
+      volume: 0.15,
+    },
+    {
+      wave: "sawtooth",
+      frequency: 1175,
+      endFrequency: 880,
+      duration: 0.1,
+      delay: 0.24,
+      volume: 0.15,
+    },
+    {
+      wave: "sawtooth",
+      frequency: 1175,
+      endFrequency: 880,
+      duration: 0.1,
+      delay: 0.36,
+      volume: 0.15,
+    },
+  ],
+  bossAlarm: [
+    {
+      wave: "sawtooth",
+      frequency: 440,
+      endFrequency: 880,
+      duration: 0.3,
+      volume: 0.15,
+    },
+    {
+      wave: "sawtooth",
+      frequency: 880,
+      endFrequency: 440,
+      duration: 0.3,
+      delay: 0.3,
+      volume: 0.15,
+    },
+    {
+      wave: "sawtooth",
+      frequency: 440,
+      endFrequency: 880,
+      duration: 0.3,
+      delay: 0.6,
+      volume: 0.15,
+    },
+  ],
+  bossHit: [
+    { wave: "noise", duration: 0.15, volume: 0.3 },
+    {
+      wave: "square",
+      frequency: 660,
+      endFrequency: 220,
+      duration: 0.2,
+      volume: 0.2,
+    },
+  ],
+  gameOver: [
+    { wave: "triangle", frequency: 392, duration: 0.2, volume: 0.3 },
+    {
+      wave: "triangle",
+      frequency: 330,
+      duration: 0.2,
+      delay: 0.22,
+      volume: 0.3,
+    },
+    {
+      wave: "triangle",
+      frequency: 262,
+      duration: 0.2,
+      delay: 0.44,
+      volume: 0.3,
+    },
+    {
+      wave: "square",
+      frequency: 196,
+      endFrequency: 98,
+      duration: 0.6,
+      delay: 0.66,
+      volume: 0.2,
+    },
+  ],
+};
+
+/**
+ * Looping music tracks
+ *
+ * Each channel plays its pattern one step at a time, looping on its own
+ * length. Steps are note names (e.g. 'C5', 'F#3'), 'x' for a hit on a noise
+ * channel, or '.' for silence.
+ */
+const MusicTracks = {
+  main: {
+    tempo: 140, // Beats per minute at difficulty 1
+    stepsPerBeat: 2,
+    channels: [
+      {
+        wave: "square",
+        volume: 0.05,
+        length: 0.8, // Fraction of a step each note sounds for
+        pattern:
+          "C5 E5 G5 E5 A5 G5 E5 D5 C5 E5 G5 C6 B5 G5 A5 G5 " +
+          "F5 A5 C6 A5 G5 E5 C5 E5 D5 F5 A5 F5 G5 . G4 .",
+      },
+      {
+        wave: "triangle",
+        volume: 0.15,
+        length: 0.9,
+        pattern:
+          "C3 C3 C3 C3 A2 A2 A2 A2 F2 F2 F2 F2 G2 G2 G2 G2 " +
+          "F2 F2 F2 F2 C3 C3 C3 C3 D3 D3 D3 D3 G2 G2 G2 G2",
+      },
+      {
+        wave: "noise",
+        volume: 0.04,
+        length: 0.15,
+        pattern: "x . x . x . x x",
+      },
+    ],
+  },
+};
+
+class SoundEngine {
+  /**
+   * Create the sound engine
+   * Nothing is set up until the first sound plays, as browsers only allow
+   * audio to start after the player has interacted with the page.
+   */
+  constructor() {
+    this.context = null;
+    this.noiseBuffer = null;
+
+    // Gain nodes: effects and music each have a bus feeding the master bus
+    this.masterBus = null;
+    this.musicBus = null;
+    this.effectsBus = null;
+
+    // Volumes from 0 to 1, applied to the buses
+    this.volumes = { master: 1, music: 1, sfx: 1 };
+    this.isMuted = false;
+    this.isMusicDucked = false;
+
+    // Playing track: { track, step, nextStepTime, timer }
+    this.music = null;
+    this.tempoScale = 1;
+  }
+
+  /**
+   * Checks whether the browser can synthesize sound
+   * @returns {boolean} True if the Web Audio API is available
+   */
+  static isSupported() {
+    return (
+      typeof window !== "undefined" &&
+      !!(window.AudioContext || window.webkitAudioContext)
+    );
+  }
+
+  /**
+   * Converts a note name to its pitch
+   * @param {string} name - Note name with octave, e.g. 'A4' or 'C#5'
+   * @returns {number} Frequency in Hz
+   */
+  static noteToFrequency(name) {
+    const match = /^([A-G])(#?)(-?\d)$/.exec(name);
+    if (!match) {
+      throw new Error(`Unknown note: ${name}`);
+    }
+
+    const semitones = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+    const midi =
+      (parseInt(match[3], 10) + 1) * 12 +
+      semitones[match[1]] +
+      (match[2] ? 1 : 0);
+    return 440 * Math.pow(2, (midi - 69) / 12);
+  }
+
+  /**
+   * Gets the audio context, creating it on first use and resuming it if the browser suspended it
+   * @returns {AudioContext} The audio context
+   */
+  getContext() {
+    if (!this.context) {
+      const AudioContextClass =
+        window.AudioContext || window.webkitAudioContext;
+      this.context = new AudioContextClass();
+
+      this.masterBus = this.context.createGain();
+      this.masterBus.connect(this.context.destination);
+      this.musicBus = this.context.createGain();
+      this.musicBus.connect(this.masterBus);
+      this.effectsBus = this.context.createGain();
+      this.effectsBus.connect(this.masterBus);
+      this.applyVolumes();
+    }
+
+    if (this.context.state === "suspended") {
+      this.context.resume();
+    }
+
+    return this.context;
+  }
+
+  /**
+   * Gets one second of white noise, shared by every noise tone
+   * @returns {AudioBuffer} Noise buffer
+   */
+  getNoiseBuffer() {
+    if (!this.noiseBuffer) {
+      const context = this.getContext();
+      this.noiseBuffer = context.createBuffer(
+        1,
+        context.sampleRate,
+        context.sampleRate
+      );
+      // Math.random rather than GameRandom, so sound never affects a run's seed
+      const samples = this.noiseBuffer.getChannelData(0);
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = Math.random() * 2 - 1;
+      }
+    }
+    return this.noiseBuffer;
+  }
+
+  /**
+   * Plays a sound effect declared in SoundEffects
+   * @param {string} name - Effect name
+   */
+  playEffect(name) {
+    const tones = SoundEffects[name];
+    if (!tones) return;
+
+    const startTime = this.getContext().currentTime;
+    tones.forEach((tone) => {
+      this.playTone(tone, startTime + (tone.delay || 0), this.effectsBus);
+    });
+  }
+
+  /**
+   * Schedules a single tone
+   * @param {Object} tone - Tone fields (see above)
+   * @param {number} startTime - Audio context time to start at
+   * @param {AudioNode} destination - Bus to play through
+   */
+  playTone(tone, startTime, destination) {
+    const context = this.getContext();
+    const endTime = startTime + tone.duration;
+
+    let source;
+    if (tone.wave === "noise") {
+      source = context.createBufferSource();
+      source.buffer = this.getNoiseBuffer();
+    } else {
+      source = context.createOscillator();
+      source.type = tone.wave;
+      source.frequency.setValueAtTime(tone.frequency, startTime);
+      if (tone.endFrequency) {
+        source.frequency.exponentialRampToValueAtTime(
+          tone.endFrequency,
+          endTime
+        );
+      }
+    }
+
+    // Short attack and an exponential fade avoid clicks at either end
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(0.0001, startTime);
+    envelope.gain.exponentialRampToValueAtTime(tone.volume, startTime + 0.01);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, endTime);
+
+    source.connect(envelope);
+    envelope.connect(destination);
+    source.start(startTime);
+    source.stop(endTime + 0.05);
+  }
+
+  /**
+   * Starts a looping track declared in MusicTracks, replacing any playing track
+   * @param {string} name - Track name
+   */
+  playMusic(name) {
+    this.stopMusic();
+
+    const track = MusicTracks[name];
+    if (!track) return;
+
+    this.duckMusic(false);
+    this.music = {
+      track: {
+        ...track,
+        channels: track.channels.map((channel) => ({
+          ...channel,
+          steps: channel.pattern.split(/\s+/),
+        })),
+      },
+      step: 0,
+      nextStepTime: this.getContext().currentTime + 0.05,
+      timer: setInterval(
+        () => this.scheduleMusic(),
+        SoundEngine.SCHEDULE_INTERVAL
+      ),
+    };
+    this.scheduleMusic();
+  }
+
+  /**
+   * Stops the playing track
+   * Notes already scheduled finish on their own within a fraction of a second.
+   */
+  stopMusic() {
+    if (!this.music) return;
+
+    clearInterval(this.music.timer);
+    this.music = null;
+  }
+
+  /**
+   * Schedules every step of the playing track that starts within the lookahead window
+   */
+  scheduleMusic() {
+    if (!this.music) return;
+
+    const music = this.music;
+    const track = music.track;
+    const context = this.getContext();
+
+    // Steps missed while the tab was throttled are skipped, not played at once
+    if (music.nextStepTime < context.currentTime) {
+      music.nextStepTime = context.currentTime;
+    }
+
+    while (music.nextStepTime < context.currentTime + SoundEngine.LOOKAHEAD) {
+      const stepDuration =
+        60 / (track.tempo * this.tempoScale) / track.stepsPerBeat;
+
+      track.channels.forEach((channel) => {
+        const note = channel.steps[music.step % channel.steps.length];
+        if (note === ".") return;
+
+        this.playTone(
+          {
+            wave: channel.wave,
+            frequency:
+              channel.wave === "noise" ? 0 : SoundEngine.noteToFrequency(note),
+            duration: stepDuration * channel.length,
+            volume: channel.volume,
+          },
+          music.nextStepTime,
+          this.musicBus
+        );
+      });
+
+      music.step++;
+      music.nextStepTime += stepDuration;
+    }
+  }
+
+  /**
+   * Sets the volume levels
+   * @param {Object} settings - Audio settings (see Utils.getAudioSettings)
+   * @param {number} settings.master - Overall volume, 0 to 1
+   * @param {number} settings.music - Music volume, 0 to 1
+   * @param {number} settings.sfx - Sound effect volume, 0 to 1
+   * @param {boolean} settings.muted - Silences everything when true
+   */
+  setVolumes(settings) {
+    this.volumes = {
+      master: settings.master,
+      music: settings.music,
+      sfx: settings.sfx,
+    };
+    this.isMuted = settings.muted;
+    this.applyVolumes();
+  }
+
+  /**
+   * Turns the music down (e.g. while paused) or back up, without stopping it
+   * @param {boolean} isDucked - True to turn the music down
+   */
+  duckMusic(isDucked) {
+    this.isMusicDucked = isDucked;
+    this.applyVolumes();
+  }
+
+  /**
+   * Moves the bus gains to the current volumes
+   * Changes glide over a few milliseconds so slider drags don't click.
+   */
+  applyVolumes() {
+    // Applied once the context exists
+    if (!this.context) return;
+
+    const time = this.context.currentTime;
+    const glide = (bus, value) => {
+      bus.gain.setTargetAtTime(value, time, SoundEngine.VOLUME_GLIDE);
+    };
+
+    glide(
+      this.masterBus,
+      this.isMuted ? 0 : this.volumes.master * SoundEngine.MASTER_GAIN
+    );
+    glide(
+      this.musicBus,
+      this.volumes.music * (this.isMusicDucked ? SoundEngine.DUCKED_GAIN : 1)
+    );
+    glide(this.effectsBus, this.volumes.sfx);
+  }
+
+  /**
+   * Speeds the music up as the level gets harder
+   * @param {number} difficulty - Current level difficulty (1 at the start of a run)
+   */
+  setDifficulty(difficulty) {
+    this.tempoScale = Math.min(
+      SoundEngine.MAX_TEMPO_SCALE,
+      1 + (difficulty - 1) * SoundEngine.TEMPO_PER_DIFFICULTY
+    );
+  }
+}
+
+SoundEngine.SCHEDULE_INTERVAL = 25; // ms between scheduling passes
+SoundEngine.LOOKAHEAD = 0.1; // Seconds of music scheduled ahead
+SoundEngine.TEMPO_PER_DIFFICULTY = 0.2; // Tempo increase per difficulty point
+SoundEngine.MAX_TEMPO_SCALE = 1.6;
+SoundEngine.MASTER_GAIN = 0.5; // Output level at full master volume
+SoundEngine.DUCKED_GAIN = 0.2; // Music level while ducked
+SoundEngine.VOLUME_GLIDE = 0.02; // Seconds for volume changes to settle
@@ -58,9 +58,12 @@ class Sprite {
 
   /**
    * Updates sprite state including position, physics, and animation frames
+   * All timing derives from deltaTime, never the wall clock, so sprites
+   * pause, slow down and replay in step with the simulation
    * @param {number} deltaTime - Time since last update in ms
+   * @param {GameClock} [clock] - Simulation clock, for subclasses with time-based effects
    */
-  update(deltaTime) {
+  update(deltaTime, clock) {
     if (!this.isActive) return;
 
     // Update position
@@ -142,6 +145,19 @@ class Sprite {
     return Utils.checkCollision(this.collisionBox, otherSprite.collisionBox);
   }
 
+  /**
+   * Copies the sprite, so moves can be tried out without touching the original
+   * @returns {Sprite} Independent copy of the same class
+   */
+  clone() {
+    const copy = Object.assign(
+      Object.create(Object.getPrototypeOf(this)),
+      this
+    );
+    copy.collisionBox = { ...this.collisionBox };
+    return copy;
+  }
+
   /**
    * Moves the sprite to a new position and updates its collision box
    * @param {number} x - X position
@@ -215,9 +231,9 @@ class BackgroundSprite extends Sprite {
   /**
    * Draws multiple instances of the background to create infinite scrolling effect
    * @param {CanvasRenderingContext2D} ctx - Canvas context
-   * @param {number} canvasWidth - Width of the canvas to determine how many instances to draw
+   * @param {number} viewWidth - Width of the visible world, to determine how many instances to draw
    */
-  drawRepeating(ctx, canvasWidth) {
+  drawRepeating(ctx, viewWidth) {
     if (!this.isVisible) return;
 
     // Draw first instance
@@ -233,7 +249,7 @@ class BackgroundSprite extends Sprite {
     );
 
     // Draw third instance if needed (for wider screens or fast scrolling)
-    if (canvasWidth > this.width * 2 || this.scrollSpeed > 0.5) {
+    if (viewWidth > this.width * 2 || this.scrollSpeed > 0.5) {
       ctx.drawImage(
         this.image,
         this.x + this.width * 2,
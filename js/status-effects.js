@@ -0,0 +1,263 @@
+/**
+ * Timed status effects on the player
+ *
+ * Effect types are declared once in StatusEffectTypes with a duration, a
+ * stacking rule and modifiers. Each Player owns a StatusEffects stack that
+ * tracks which effects are active; movement, collisions, the deadline and the
+ * HUD read the combined modifiers from it instead of per-effect fields.
+ *
+ * Modifiers:
+ *   speed          Added to the player's base speed (negative slows down)
+ *   gravityScale   Multiplies gravity
+ *   hitboxScale    Multiplies the collision box size, around its center
+ *   deadlineScale  Multiplies how fast the deadline advances
+ *   invincible     Prevents crashing while active
+ * Additive modifiers add up across active effects, scales multiply, and
+ * invincible is true if any active effect grants it. Player keeps at least
+ * half its base speed however many slowdowns add up (see Player.getSpeed).
+ *
+ * Stacking rules, for applying an effect that is already active:
+ *   refresh  Restart the timer (never shortening it); the default
+ *   extend   Add the new duration to the time left
+ *   stack    Add another stack, up to maxStacks, multiplying additive
+ *            modifiers by the stack count; the timer restarts
+ */
+
+const StatusEffectTypes = {
+  definitions: {},
+
+  /**
+   * Adds (or replaces) a status effect type
+   * @param {Object} definition - Status effect definition
+   * @param {string} definition.name - Unique effect name
+   * @param {number} definition.duration - Default duration in ms
+   * @param {string} [definition.stacking="refresh"] - 'refresh', 'extend' or 'stack'
+   * @param {number} [definition.maxStacks=1] - Stack limit for the 'stack' rule
+   * @param {Object} [definition.modifiers] - Modifiers applied while active (see above)
+   * @param {string} [definition.icon] - HUD icon; effects without one are not shown
+   * @param {boolean} [definition.isHarmful=false] - Shown as a debuff in the HUD
+   * @returns {Object} The registered definition
+   */
+  register: function (definition) {
+    this.definitions[definition.name] = {
+      stacking: "refresh",
+      maxStacks: 1,
+      modifiers: {},
+      isHarmful: false,
+      ...definition,
+    };
+    return this.definitions[definition.name];
+  },
+
+  /**
+   * Looks up a status effect type
+   * @param {string} name - Effect name
+   * @returns {Object|undefined} The definition, or undefined if not registered
+   */
+  get: function (name) {
+    return this.definitions[name];
+  },
+};
+
+StatusEffectTypes.register({
+  name: "caffeinated",
+  duration: 12000, // 12 seconds
+  modifiers: {
+    speed: 300,
+    deadlineScale: 0.3, // The deadline slows by 70% while coffee is active
+  },
+  icon: "☕",
+});
+
+StatusEffectTypes.register({
+  name: "invincible",
+  duration: 5000,
+  modifiers: { invincible: true },
+  icon: "🛡️",
+});
+
+StatusEffectTypes.register({
+  name: "meeting",
+  duration: 2000, // 2 seconds of slowdown
+  modifiers: { speed: -100 },
+  icon: "👥",
+  isHarmful: true,
+});
+
+StatusEffectTypes.register({
+  name: "mergeConflict",
+  duration: 3000, // 3 seconds of stronger slowdown
+  modifiers: { speed: -150 },
+  icon: "⚠️",
+  isHarmful: true,
+});
+
+StatusEffectTypes.register({
+  name: "codeReview",
+  duration: 1500, // Each review comment takes a moment to address
+  stacking: "extend",
+  modifiers: { speed: -100 },
+  icon: "💬",
+  isHarmful: true,
+});
+
+class StatusEffects {
+  /**
+   * Create an empty status effect stack
+   */
+  constructor() {
+    this.active = {};
+  }
+
+  /**
+   * Applies an effect, following its stacking rule if it is already active
+   * @param {string} name - Effect name registered in StatusEffectTypes
+   * @param {Object} [options] - Application options
+   * @param {number} [options.duration] - Duration in ms (the effect's default if omitted)
+   * @returns {Object} The active effect entry
+   * @throws {Error} If no effect is registered under that name
+   */
+  add(name, options = {}) {
+    const definition = StatusEffectTypes.get(name);
+    if (!definition) {
+      throw new Error(`Unknown status effect: ${name}`);
+    }
+
+    const duration =
+      options.duration !== undefined ? options.duration : definition.duration;
+    const effect = this.active[name];
+
+    if (!effect) {
+      this.active[name] = {
+        name: name,
+        definition: definition,
+        duration: duration,
+        remaining: duration,
+        stacks: 1,
+      };
+      return this.active[name];
+    }
+
+    switch (definition.stacking) {
+      case "extend":
+        effect.remaining += duration;
+        effect.duration = effect.remaining;
+        break;
+
+      case "stack":
+        effect.stacks = Math.min(effect.stacks + 1, definition.maxStacks);
+        effect.duration = duration;
+        effect.remaining = duration;
+        break;
+
+      default:
+        // Refresh, but a shorter effect never cuts a longer one short
+        if (duration >= effect.remaining) {
+          effect.duration = duration;
+          effect.remaining = duration;
+        }
+    }
+
+    return effect;
+  }
+
+  /**
+   * Ends an effect early
+   * @param {string} name - Effect name
+   */
+  remove(name) {
+    delete this.active[name];
+  }
+
+  /**
+   * Ends all effects
+   */
+  clear() {
+    this.active = {};
+  }
+
+  /**
+   * Counts down effect timers and drops expired effects
+   * @param {number} deltaTime - Time since last update in ms
+   */
+  update(deltaTime) {
+    Object.keys(this.active).forEach((name) => {
+      const effect = this.active[name];
+      effect.remaining -= deltaTime;
+      if (effect.remaining <= 0) {
+        delete this.active[name];
+      }
+    });
+  }
+
+  /**
+   * Checks whether an effect is active
+   * @param {string} name - Effect name
+   * @returns {boolean} True if the effect is active
+   */
+  has(name) {
+    return this.active[name] !== undefined;
+  }
+
+  /**
+   * Returns the time left on an effect
+   * @param {string} name - Effect name
+   * @returns {number} Remaining time in ms, or 0 if not active
+   */
+  getRemaining(name) {
+    return this.active[name] ? this.active[name].remaining : 0;
+  }
+
+  /**
+   * Copies the stack, so the copy's timers run independently
+   * @returns {StatusEffects} Independent copy
+   */
+  clone() {
+    const copy = new StatusEffects();
+    Object.keys(this.active).forEach((name) => {
+      copy.active[name] = { ...this.active[name] };
+    });
+    return copy;
+  }
+
+  /**
+   * Lists the active effects in the order they were first applied
+   * @returns {Object[]} Active effect entries (name, definition, duration, remaining, stacks)
+   */
+  list() {
+    return Object.values(this.active);
+  }
+
+  /**
+   * Sums an additive modifier over all active effects
+   * @param {string} key - Modifier name (e.g. 'speed')
+   * @returns {number} Combined value (0 if no effect sets it)
+   */
+  getTotal(key) {
+    return this.list().reduce((total, effect) => {
+      const value = effect.definition.modifiers[key];
+      return value !== undefined ? total + value * effect.stacks : total;
+    }, 0);
+  }
+
+  /**
+   * Multiplies a scale modifier over all active effects
+   * @param {string} key - Modifier name (e.g. 'gravityScale')
+   * @returns {number} Combined scale (1 if no effect sets it)
+   */
+  getScale(key) {
+    return this.list().reduce((scale, effect) => {
+      const value = effect.definition.modifiers[key];
+      return value !== undefined ? scale * value : scale;
+    }, 1);
+  }
+
+  /**
+   * Checks whether any active effect sets a flag modifier
+   * @param {string} key - Modifier name (e.g. 'invincible')
+   * @returns {boolean} True if any active effect sets it
+   */
+  hasFlag(key) {
+    return this.list().some((effect) => effect.definition.modifiers[key]);
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * Level themes and the stage progression between them
+ *
+ * A theme describes one kind of codebase the player runs through: its
+ * background palette, which obstacles show up most, how often things spawn,
+ * how hard the deadline pushes and which deadline events it brings. Runs
+ * move through the themes listed in Themes.stages as the distance milestones
+ * are reached.
+ */
+
+const Themes = {
+  definitions: {},
+
+  /**
+   * Stage progression: each theme takes over once the run reaches its distance
+   */
+  stages: [
+    { theme: "startup", distance: 0 },
+    { theme: "enterprise", distance: 4000 },
+    { theme: "legacy", distance: 10000 },
+  ],
+
+  /**
+   * Adds (or replaces) a theme
+   * @param {Object} definition - Theme definition
+   * @param {string} definition.name - Unique theme name
+   * @param {string} definition.label - Display name shown when the stage starts
+   * @param {string[]} definition.palette - Top and bottom colors of the background gradient
+   * @param {string} [definition.groundColor="#333333"] - Color of the ground strip
+   * @param {Object} [definition.obstacleWeights] - Spawn weight overrides keyed by obstacle type
+   * @param {number} [definition.obstacleRate=1] - Multiplies how often obstacles spawn
+   * @param {number} [definition.collectibleRate=1] - Multiplies how often collectibles spawn
+   * @param {Object} [definition.collectibleWeights] - Spawn weight overrides keyed by collectible type
+   * @param {number} [definition.deadlinePressure=1] - Multiplies how fast the deadline advances
+   * @param {Object[]} [definition.deadlineEvents] - Scripted deadline events (see DeadlineEventTypes):
+   *   { event, distance, every } starts the event once the run is distance units
+   *   into the stage, then again every 'every' units if set
+   * @returns {Object} The registered definition
+   */
+  register: function (definition) {
+    this.definitions[definition.name] = {
+      groundColor: "#333333",
+      obstacleWeights: {},
+      obstacleRate: 1,
+      collectibleRate: 1,
+      collectibleWeights: {},
+      deadlinePressure: 1,
+      deadlineEvents: [],
+      ...definition,
+    };
+    return this.definitions[definition.name];
+  },
+
+  /**
+   * Looks up a theme
+   * @param {string} name - Theme name
+   * @returns {Object|undefined} The definition, or undefined if not registered
+   */
+  get: function (name) {
+    return this.definitions[name];
+  },
+
+  /**
+   * Lists all registered themes in registration order
+   * @returns {Object[]} Theme definitions
+   */
+  list: function () {
+    return Object.values(this.definitions);
+  },
+
+  /**
+   * Returns the stage progression for a run that starts in a given theme
+   * Stages before the starting theme are skipped and the remaining milestones
+   * are shifted so the first stage starts at distance 0.
+   * @param {string} theme - Starting theme name
+   * @returns {Array<{theme: string, distance: number}>} Stages in order
+   */
+  getStagesFrom: function (theme) {
+    const start = this.stages.findIndex((stage) => stage.theme === theme);
+    if (start === -1) {
+      return [{ theme: theme, distance: 0 }];
+    }
+
+    const offset = this.stages[start].distance;
+    return this.stages.slice(start).map((stage) => ({
+      theme: stage.theme,
+      distance: stage.distance - offset,
+    }));
+  },
+};
+
+Themes.register({
+  name: "startup",
+  label: "Startup",
+  palette: ["#003366", "#0099cc"],
+});
+
+Themes.register({
+  name: "enterprise",
+  label: "Enterprise",
+  palette: ["#333333", "#666666"],
+  groundColor: "#222222",
+  // Process catches up with you: more meetings, merge conflicts and reviewers
+  obstacleWeights: {
+    meeting: 2,
+    mergeConflict: 1.5,
+    bug: 0.75,
+    codeReviewer: 0.75,
+    pagerAlert: 0.5,
+  },
+  obstacleRate: 1.1,
+  deadlinePressure: 1.15,
+  // Sprint reviews keep coming, but scope can be cut
+  collectibleWeights: { scopeCut: 3 },
+  deadlineEvents: [{ event: "sprintReview", distance: 1500, every: 3000 }],
+});
+
+Themes.register({
+  name: "legacy",
+  label: "Legacy",
+  palette: ["#000033", "#330033"],
+  groundColor: "#1a1a1a",
+  // Years of shortcuts: bugs, technical debt and flaky tests everywhere
+  obstacleWeights: {
+    bug: 1.5,
+    technicalDebt: 2,
+    meeting: 0.5,
+    flakyTest: 1,
+    pagerAlert: 1,
+    codeReviewer: 0.5,
+  },
+  obstacleRate: 1.2,
+  collectibleRate: 0.9,
+  deadlinePressure: 1.25,
+  // Permanent crunch, with the odd sprint review on top
+  collectibleWeights: { scopeCut: 3 },
+  deadlineEvents: [
+    { event: "crunchMode", distance: 1000, every: 4000 },
+    { event: "sprintReview", distance: 3000, every: 4000 },
+  ],
+});
@@ -11,6 +11,9 @@ class UI {
     this.startScreen = document.getElementById("start-screen");
     this.gameOverScreen = document.getElementById("game-over-screen");
     this.instructionsScreen = document.getElementById("instructions-screen");
+    this.editorScreen = document.getElementById("editor-screen");
+    this.settingsScreen = document.getElementById("settings-screen");
+    this.statsScreen = document.getElementById("stats-screen");
     this.hud = document.getElementById("hud");
     this.helpButton = document.getElementById("help-button");
     this.pauseButton = document.getElementById("pause-button");
@@ -19,11 +22,33 @@ class UI {
     // HUD elements
     this.scoreElement = document.getElementById("score");
     this.finalScoreElement = document.getElementById("final-score");
+    this.gameOverTitle = document.getElementById("game-over-title");
+    this.incidentIdElement = document.getElementById("incident-id");
+    this.incidentDetails = document.getElementById("incident-details");
     this.highScoreElement = document.getElementById("high-score");
+    this.leaderboardTable = document.getElementById("leaderboard-table");
+    this.remoteLeaderboardElement =
+      document.getElementById("remote-leaderboard");
+    this.remoteLeaderboardTable = document.getElementById(
+      "remote-leaderboard-table"
+    );
+    this.remoteRankElement = document.getElementById("remote-rank");
+    this.remoteResultElement = document.getElementById("remote-result");
     this.coffeeLevel = document.getElementById("coffee-level");
     this.deadlineBar = document.getElementById("deadline-bar");
+    this.deadlineEta = document.getElementById("deadline-eta");
+    this.deadlineEvents = document.getElementById("deadline-events");
+    this.bossHud = document.getElementById("boss-hud");
+    this.bossName = document.getElementById("boss-name");
+    this.bossHealthBar = document.getElementById("boss-health-bar");
     this.restartHintElement = document.getElementById("restart-hint");
 
+    // Leaderboard initials entry on the game over screen
+    this.initialsEntry = document.getElementById("initials-entry");
+    this.initialsInput = document.getElementById("initials-input");
+    this.initialsSubmitButton = document.getElementById("initials-submit");
+    this.leaderboardRankElement = document.getElementById("leaderboard-rank");
+
     // Power-up indicators container
     this.powerUpIndicatorsContainer = document.getElementById(
       "power-up-indicators"
@@ -31,16 +56,39 @@ class UI {
 
     // Power-up indicators
     this.powerUpIndicators = {
-      coffee: null,
-      stackOverflow: null,
       gitCommit: null,
     };
 
+    // Status effect timers, keyed by effect name and created on first use
+    this.effectIndicators = {};
+
     // Buttons
     this.startButton = document.getElementById("start-button");
     this.restartButton = document.getElementById("restart-button");
     this.instructionsButton = document.getElementById("instructions-button");
     this.backButton = document.getElementById("back-button");
+    this.watchReplayButton = document.getElementById("watch-replay-button");
+    this.exportReplayButton = document.getElementById("export-replay-button");
+    this.loadReplayButton = document.getElementById("load-replay-button");
+    this.editorButton = document.getElementById("editor-button");
+    this.settingsButton = document.getElementById("settings-button");
+    this.statsButton = document.getElementById("stats-button");
+    this.statsBackButton = document.getElementById("stats-back-button");
+    this.settingsBackButton = document.getElementById("settings-back-button");
+    this.replayFileInput = document.getElementById("replay-file-input");
+    this.replayIndicator = document.getElementById("replay-indicator");
+    this.stageBanner = document.getElementById("stage-banner");
+    this.stageBannerTimeout = null;
+    this.eventBanner = document.getElementById("event-banner");
+    this.eventBannerTimeout = null;
+
+    // Audio settings controls
+    this.volumeSliders = {
+      master: document.getElementById("master-volume"),
+      music: document.getElementById("music-volume"),
+      sfx: document.getElementById("sfx-volume"),
+    };
+    this.muteToggle = document.getElementById("mute-toggle");
 
     // Initialize UI
     this.initialize();
@@ -57,12 +105,14 @@ class UI {
     // Create power-up indicators
     this.createPowerUpIndicators();
 
+    // List every registered collectible and obstacle type on the instructions screen
+    this.createLegend("collectible-legend", CollectibleTypes.list());
+    this.createLegend("obstacle-legend", ObstacleTypes.list());
+
     // Get the existing high score element or create a new one
+    // (the game fills it in from the leaderboard)
     this.highScoreElement = document.getElementById("high-score");
 
-    // Update high score display regardless of whether it was created or already existed
-    this.updateHighScore(Utils.getHighScore());
-
     // Only create a new high score element if it doesn't exist
     if (!this.highScoreElement) {
       const highScoreContainer = document.createElement("div");
@@ -77,9 +127,6 @@ class UI {
 
       highScoreContainer.appendChild(highScoreText);
       this.startScreen.appendChild(highScoreContainer);
-
-      // Update high score display
-      this.updateHighScore(Utils.getHighScore());
     }
 
     // Add new high score message to game over screen
@@ -110,26 +157,6 @@ class UI {
       return;
     }
 
-    // Create coffee indicator if it doesn't exist
-    if (!this.powerUpIndicators.coffee) {
-      const coffeeIndicator = document.createElement("div");
-      coffeeIndicator.className = "power-up-indicator coffee hidden";
-      coffeeIndicator.innerHTML =
-        '<span class="icon">☕</span><span class="timer"></span>';
-      this.powerUpIndicatorsContainer.appendChild(coffeeIndicator);
-      this.powerUpIndicators.coffee = coffeeIndicator;
-    }
-
-    // Create Stack Overflow indicator if it doesn't exist
-    if (!this.powerUpIndicators.stackOverflow) {
-      const soIndicator = document.createElement("div");
-      soIndicator.className = "power-up-indicator stackOverflow hidden";
-      soIndicator.innerHTML =
-        '<span class="icon">🛡️</span><span class="timer"></span>';
-      this.powerUpIndicatorsContainer.appendChild(soIndicator);
-      this.powerUpIndicators.stackOverflow = soIndicator;
-    }
-
     // Create Git Commit indicator if it doesn't exist
     if (!this.powerUpIndicators.gitCommit) {
       const gitIndicator = document.createElement("div");
@@ -141,11 +168,87 @@ class UI {
     }
   }
 
+  /**
+   * Shows a timer for each active status effect that has a HUD icon
+   * Indicators are created the first time an effect is seen and hidden when it ends
+   * @param {Object[]} effects - Active status effects (name, icon, isHarmful, remaining ms)
+   */
+  updateEffectIndicators(effects) {
+    if (!this.powerUpIndicatorsContainer) return;
+
+    const activeNames = {};
+
+    effects.forEach((effect) => {
+      if (!effect.icon) return;
+      activeNames[effect.name] = true;
+
+      let indicator = this.effectIndicators[effect.name];
+      if (!indicator) {
+        indicator = document.createElement("div");
+        indicator.className = `power-up-indicator ${effect.name}`;
+        if (effect.isHarmful) {
+          indicator.classList.add("harmful");
+        }
+        indicator.innerHTML =
+          '<span class="icon"></span><span class="timer"></span>';
+        indicator.querySelector(".icon").textContent = effect.icon;
+        this.powerUpIndicatorsContainer.insertBefore(
+          indicator,
+          this.powerUpIndicators.gitCommit || null
+        );
+        this.effectIndicators[effect.name] = indicator;
+      }
+
+      indicator.classList.remove("hidden");
+      indicator.querySelector(".timer").textContent =
+        Math.ceil(effect.remaining / 1000) + "s";
+    });
+
+    Object.keys(this.effectIndicators).forEach((name) => {
+      if (!activeNames[name]) {
+        this.effectIndicators[name].classList.add("hidden");
+      }
+    });
+  }
+
+  /**
+   * Fills one of the instructions screen's lists from a type registry
+   * @param {string} elementId - Id of the list element to fill
+   * @param {Object[]} definitions - Type definitions with emoji, name and description
+   */
+  createLegend(elementId, definitions) {
+    const legend = document.getElementById(elementId);
+    if (!legend) return;
+
+    legend.innerHTML = "";
+
+    definitions.forEach((definition) => {
+      const item = document.createElement("li");
+
+      const icon = document.createElement("span");
+      icon.className = "icon";
+      icon.textContent = definition.emoji;
+
+      item.appendChild(icon);
+      item.appendChild(
+        document.createTextNode(
+          ` ${definition.name}` +
+            (definition.description ? ` - ${definition.description}` : "")
+        )
+      );
+      legend.appendChild(item);
+    });
+  }
+
   /**
    * Attaches event listeners to UI buttons
    * @param {Object} callbacks - Callback functions
    * @param {Function} callbacks.onStart - Called when start button is clicked
    * @param {Function} callbacks.onRestart - Called when restart button is clicked
+   * @param {Function} callbacks.onWatchReplay - Called when watch replay button is clicked
+   * @param {Function} callbacks.onExportReplay - Called when export replay button is clicked
+   * @param {Function} callbacks.onImportReplay - Called with the chosen File when a replay is loaded
+   * @param {Function} callbacks.onOpenEditor - Called when the level editor button is clicked
    */
   setupButtons(callbacks) {
     // Start button
@@ -175,11 +278,248 @@ class UI {
         this.showScreen("start");
       });
     }
+
+    // Replay buttons
+    if (this.watchReplayButton) {
+      this.watchReplayButton.addEventListener("click", () => {
+        callbacks.onWatchReplay();
+      });
+    }
+
+    if (this.exportReplayButton) {
+      this.exportReplayButton.addEventListener("click", () => {
+        callbacks.onExportReplay();
+      });
+    }
+
+    // Loading a replay goes through a hidden file input
+    if (this.loadReplayButton && this.replayFileInput) {
+      this.loadReplayButton.addEventListener("click", () => {
+        this.replayFileInput.click();
+      });
+
+      this.replayFileInput.addEventListener("change", () => {
+        const file = this.replayFileInput.files[0];
+        if (file) {
+          callbacks.onImportReplay(file);
+        }
+        // Allow the same file to be chosen again
+        this.replayFileInput.value = "";
+      });
+    }
+
+    // Level editor button
+    if (this.editorButton) {
+      this.editorButton.addEventListener("click", () => {
+        callbacks.onOpenEditor();
+      });
+    }
+
+    // Settings screen
+    // Leaderboard initials, saved with the button or Enter
+    if (this.initialsSubmitButton && this.initialsInput) {
+      this.initialsSubmitButton.addEventListener("click", () => {
+        callbacks.onSubmitInitials(this.initialsInput.value);
+      });
+
+      this.initialsInput.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") {
+          callbacks.onSubmitInitials(this.initialsInput.value);
+        }
+      });
+    }
+
+    if (this.statsButton) {
+      this.statsButton.addEventListener("click", () => {
+        callbacks.onShowStats();
+      });
+    }
+
+    if (this.statsBackButton) {
+      this.statsBackButton.addEventListener("click", () => {
+        this.showScreen("start");
+      });
+    }
+
+    if (this.settingsButton) {
+      this.settingsButton.addEventListener("click", () => {
+        this.showScreen("settings");
+      });
+    }
+
+    if (this.settingsBackButton) {
+      this.settingsBackButton.addEventListener("click", () => {
+        this.showScreen("start");
+      });
+    }
+
+    // Sliders run from 0 to 100; settings hold volumes from 0 to 1
+    Object.entries(this.volumeSliders).forEach(([name, slider]) => {
+      if (!slider) return;
+      slider.addEventListener("input", () => {
+        callbacks.onAudioSettingsChange({ [name]: slider.value / 100 });
+      });
+    });
+
+    if (this.muteToggle) {
+      this.muteToggle.addEventListener("change", () => {
+        callbacks.onAudioSettingsChange({ muted: this.muteToggle.checked });
+      });
+    }
+  }
+
+  /**
+   * Fills in the lifetime stats screen and shows it
+   * @param {PlayerProfile} profile - Player profile to show
+   */
+  showStats(profile) {
+    this.fillStatsTable("stats-totals", [
+      ["Runs played", profile.runs],
+      ["Lifetime distance", profile.totalDistance],
+      ["Coffees drunk", profile.coffees],
+      ["Code snippets collected", profile.snippets],
+      ["Git commits used as shields", profile.shieldsUsed],
+    ]);
+
+    const deaths = Object.entries(profile.deaths)
+      .sort((a, b) => b[1] - a[1])
+      .map(([cause, count]) => [this.getDeathCauseLabel(cause), count]);
+    this.fillStatsTable(
+      "stats-deaths",
+      deaths.length > 0 ? deaths : [["No finished runs yet", ""]]
+    );
+
+    this.fillStatsTable(
+      "stats-best",
+      Themes.list().map((theme) => {
+        const best = profile.bestByTheme[theme.name];
+        return [
+          theme.label,
+          best
+            ? `${Utils.formatNumber(best.score)} points, ` +
+              `distance ${Utils.formatNumber(best.distance)}`
+            : "-",
+        ];
+      })
+    );
+
+    this.showScreen("stats");
+  }
+
+  /**
+   * Replaces the rows of a stats table
+   * @param {string} elementId - ID of the table element
+   * @param {Array<Array>} rows - [label, value] pairs; numbers get thousands separators
+   */
+  fillStatsTable(elementId, rows) {
+    const table = document.getElementById(elementId);
+    if (!table) return;
+
+    table.innerHTML = "";
+
+    rows.forEach(([label, value]) => {
+      const row = document.createElement("tr");
+
+      const labelCell = document.createElement("th");
+      labelCell.textContent = label;
+
+      const valueCell = document.createElement("td");
+      valueCell.textContent =
+        typeof value === "number" ? Utils.formatNumber(value) : value;
+
+      row.appendChild(labelCell);
+      row.appendChild(valueCell);
+      table.appendChild(row);
+    });
+  }
+
+  /**
+   * Describes what ended a run
+   * @param {string} cause - Obstacle type or 'deadline'
+   * @returns {string} Display label with an icon
+   */
+  getDeathCauseLabel(cause) {
+    if (cause === "deadline") return "⏰ Deadline";
+
+    const definition = ObstacleTypes.get(cause);
+    return definition ? `${definition.emoji} ${definition.name}` : cause;
+  }
+
+  /**
+   * Shows the current audio settings on the settings screen
+   * @param {Object} settings - Audio settings (see Utils.getAudioSettings)
+   */
+  updateAudioSettings(settings) {
+    Object.entries(this.volumeSliders).forEach(([name, slider]) => {
+      if (slider) {
+        slider.value = Math.round(settings[name] * 100);
+      }
+    });
+
+    if (this.muteToggle) {
+      this.muteToggle.checked = settings.muted;
+    }
+  }
+
+  /**
+   * Shows or hides the replay indicator in the HUD
+   * @param {boolean} isReplay - Whether a recorded run is being played back
+   */
+  setReplayMode(isReplay) {
+    if (this.replayIndicator) {
+      this.replayIndicator.classList.toggle("hidden", !isReplay);
+    }
+  }
+
+  /**
+   * Briefly announces the stage the run has just entered
+   * @param {number} stageNumber - Stage number starting at 1
+   * @param {string} label - Theme display name
+   * @param {number} [duration=2000] - How long the banner stays up in ms
+   */
+  showStageBanner(stageNumber, label, duration = 2000) {
+    if (!this.stageBanner) return;
+
+    this.stageBanner.textContent = `STAGE ${stageNumber}: ${label.toUpperCase()}`;
+    this.stageBanner.classList.remove("hidden");
+
+    clearTimeout(this.stageBannerTimeout);
+    this.stageBannerTimeout = setTimeout(() => {
+      this.stageBanner.classList.add("hidden");
+    }, duration);
+  }
+
+  /**
+   * Briefly announces an event, such as a deadline event or a boss arriving
+   * @param {Object} event - What to announce
+   * @param {string} event.icon - Icon shown before the label
+   * @param {string} event.label - Headline
+   * @param {string} [event.message] - Line shown under the headline
+   * @param {boolean} [event.isHarmful] - Shown as bad news
+   * @param {number} [duration=2500] - How long the banner stays up in ms
+   */
+  showEventBanner(event, duration = 2500) {
+    if (!this.eventBanner) return;
+
+    this.eventBanner.innerHTML =
+      '<div class="event-title"></div><div class="event-message"></div>';
+    this.eventBanner.querySelector(".event-title").textContent = `${
+      event.icon
+    } ${event.label.toUpperCase()}`;
+    this.eventBanner.querySelector(".event-message").textContent =
+      event.message || "";
+    this.eventBanner.classList.toggle("harmful", !!event.isHarmful);
+    this.eventBanner.classList.remove("hidden");
+
+    clearTimeout(this.eventBannerTimeout);
+    this.eventBannerTimeout = setTimeout(() => {
+      this.eventBanner.classList.add("hidden");
+    }, duration);
   }
 
   /**
    * Shows a specific screen and hides all others
-   * @param {string} screenName - Name of screen to show ('start', 'game', 'gameOver', 'instructions')
+   * @param {string} screenName - Name of screen to show ('start', 'game', 'gameOver', 'instructions', 'editor')
    */
   showScreen(screenName) {
     // Hide all screens
@@ -190,6 +530,18 @@ class UI {
       this.instructionsScreen.classList.add("hidden");
     }
 
+    if (this.editorScreen) {
+      this.editorScreen.classList.add("hidden");
+    }
+
+    if (this.settingsScreen) {
+      this.settingsScreen.classList.add("hidden");
+    }
+
+    if (this.statsScreen) {
+      this.statsScreen.classList.add("hidden");
+    }
+
     if (this.hud) {
       this.hud.classList.add("hidden");
     }
@@ -198,8 +550,6 @@ class UI {
     switch (screenName) {
       case "start":
         this.startScreen.classList.remove("hidden");
-        // Update high score display when showing start screen
-        this.updateHighScore(Utils.getHighScore());
         break;
 
       case "game":
@@ -216,6 +566,18 @@ class UI {
         if (this.instructionsScreen)
           this.instructionsScreen.classList.remove("hidden");
         break;
+
+      case "editor":
+        if (this.editorScreen) this.editorScreen.classList.remove("hidden");
+        break;
+
+      case "settings":
+        if (this.settingsScreen) this.settingsScreen.classList.remove("hidden");
+        break;
+
+      case "stats":
+        if (this.statsScreen) this.statsScreen.classList.remove("hidden");
+        break;
     }
   }
 
@@ -224,10 +586,10 @@ class UI {
    * @param {Object} gameState - Current game state
    * @param {number} gameState.score - Player score
    * @param {number} gameState.coffeeBoost - Coffee boost percentage (0-100)
-   * @param {number} gameState.deadlineProximity - Deadline proximity percentage (0-100)
+   * @param {Object} gameState.deadline - Deadline status (see Deadline.getStatus)
+   * @param {Object|null} [gameState.boss] - Boss status (see Boss.getStatus), null if there is no boss
    * @param {Object} [gameState.powerUps] - Power-up states
-   * @param {number} [gameState.powerUps.coffee] - Remaining coffee boost time in ms
-   * @param {number} [gameState.powerUps.invincibility] - Remaining invincibility time in ms
+   * @param {Object[]} [gameState.powerUps.effects] - Active status effects (name, icon, isHarmful, remaining ms)
    * @param {number} [gameState.powerUps.gitCommits] - Number of git commits available
    */
   updateHUD(gameState) {
@@ -241,39 +603,10 @@ class UI {
       this.coffeeLevel.style.width = `${gameState.coffeeBoost}%`;
     }
 
-    // Update coffee indicator
-    if (
-      gameState.powerUps &&
-      gameState.powerUps.coffee > 0 &&
-      this.powerUpIndicators.coffee
-    ) {
-      this.powerUpIndicators.coffee.classList.remove("hidden");
-      const timerElement =
-        this.powerUpIndicators.coffee.querySelector(".timer");
-      if (timerElement) {
-        timerElement.textContent =
-          Math.ceil(gameState.powerUps.coffee / 1000) + "s";
-      }
-    } else if (this.powerUpIndicators.coffee) {
-      this.powerUpIndicators.coffee.classList.add("hidden");
-    }
-
-    // Update Stack Overflow indicator
-    if (
-      gameState.powerUps &&
-      gameState.powerUps.invincibility > 0 &&
-      this.powerUpIndicators.stackOverflow
-    ) {
-      this.powerUpIndicators.stackOverflow.classList.remove("hidden");
-      const timerElement =
-        this.powerUpIndicators.stackOverflow.querySelector(".timer");
-      if (timerElement) {
-        timerElement.textContent =
-          Math.ceil(gameState.powerUps.invincibility / 1000) + "s";
-      }
-    } else if (this.powerUpIndicators.stackOverflow) {
-      this.powerUpIndicators.stackOverflow.classList.add("hidden");
-    }
+    // Update status effect indicators
+    this.updateEffectIndicators(
+      (gameState.powerUps && gameState.powerUps.effects) || []
+    );
 
     // Update Git Commit indicator
     if (
@@ -291,16 +624,58 @@ class UI {
       this.powerUpIndicators.gitCommit.classList.add("hidden");
     }
 
-    // Update deadline indicator
+    this.updateDeadline(gameState.deadline);
+
+    this.updateBoss(gameState.boss || null);
+  }
+
+  /**
+   * Shows the boss's name and health bar while a boss is around
+   * @param {Object|null} boss - Boss status (see Boss.getStatus), or null to hide the bar
+   */
+  updateBoss(boss) {
+    if (!this.bossHud) return;
+
+    this.bossHud.classList.toggle("hidden", !boss);
+    if (!boss) return;
+
+    this.bossName.textContent = `${boss.emoji} ${boss.name.toUpperCase()}`;
+    this.bossHealthBar.style.width = `${(boss.health / boss.maxHealth) * 100}%`;
+  }
+
+  /**
+   * Updates the deadline bar and countdown
+   * @param {Object} deadline - Deadline status (see Deadline.getStatus)
+   */
+  updateDeadline(deadline) {
     if (this.deadlineBar) {
-      this.deadlineBar.style.width = `${gameState.deadlineProximity}%`;
+      this.deadlineBar.style.width = `${deadline.proximity}%`;
 
-      // Add warning class to deadline bar when close to catching up
-      if (gameState.deadlineProximity >= 70) {
-        this.deadlineBar.classList.add("warning");
-      } else {
-        this.deadlineBar.classList.remove("warning");
-      }
+      // The bar changes color and pulses faster as the deadline gets more urgent
+      Deadline.TIERS.forEach((tier) => {
+        this.deadlineBar.classList.toggle(
+          tier.name,
+          tier.name === deadline.tier
+        );
+      });
+    }
+
+    // Only count down once the deadline is a real threat
+    if (this.deadlineEta) {
+      this.deadlineEta.textContent =
+        deadline.tierIndex > 0 ? `⏰ ${deadline.eta.toFixed(1)}s` : "";
+    }
+
+    // Count down the deadline events that are running
+    if (this.deadlineEvents) {
+      this.deadlineEvents.textContent = deadline.events
+        .map(
+          (event) =>
+            `${event.icon} ${event.label.toUpperCase()} ${Math.ceil(
+              event.remaining / 1000
+            )}s`
+        )
+        .join("  ");
     }
   }
 
@@ -315,14 +690,148 @@ class UI {
   }
 
   /**
-   * Displays game over screen with final score and high score information
-   * @param {number} score - Final score
+   * Shows the high score and fills in the leaderboard on the start screen
+   * @param {Leaderboard} leaderboard - Leaderboard to show
+   */
+  updateLeaderboard(leaderboard) {
+    this.updateHighScore(leaderboard.getHighScore());
+
+    // Scores carried over from before the leaderboard have no details
+    this.fillLeaderboardTable(
+      this.leaderboardTable,
+      ["#", "Name", "Score", "Distance", "Ended by", "Collected", "Date"],
+      leaderboard.entries.map((entry, index) => [
+        index + 1,
+        entry.initials,
+        Utils.formatNumber(entry.score),
+        entry.distance !== null ? Utils.formatNumber(entry.distance) : "-",
+        entry.deathCause ? this.getDeathCauseLabel(entry.deathCause) : "-",
+        this.formatCollected(entry.collected),
+        entry.date ? new Date(entry.date).toLocaleDateString() : "-",
+      ])
+    );
+  }
+
+  /**
+   * Fills in the shared leaderboard on the start screen
+   * @param {Object[]|null} entries - Best runs from the leaderboard server (null hides it)
+   * @param {{rank: number, total: number}|null} rank - Where the player's best run stands
+   */
+  updateRemoteLeaderboard(entries, rank) {
+    if (!this.remoteLeaderboardElement) return;
+
+    if (!entries) {
+      this.remoteLeaderboardElement.classList.add("hidden");
+      return;
+    }
+
+    this.remoteRankElement.textContent = rank
+      ? `Your best run: #${rank.rank} of ${rank.total}`
+      : "";
+
+    this.fillLeaderboardTable(
+      this.remoteLeaderboardTable,
+      ["#", "Name", "Score", "Distance", "Ended by", "Date"],
+      entries.map((entry, index) => [
+        index + 1,
+        entry.name,
+        Utils.formatNumber(entry.score),
+        Utils.formatNumber(entry.distance),
+        entry.deathCause ? this.getDeathCauseLabel(entry.deathCause) : "-",
+        new Date(entry.date).toLocaleDateString(),
+      ])
+    );
+
+    this.remoteLeaderboardElement.classList.remove("hidden");
+  }
+
+  /**
+   * Replaces the contents of a leaderboard table
+   * @param {HTMLTableElement|null} table - Table to fill
+   * @param {string[]} headings - Column headings
+   * @param {Array<Array>} rows - Cell values of each row
+   */
+  fillLeaderboardTable(table, headings, rows) {
+    if (!table) return;
+
+    table.innerHTML = "";
+
+    [headings, ...rows].forEach((values, index) => {
+      const row = document.createElement("tr");
+      values.forEach((value) => {
+        const cell = document.createElement(index === 0 ? "th" : "td");
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    });
+  }
+
+  /**
+   * Shows where the last run landed on the shared leaderboard
+   * @param {{rank: number, total: number}|null} result - Submission result (null hides the message)
+   */
+  showRemoteResult(result) {
+    if (!this.remoteResultElement) return;
+
+    if (result) {
+      this.remoteResultElement.textContent = `Office leaderboard: #${result.rank} of ${result.total}`;
+      this.remoteResultElement.classList.remove("hidden");
+    } else {
+      this.remoteResultElement.classList.add("hidden");
+    }
+  }
+
+  /**
+   * Summarizes the items collected in a run
+   * @param {Object} collected - Counts keyed by collectible type
+   * @returns {string} Icon and count of each type collected, or '-' if none
+   */
+  formatCollected(collected) {
+    const parts = CollectibleTypes.list()
+      .filter((definition) => collected[definition.type] > 0)
+      .map((definition) => `${definition.emoji}${collected[definition.type]}`);
+    return parts.length > 0 ? parts.join(" ") : "-";
+  }
+
+  /**
+   * Asks for initials on the game over screen after a run makes the leaderboard
+   * @param {number} rank - Place on the leaderboard, from 1
+   * @param {string} initials - Initials to start from (the last ones used)
+   */
+  showInitialsEntry(rank, initials) {
+    if (!this.initialsEntry) return;
+
+    this.leaderboardRankElement.textContent = `You placed #${rank} on the leaderboard! Enter your initials:`;
+    this.initialsInput.value = initials;
+    this.initialsEntry.classList.remove("hidden");
+    this.initialsInput.focus();
+    this.initialsInput.select();
+  }
+
+  /**
+   * Hides the initials entry on the game over screen
+   */
+  hideInitialsEntry() {
+    if (this.initialsEntry) {
+      this.initialsEntry.classList.add("hidden");
+    }
+  }
+
+  /**
+   * Displays game over screen with final score, high score information and a post-mortem of the run
+   * @param {Object} stats - End-of-run stats (see Simulation.getStats)
    * @param {number} highScore - High score
    * @param {boolean} isNewHighScore - Whether this is a new high score
    */
-  showGameOver(score, highScore, isNewHighScore) {
+  showGameOver(stats, highScore, isNewHighScore) {
     // Update final score
-    this.finalScoreElement.textContent = Utils.formatNumber(score);
+    this.finalScoreElement.textContent = Utils.formatNumber(stats.score);
+
+    this.showIncidentReport(stats);
+
+    // Filled in once the shared leaderboard answers
+    this.showRemoteResult(null);
 
     // Show new high score message if applicable
     const newHighScoreElement = document.getElementById("new-high-score");
@@ -342,6 +851,72 @@ class UI {
     this.showScreen("gameOver");
   }
 
+  /**
+   * Fills in the game over headline and the incident report for a finished run
+   * @param {Object} stats - End-of-run stats (see Simulation.getStats)
+   */
+  showIncidentReport(stats) {
+    const incident = this.getIncident(stats.deathCause);
+
+    if (this.gameOverTitle) {
+      this.gameOverTitle.textContent = incident.title;
+    }
+
+    if (this.incidentIdElement) {
+      this.incidentIdElement.textContent = `Incident Report #${stats.seed}`;
+    }
+
+    if (!this.incidentDetails) return;
+
+    this.incidentDetails.innerHTML = "";
+
+    [
+      ["Severity", incident.severity],
+      ["Root cause", incident.rootCause],
+      ["Distance", Utils.formatNumber(stats.distance)],
+      ["Uptime", Utils.formatDuration(stats.time)],
+      ["Top speed", `${Utils.formatNumber(stats.maxSpeed)}/s`],
+      ["Collected", this.formatCollected(stats.collectedByType)],
+    ].forEach(([label, value]) => {
+      const term = document.createElement("dt");
+      term.textContent = label;
+
+      const detail = document.createElement("dd");
+      detail.textContent = value;
+
+      this.incidentDetails.appendChild(term);
+      this.incidentDetails.appendChild(detail);
+    });
+  }
+
+  /**
+   * Describes what ended a run for the incident report
+   * @param {string|null} cause - Obstacle type, 'deadline', or 'crash' if the obstacle is unknown
+   * @returns {{title: string, severity: string, rootCause: string}} Headline, severity and root cause
+   */
+  getIncident(cause) {
+    if (cause === "deadline") {
+      return {
+        title: "DEADLINE REACHED!",
+        severity: "SEV-2 (missed deadline)",
+        rootCause: "The deadline caught up before the feature shipped.",
+      };
+    }
+
+    // Crashes take everything down
+    const definition = ObstacleTypes.get(cause);
+    if (definition && definition.incident) {
+      return { severity: "SEV-1 (outage)", ...definition.incident };
+    }
+
+    const name = definition ? definition.name : "an obstacle";
+    return {
+      title: "CRASHED!",
+      severity: "SEV-1 (outage)",
+      rootCause: `Ran into ${name}.`,
+    };
+  }
+
   /**
    * Applies a visual effect to the game container
    * @param {string} effectType - Type of effect ('flash', 'shake', 'slowmo', 'celebration')
@@ -434,6 +1009,7 @@ class UI {
    */
   hideGameOver() {
     this.gameOverScreen.classList.add("hidden");
+    this.hideInitialsEntry();
 
     // Hide new high score message
     const newHighScoreElement = document.getElementById("new-high-score");
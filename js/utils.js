@@ -4,26 +4,32 @@
 
 class Utils {
   /**
-   * Retrieves the stored high score from local storage
-   * @returns {number} The current high score or 0 if none exists
+   * Retrieves the stored audio settings
+   * @returns {{master: number, music: number, sfx: number, muted: boolean}}
+   *   Volumes from 0 to 1 and the mute switch, with defaults for anything not stored
    */
-  static getHighScore() {
-    const highScore = localStorage.getItem("MacDevHighScore");
-    return highScore ? parseInt(highScore, 10) : 0;
+  static getAudioSettings() {
+    const defaults = { master: 0.8, music: 0.6, sfx: 0.8, muted: false };
+    try {
+      const saved = JSON.parse(localStorage.getItem("MacDevAudioSettings"));
+      return { ...defaults, ...saved };
+    } catch (error) {
+      // Unreadable settings fall back to the defaults
+      return defaults;
+    }
   }
 
   /**
-   * Updates the high score in local storage if the new score is higher
-   * @param {number} score - The score to compare with the current high score
-   * @returns {boolean} True if a new high score was set, false otherwise
+   * Stores the audio settings in local storage
+   * @param {Object} settings - Audio settings (see getAudioSettings)
    */
-  static setHighScore(score) {
-    const currentHighScore = this.getHighScore();
-    if (score > currentHighScore) {
-      localStorage.setItem("MacDevHighScore", score.toString());
-      return true;
+  static setAudioSettings(settings) {
+    try {
+      localStorage.setItem("MacDevAudioSettings", JSON.stringify(settings));
+    } catch (error) {
+      // The settings still apply for this session
+      console.warn("Could not save the audio settings:", error.message);
     }
-    return false;
   }
 
   /**
@@ -35,6 +41,17 @@ class Utils {
     return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
   }
 
+  /**
+   * Formats a duration as minutes and seconds
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} Duration such as "1:05"
+   */
+  static formatDuration(seconds) {
+    const wholeSeconds = Math.floor(seconds);
+    const minutes = Math.floor(wholeSeconds / 60);
+    return `${minutes}:${String(wholeSeconds % 60).padStart(2, "0")}`;
+  }
+
   /**
    * Determines if two rectangles overlap for collision detection
    * @param {Object} rect1 - First rectangle
@@ -74,12 +91,42 @@ class Utils {
 
   /**
    * Generates a random integer within a specified range
+   * Draws from the seeded GameRandom generator so runs are reproducible
    * @param {number} min - Minimum value (inclusive)
    * @param {number} max - Maximum value (inclusive)
    * @returns {number} Random integer
    */
   static randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return GameRandom.int(min, max);
+  }
+
+  /**
+   * Picks a key at random, with probability proportional to its weight
+   * Draws exactly one number from GameRandom; keys with no weight are never picked
+   * @param {Object} weights - Relative weights keyed by name, in preference order
+   * @returns {string} The selected key
+   */
+  static pickWeighted(weights) {
+    const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = GameRandom.next() * total;
+
+    for (const [key, weight] of entries) {
+      roll -= weight;
+      if (roll < 0) return key;
+    }
+
+    return entries[entries.length - 1][0];
+  }
+
+  /**
+   * Reads a fixed run seed from the page URL (e.g. index.html?seed=1234)
+   * @returns {number|undefined} The requested seed, or undefined if none is set
+   */
+  static getSeedFromUrl() {
+    const seed = new URLSearchParams(window.location.search).get("seed");
+    if (seed === null || !/^\d+$/.test(seed)) return undefined;
+    return parseInt(seed, 10) >>> 0;
   }
 
   /**
@@ -117,6 +164,23 @@ class Utils {
     return Promise.all(promises);
   }
 
+  /**
+   * Saves text content as a file through the browser's download mechanism
+   * @param {string} filename - Suggested file name
+   * @param {string} contents - File contents
+   * @param {string} [type="text/plain"] - MIME type of the file
+   */
+  static downloadFile(filename, contents, type = "text/plain") {
+    const url = URL.createObjectURL(new Blob([contents], { type: type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
   /**
    * Provides a smooth transition curve for animations
    * @param {number} t - Current time/progress (0-1)
@@ -0,0 +1,130 @@
+/**
+ * Camera that maps the game world onto the canvas
+ *
+ * The simulation works in world units on a fixed play field (800x450 unless a
+ * replay was recorded at another size), whatever the size of the screen, so
+ * spawns, physics and replays behave the same everywhere. The viewport scales
+ * the world uniformly to fit the canvas and centers it, leaving bars on the
+ * sides or at the top and bottom when the aspect ratios differ. Resizing only
+ * changes the mapping; nothing in the world moves.
+ */
+
+class Viewport {
+  /**
+   * Create a viewport
+   * @param {Object} [options] - Viewport options
+   * @param {number} [options.worldWidth=Viewport.WORLD_WIDTH] - Width of the world in world units
+   * @param {number} [options.worldHeight=Viewport.WORLD_HEIGHT] - Height of the world in world units
+   */
+  constructor(options = {}) {
+    this.worldWidth = options.worldWidth || Viewport.WORLD_WIDTH;
+    this.worldHeight = options.worldHeight || Viewport.WORLD_HEIGHT;
+
+    // Canvas size in pixels
+    this.screenWidth = this.worldWidth;
+    this.screenHeight = this.worldHeight;
+
+    // Mapping from world units to canvas pixels
+    this.scale = 1;
+    this.offsetX = 0;
+    this.offsetY = 0;
+  }
+
+  /**
+   * Changes the size of the world shown, e.g. for a replay recorded at another size
+   * @param {number} width - Width of the world in world units
+   * @param {number} height - Height of the world in world units
+   */
+  setWorldSize(width, height) {
+    this.worldWidth = width;
+    this.worldHeight = height;
+    this.updateMapping();
+  }
+
+  /**
+   * Fits the world to a new canvas size
+   * @param {number} width - Canvas width in pixels
+   * @param {number} height - Canvas height in pixels
+   */
+  resize(width, height) {
+    this.screenWidth = width;
+    this.screenHeight = height;
+    this.updateMapping();
+  }
+
+  /**
+   * Recalculates the scale and offsets that center the world on the canvas
+   */
+  updateMapping() {
+    this.scale = Math.min(
+      this.screenWidth / this.worldWidth,
+      this.screenHeight / this.worldHeight
+    );
+    this.offsetX = (this.screenWidth - this.worldWidth * this.scale) / 2;
+    this.offsetY = (this.screenHeight - this.worldHeight * this.scale) / 2;
+  }
+
+  /**
+   * Clears the canvas, filling the bars around the world
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  clear(ctx) {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = Viewport.BORDER_COLOR;
+    ctx.fillRect(0, 0, this.screenWidth, this.screenHeight);
+  }
+
+  /**
+   * Starts drawing in world units; anything outside the world is clipped
+   * Must be paired with end.
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  begin(ctx) {
+    ctx.save();
+    ctx.setTransform(this.scale, 0, 0, this.scale, this.offsetX, this.offsetY);
+    ctx.beginPath();
+    ctx.rect(0, 0, this.worldWidth, this.worldHeight);
+    ctx.clip();
+  }
+
+  /**
+   * Goes back to drawing in canvas pixels
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  end(ctx) {
+    ctx.restore();
+  }
+
+  /**
+   * Converts a canvas position to world units
+   * @param {number} x - Canvas x in pixels
+   * @param {number} y - Canvas y in pixels
+   * @returns {{x: number, y: number}} World position
+   */
+  toWorld(x, y) {
+    return {
+      x: (x - this.offsetX) / this.scale,
+      y: (y - this.offsetY) / this.scale,
+    };
+  }
+
+  /**
+   * Converts the position of a mouse or touch event to world units
+   * @param {HTMLCanvasElement} canvas - Canvas the event happened on
+   * @param {number} clientX - Event clientX
+   * @param {number} clientY - Event clientY
+   * @returns {{x: number, y: number}} World position
+   */
+  clientToWorld(canvas, clientX, clientY) {
+    // The canvas may be displayed at a different size than its pixel size
+    const rect = canvas.getBoundingClientRect();
+    return this.toWorld(
+      ((clientX - rect.left) * canvas.width) / rect.width,
+      ((clientY - rect.top) * canvas.height) / rect.height
+    );
+  }
+}
+
+Viewport.WORLD_WIDTH = 800;
+Viewport.WORLD_HEIGHT = 450;
+Viewport.BORDER_COLOR = "#121212";
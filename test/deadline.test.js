@@ -0,0 +1,33 @@
+/**
+ * Deadline checks, run with: node --test test/
+ */
+
+const assert = require("assert");
+const { test } = require("node:test");
+const { loadGame } = require("../tools/headless");
+
+const { Deadline, Player } = loadGame();
+
+const conditions = { gameTimeSeconds: 60, difficulty: 1, pressure: 1 };
+
+test("stacked slowdowns do not let the deadline catch up in one step", () => {
+  const player = new Player({ groundY: 500 });
+  const deadline = new Deadline({ targetX: player.x });
+
+  player.addEffect("meeting");
+  player.addEffect("mergeConflict");
+  player.addEffect("codeReview");
+
+  assert.strictEqual(deadline.update(1000 / 60, player, conditions), false);
+  assert.ok(Number.isFinite(deadline.position));
+});
+
+test("a stopped player does not send the deadline to Infinity", () => {
+  const player = new Player({ groundY: 500 });
+  const deadline = new Deadline({ targetX: player.x });
+
+  player.getSpeed = () => 0;
+  deadline.update(1000 / 60, player, conditions);
+
+  assert.ok(Number.isFinite(deadline.position));
+});
@@ -0,0 +1,44 @@
+/**
+ * Player physics and speed checks, run with: node --test test/
+ */
+
+const assert = require("assert");
+const { test } = require("node:test");
+const { loadGame } = require("../tools/headless");
+
+const { GameClock, Player } = loadGame();
+
+/**
+ * Steps a player like Simulation.step does
+ * @param {Player} player - Player to move
+ * @param {number} steps - Number of steps
+ */
+function run(player, steps) {
+  const deltaTime = new GameClock().timeStep;
+  for (let i = 0; i < steps; i++) {
+    player.update(deltaTime);
+  }
+}
+
+test("coyote time does not allow jumps after the double jump", () => {
+  const player = new Player({ groundY: 500 });
+
+  player.jump();
+  run(player, 10);
+  player.jump(); // Double jump
+  run(player, 10);
+
+  const velocityY = player.velocityY;
+  player.jump();
+
+  assert.strictEqual(player.velocityY, velocityY);
+});
+
+test("slowdowns never take the player below half its base speed", () => {
+  const player = new Player({ groundY: 500 });
+
+  player.addEffect("meeting");
+  player.addEffect("mergeConflict");
+
+  assert.strictEqual(player.getSpeed(), player.baseSpeed / 2);
+});
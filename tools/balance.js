@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Plays many headless runs with a bot and reports how far it survives.
+ *
+ * Usage:
+ *   node tools/balance.js [--agent NAME] [--runs N] [--seed N] [--max-ticks N]
+ *
+ * --agent      Registered agent to play with: heuristic (default) or random
+ * --runs       Number of runs, using consecutive seeds (default 500)
+ * --seed       Seed of the first run (default 1)
+ * --max-ticks  Stop runs that last longer than this many steps (default 36000)
+ *
+ * The report shows the survival distance distribution over all runs, and the
+ * same distribution grouped by the difficulty the level had reached when each
+ * run ended, to show where the difficulty curve starts killing players.
+ */
+
+const { loadGame } = require("./headless");
+
+/**
+ * Parses "--name value" pairs from the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Option values keyed by name
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+/**
+ * Returns the value at a percentile of an ascending sorted list
+ * @param {number[]} sorted - Values sorted ascending
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Value at that percentile
+ */
+function percentile(sorted, p) {
+  const index = Math.min(
+    sorted.length - 1,
+    Math.floor((p / 100) * sorted.length)
+  );
+  return sorted[index];
+}
+
+/**
+ * Formats a distance distribution as a single report line
+ * @param {number[]} distances - Survival distances
+ * @returns {string} Count, mean and percentiles
+ */
+function describe(distances) {
+  const sorted = distances.slice().sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, d) => sum + d, 0) / sorted.length;
+  return [
+    `n=${sorted.length}`.padEnd(7),
+    `mean ${Math.round(mean)}`.padEnd(11),
+    `p10 ${percentile(sorted, 10)}`.padEnd(10),
+    `p50 ${percentile(sorted, 50)}`.padEnd(10),
+    `p90 ${percentile(sorted, 90)}`.padEnd(10),
+    `max ${sorted[sorted.length - 1]}`,
+  ].join(" ");
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const agentName = options.agent || "heuristic";
+  const runs = parseInt(options.runs || "500", 10);
+  const firstSeed = parseInt(options.seed || "1", 10);
+  const maxTicks = parseInt(options["max-ticks"] || "36000", 10);
+
+  // Level reseeds the shared generator per run, so one context serves all runs
+  const { Agents, Simulation } = loadGame();
+  const agent = Agents.create(agentName);
+
+  const results = [];
+  for (let i = 0; i < runs; i++) {
+    const simulation = new Simulation({ seed: firstSeed + i });
+    results.push(simulation.runAgent(agent, { maxTicks: maxTicks }));
+  }
+
+  console.log(
+    `Agent: ${agentName}, seeds ${firstSeed}-${firstSeed + runs - 1}`
+  );
+  console.log(
+    `All runs            ${describe(results.map((r) => r.distance))}`
+  );
+
+  // Group runs by the difficulty reached, in half-point bands
+  const bands = {};
+  results.forEach((result) => {
+    const band = Math.floor(result.difficulty * 2) / 2;
+    (bands[band] = bands[band] || []).push(result.distance);
+  });
+
+  console.log("By difficulty at end of run:");
+  Object.keys(bands)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .forEach((band) => {
+      const label = `  ${band.toFixed(1)}-${(band + 0.5).toFixed(1)}`;
+      console.log(`${label.padEnd(20)}${describe(bands[band])}`);
+    });
+
+  const unfinished = results.filter((r) => !r.isOver).length;
+  if (unfinished > 0) {
+    console.log(`${unfinished} run(s) hit the ${maxTicks}-tick limit`);
+  }
+}
+
+main();
@@ -0,0 +1,109 @@
+/**
+ * Loads the game simulation into an isolated Node context, without a DOM.
+ *
+ * The browser scripts are plain globals, so they are evaluated in order inside
+ * a vm context, the same way index.html loads them. Only the scripts the
+ * simulation needs are loaded; UI, rendering loop and input handling are not.
+ * The authored level segments are loaded too, as the browser game does.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * Scripts that make up the simulation, in index.html load order
+ */
+const SIMULATION_SCRIPTS = [
+  "js/utils.js",
+  "js/random.js",
+  "js/clock.js",
+  "js/viewport.js",
+  "js/assets.js",
+  "js/sprites.js",
+  "js/status-effects.js",
+  "js/player.js",
+  "js/obstacle-types.js",
+  "js/projectile-types.js",
+  "js/projectiles.js",
+  "js/obstacles.js",
+  "js/collectible-types.js",
+  "js/collectibles.js",
+  "js/boss-types.js",
+  "js/boss.js",
+  "js/segments.js",
+  "js/solvability.js",
+  "js/themes.js",
+  "js/deadline-events.js",
+  "js/deadline.js",
+  "js/level.js",
+  "js/replay.js",
+  "js/simulation.js",
+  "js/agents.js",
+];
+
+/**
+ * Segment file the game loads at startup
+ */
+const SEGMENTS_FILE = "levels/segments.json";
+
+/**
+ * Evaluates the simulation scripts in a fresh context
+ * Each call returns an independent copy of the game, so runs never share state
+ * @returns {Object} The game's global classes and objects (Simulation, Replay, Level, ...)
+ */
+function loadGame() {
+  const context = vm.createContext({ console: console });
+
+  SIMULATION_SCRIPTS.forEach((file) => {
+    const code = fs.readFileSync(path.join(ROOT, file), "utf8");
+    vm.runInContext(code, context, { filename: file });
+  });
+
+  vm.runInContext("Assets.loadHeadless();", context);
+
+  const game = vm.runInContext(
+    `({
+      Agents,
+      Assets,
+      Boss,
+      BossTypes,
+      Collectible,
+      CollectibleFactory,
+      CollectibleTypes,
+      Deadline,
+      DeadlineEventTypes,
+      GameClock,
+      GameRandom,
+      HeuristicAgent,
+      Level,
+      Obstacle,
+      ObstacleFactory,
+      ObstacleTypes,
+      Player,
+      Projectile,
+      ProjectileTypes,
+      RandomAgent,
+      Replay,
+      SeededRandom,
+      SegmentLibrary,
+      Segments,
+      Simulation,
+      SolvabilityChecker,
+      StatusEffects,
+      StatusEffectTypes,
+      Themes,
+      Utils,
+      Viewport,
+    })`,
+    context
+  );
+
+  game.Segments.load(fs.readFileSync(path.join(ROOT, SEGMENTS_FILE), "utf8"));
+
+  return game;
+}
+
+module.exports = { loadGame, SIMULATION_SCRIPTS, SEGMENTS_FILE };
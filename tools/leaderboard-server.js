@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+/**
+ * Reference server for the shared leaderboard (see js/remote-leaderboard.js).
+ *
+ * Usage:
+ *   node tools/leaderboard-server.js [--port N] [--data FILE] [--max-ticks N]
+ *
+ * --port       Port to listen on (default 8787)
+ * --data       JSON file that keeps the scores between restarts
+ *              (default: scores are kept in memory only)
+ * --max-ticks  Longest run accepted, in steps (default 36000, 10 minutes)
+ *
+ * API (JSON, with CORS headers so the game can be served from anywhere):
+ *   POST /scores { name, score, replay }  201 { rank, total, entry }
+ *   GET  /scores?limit=N                  200 { scores }, best first
+ *   GET  /rank?name=ABC                   200 { rank, total, entry } for the
+ *                                         player's best run, 404 if none
+ *
+ * Every submission is re-simulated from its replay with the game's own code,
+ * and turned down with status 422 unless it was recorded at the game's step
+ * and world size and reproduces the claimed score (409 if the same run was
+ * already submitted).
+ * Point the game at the server with window.LEADERBOARD_ENDPOINT (see
+ * index.html).
+ */
+
+const fs = require("fs");
+const http = require("http");
+const { loadGame } = require("./headless");
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_MAX_TICKS = 36000;
+const MAX_BODY_SIZE = 1024 * 1024;
+const MAX_LIMIT = 100;
+const MAX_STORED_SCORES = 1000;
+
+/**
+ * Parses "--name value" pairs from the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Option values keyed by name
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+/**
+ * Verified scores, best first, optionally saved to a file
+ */
+class ScoreTable {
+  /**
+   * Create a score table
+   * @param {string} [file] - JSON file to load the scores from and save them to
+   */
+  constructor(file) {
+    this.file = file || null;
+    this.scores =
+      this.file && fs.existsSync(this.file)
+        ? JSON.parse(fs.readFileSync(this.file, "utf8")).scores
+        : [];
+  }
+
+  /**
+   * Adds a verified run
+   * @param {Object} entry - Leaderboard entry
+   * @returns {number} Rank of the run, from 1
+   */
+  add(entry) {
+    // Ties go to the run that got there first
+    let index = this.scores.findIndex((other) => entry.score > other.score);
+    if (index === -1) index = this.scores.length;
+
+    this.scores.splice(index, 0, entry);
+    this.scores.length = Math.min(this.scores.length, MAX_STORED_SCORES);
+    this.save();
+
+    return index + 1;
+  }
+
+  /**
+   * Checks whether a run was already submitted
+   * @param {Object} entry - Leaderboard entry
+   * @returns {boolean} True if a run with the same seed and score is listed
+   */
+  contains(entry) {
+    return this.scores.some(
+      (other) => other.seed === entry.seed && other.score === entry.score
+    );
+  }
+
+  /**
+   * Returns the best runs
+   * @param {number} limit - Number of runs
+   * @returns {Object[]} Entries, best first
+   */
+  top(limit) {
+    return this.scores.slice(0, limit);
+  }
+
+  /**
+   * Finds a player's best run
+   * @param {string} name - Player initials
+   * @returns {{rank: number, total: number, entry: Object}|null} Rank from 1, or null if the player has no runs
+   */
+  rankOf(name) {
+    const index = this.scores.findIndex((entry) => entry.name === name);
+    return index === -1
+      ? null
+      : {
+          rank: index + 1,
+          total: this.scores.length,
+          entry: this.scores[index],
+        };
+  }
+
+  /**
+   * Writes the scores to the data file, if there is one
+   */
+  save() {
+    if (this.file) {
+      fs.writeFileSync(this.file, JSON.stringify({ scores: this.scores }));
+    }
+  }
+}
+
+/**
+ * Cleans up submitted initials the way the game does
+ * @param {*} name - Submitted name
+ * @returns {string} Up to 3 upper-case letters, digits or '?' (empty if unusable)
+ */
+function cleanName(name) {
+  return typeof name === "string"
+    ? name
+        .toUpperCase()
+        .replace(/[^A-Z0-9?]/g, "")
+        .slice(0, 3)
+    : "";
+}
+
+/**
+ * Re-simulates a submitted run and builds its leaderboard entry
+ * @param {Object} submission - Request body ({ name, score, replay })
+ * @param {number} maxTicks - Longest run accepted, in steps
+ * @returns {{entry: Object}|{status: number, error: string}} The entry, or why the run was turned down
+ */
+function verifySubmission(submission, maxTicks) {
+  const name = cleanName(submission && submission.name);
+  if (!name || typeof submission.score !== "number" || !submission.replay) {
+    return { status: 400, error: "Expected { name, score, replay }" };
+  }
+
+  const { GameClock, Replay, Segments, Simulation, Viewport } = loadGame();
+
+  let replay;
+  try {
+    replay = Replay.fromJSON(submission.replay);
+  } catch (error) {
+    return { status: 400, error: error.message };
+  }
+
+  if (replay.finalTick === null || replay.finalTick > maxTicks) {
+    return { status: 422, error: "Replay is unfinished or too long" };
+  }
+
+  // The game always plays at the same step and world size, so anything else
+  // is a replay crafted to be easier
+  if (
+    replay.timeStep !== new GameClock().timeStep ||
+    replay.width !== Viewport.WORLD_WIDTH ||
+    replay.height !== Viewport.WORLD_HEIGHT
+  ) {
+    return {
+      status: 422,
+      error: "Replay was not recorded at the game's step and world size",
+    };
+  }
+
+  if (
+    replay.segmentChecksum &&
+    replay.segmentChecksum !== Segments.active.getChecksum()
+  ) {
+    return {
+      status: 422,
+      error: "Replay was recorded with different level segments",
+    };
+  }
+
+  const stats = Simulation.fromReplay(replay).run({
+    inputs: replay.events,
+    maxTicks: replay.finalTick,
+  });
+
+  if (stats.score !== submission.score || stats.score !== replay.score) {
+    return { status: 422, error: "Replay does not reproduce the score" };
+  }
+
+  return {
+    entry: {
+      name: name,
+      score: stats.score,
+      distance: stats.distance,
+      deathCause: stats.deathCause,
+      seed: replay.seed,
+      date: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * Sends a JSON answer
+ * @param {http.ServerResponse} response - Response to write
+ * @param {number} status - HTTP status
+ * @param {Object} [data] - Body
+ */
+function sendJson(response, status, data) {
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  response.end(data !== undefined ? JSON.stringify(data) : undefined);
+}
+
+/**
+ * Reads a JSON request body
+ * @param {http.IncomingMessage} request - Request to read
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJson(request) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    let isRejected = false; // Oversize bodies are dropped, whatever still arrives
+    request.setEncoding("utf8");
+    request.on("data", (chunk) => {
+      if (isRejected) return;
+
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        isRejected = true;
+        body = "";
+        reject(new Error("Request body too large"));
+        request.destroy();
+      }
+    });
+    request.on("end", () => {
+      if (isRejected) return;
+
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+/**
+ * Creates the leaderboard HTTP server (not yet listening)
+ * @param {Object} [options] - Server options
+ * @param {string} [options.data] - JSON file that keeps the scores between restarts
+ * @param {number} [options.maxTicks=36000] - Longest run accepted, in steps
+ * @returns {http.Server} The server
+ */
+function createLeaderboardServer(options = {}) {
+  const table = new ScoreTable(options.data);
+  const maxTicks = options.maxTicks || DEFAULT_MAX_TICKS;
+
+  return http.createServer(async (request, response) => {
+    const url = new URL(request.url, "http://localhost");
+
+    try {
+      if (request.method === "OPTIONS") {
+        sendJson(response, 204);
+      } else if (request.method === "POST" && url.pathname === "/scores") {
+        const result = verifySubmission(await readJson(request), maxTicks);
+        if (result.error) {
+          sendJson(response, result.status, { error: result.error });
+          return;
+        }
+
+        if (table.contains(result.entry)) {
+          sendJson(response, 409, { error: "Run already submitted" });
+          return;
+        }
+
+        const rank = table.add(result.entry);
+        sendJson(response, 201, {
+          rank: rank,
+          total: table.scores.length,
+          entry: result.entry,
+        });
+      } else if (request.method === "GET" && url.pathname === "/scores") {
+        const limit = Math.min(
+          parseInt(url.searchParams.get("limit") || "10", 10) || 10,
+          MAX_LIMIT
+        );
+        sendJson(response, 200, { scores: table.top(limit) });
+      } else if (request.method === "GET" && url.pathname === "/rank") {
+        const rank = table.rankOf(cleanName(url.searchParams.get("name")));
+        if (rank) {
+          sendJson(response, 200, rank);
+        } else {
+          sendJson(response, 404, { error: "No runs for that name" });
+        }
+      } else {
+        sendJson(response, 404, { error: "Not found" });
+      }
+    } catch (error) {
+      sendJson(response, 400, { error: error.message });
+    }
+  });
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const port = parseInt(options.port || String(DEFAULT_PORT), 10);
+
+  const server = createLeaderboardServer({
+    data: options.data,
+    maxTicks: parseInt(options["max-ticks"] || String(DEFAULT_MAX_TICKS), 10),
+  });
+
+  server.listen(port, () => {
+    console.log(`Leaderboard server listening on http://localhost:${port}`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { createLeaderboardServer, ScoreTable, verifySubmission };
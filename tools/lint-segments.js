@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Checks that every authored level segment can be cleared.
+ *
+ * Usage:
+ *   node tools/lint-segments.js [--file FILE] [--seeds N]
+ *
+ * --file   Segment file to check (default levels/segments.json)
+ * --seeds  Number of seeds to try per segment (default 8); obstacles such as
+ *          bugs start bobbing at a random point, so one layout can play out
+ *          differently from run to run
+ *
+ * Each segment is spawned on an empty screen and searched for an input
+ * sequence that gets the player past all of its obstacles. Exits with status 1
+ * if the file is invalid or any segment cannot be cleared, so it can guard CI.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { loadGame, SEGMENTS_FILE } = require("./headless");
+
+/**
+ * Parses "--name value" pairs from the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Option values keyed by name
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+/**
+ * Checks one segment with several seeds
+ * @param {Object} game - Loaded game (see loadGame)
+ * @param {Object} segment - Validated segment
+ * @param {number} seeds - Number of seeds to try
+ * @returns {string|null} Problem description, or null if every seed can be cleared
+ */
+function lintSegment(game, segment, seeds) {
+  const checker = new game.SolvabilityChecker();
+  const failures = [];
+  let unknown = 0;
+
+  for (let seed = 1; seed <= seeds; seed++) {
+    const result = checker.checkSegment(segment, { seed: seed });
+    if (result.solvable === false) {
+      failures.push(result.blockerIndex);
+    } else if (result.solvable === null) {
+      unknown++;
+    }
+  }
+
+  if (failures.length > 0) {
+    const entity = segment.entities[failures[0]];
+    const blocker = entity
+      ? `entity ${failures[0]} (${entity.type})`
+      : "an obstacle";
+    return `cannot be cleared with ${failures.length} of ${seeds} seeds; crashes into ${blocker}`;
+  }
+
+  if (unknown > 0) {
+    console.warn(
+      `Warning: ${segment.id}: search gave up with ${unknown} of ${seeds} seeds`
+    );
+  }
+
+  return null;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const file = options.file || path.join(__dirname, "..", SEGMENTS_FILE);
+  const seeds = parseInt(options.seeds || "8", 10);
+
+  const game = loadGame();
+
+  let library;
+  try {
+    library = game.SegmentLibrary.fromJSON(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    console.error(`${file}: ${error.message}`);
+    process.exit(1);
+  }
+
+  let problems = 0;
+  library.segments.forEach((segment) => {
+    const problem = lintSegment(game, segment, seeds);
+    if (problem) {
+      problems++;
+      console.log(`FAIL ${segment.id}: ${problem}`);
+    } else {
+      console.log(`ok   ${segment.id}`);
+    }
+  });
+
+  console.log(
+    `${library.segments.length} segments checked, ${problems} unclearable`
+  );
+  process.exit(problems > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Runs the game headlessly and prints end-of-run stats.
+ *
+ * Usage:
+ *   node tools/simulate.js [--seed N] [--runs N] [--inputs FILE] [--max-ticks N]
+ *   node tools/simulate.js --replay FILE
+ *
+ * --seed       Seed of the first run (default 1)
+ * --runs       Number of runs, using consecutive seeds (default 1)
+ * --inputs     JSON file with scripted inputs: [{ "tick": 120, "action": "jump" }, ...]
+ *              (a replay file exported from the game also works)
+ * --max-ticks  Stop runs that last longer than this many steps (default 36000)
+ * --replay     Re-simulate an exported replay and check it reproduces its score;
+ *              exits with status 1 on a mismatch, so it can guard CI
+ */
+
+const fs = require("fs");
+const { loadGame } = require("./headless");
+
+/**
+ * Parses "--name value" pairs from the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Option values keyed by name
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+/**
+ * Reads scripted inputs from a JSON file (an array of events or a replay)
+ * @param {string} file - Path to the JSON file
+ * @returns {Array<{tick: number, action: string}>} Input events
+ */
+function readInputs(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  return Array.isArray(data) ? data : data.events;
+}
+
+/**
+ * Re-simulates a replay file and reports whether it matches its recorded score
+ * @param {string} file - Path to the replay file
+ * @returns {boolean} True if the replay reproduces its score
+ */
+function verifyReplay(file) {
+  const { Replay, Segments, Simulation } = loadGame();
+  const replay = Replay.fromJSON(fs.readFileSync(file, "utf8"));
+
+  if (
+    replay.segmentChecksum &&
+    replay.segmentChecksum !== Segments.active.getChecksum()
+  ) {
+    console.warn(
+      "Warning: the replay was recorded with a different version of " +
+        "levels/segments.json and will probably desync"
+    );
+  }
+
+  const simulation = Simulation.fromReplay(replay);
+  const stats = simulation.run({
+    inputs: replay.events,
+    maxTicks: replay.finalTick,
+  });
+
+  const matches = stats.score === replay.score;
+  console.log(JSON.stringify({ ...stats, recordedScore: replay.score }));
+  console.log(matches ? "Replay verified" : "Replay DESYNCED");
+  return matches;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.replay) {
+    process.exit(verifyReplay(options.replay) ? 0 : 1);
+  }
+
+  const firstSeed = parseInt(options.seed || "1", 10);
+  const runs = parseInt(options.runs || "1", 10);
+  const maxTicks = parseInt(options["max-ticks"] || "36000", 10);
+  const inputs = options.inputs ? readInputs(options.inputs) : [];
+
+  const distances = [];
+  for (let i = 0; i < runs; i++) {
+    const { Simulation } = loadGame();
+    const simulation = new Simulation({ seed: firstSeed + i });
+    const stats = simulation.run({ inputs: inputs, maxTicks: maxTicks });
+    distances.push(stats.distance);
+    console.log(JSON.stringify(stats));
+  }
+
+  if (runs > 1) {
+    const mean = distances.reduce((sum, d) => sum + d, 0) / runs;
+    console.log(
+      `${runs} runs: mean distance ${Math.round(mean)}, ` +
+        `min ${Math.min(...distances)}, max ${Math.max(...distances)}`
+    );
+  }
+}
+
+main();